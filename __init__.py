@@ -5,29 +5,836 @@ ComfyUI-Prompt-Presets
 功能：
 - 悬浮按钮，悬停显示预设分类菜单
 - 一键添加预设到任何有 prompt 输入框的节点
-- 用户自定义预设（localStorage 存储）
+- 用户自定义预设（服务端 JSON 文件存储）
+- 组合预设：一次应用多个预设
+- 预设使用统计与收藏
+- 内置预设库编辑：分类、分组、预设的增删改与排序（原子写入并保留备份）
+- 预设数据校验：按 prompt_presets.schema.json 中的字段规则检查，返回带 JSON 路径的错误，有效条目照常加载
+- 稳定的预设 ID：内置数据中写有 id，编辑器保存时为新预设写入 id；未声明 id 的预设按所在包、分类、分组和名称生成
+- 预设包：内置预设、presets/ 目录与用户目录中的 JSON 文件分别作为预设包加载，可单独启用/停用
+- 预设数据热更新：prompt_presets.json 或预览文件变化时通知前端重新加载
+- Prompt Preset Composer 节点：按分类多选预设，输出按层级排序的提示词
 - 管理已添加的预设（编辑、删除）
 """
 
 import os
+import re
+import copy
 import json
+import hashlib
+import time
+import shutil
+import asyncio
+import threading
 import server
 from aiohttp import web
 
 # 获取当前目录
 CURRENT_DIR = os.path.dirname(os.path.abspath(__file__))
 
+# 用户数据目录：优先使用 ComfyUI 的 user 目录，便于跨浏览器/机器共享
+try:
+    import folder_paths
+    USER_DATA_DIR = os.path.join(folder_paths.get_user_directory(), "prompt_presets")
+except Exception:
+    USER_DATA_DIR = os.path.join(CURRENT_DIR, "user_data")
+
+CUSTOM_PRESETS_FILE = "custom_presets.json"
+BUNDLES_FILE = "bundles.json"
+USAGE_FILE = "usage.json"
+PACKS_FILE = "packs.json"
+
+
+def read_user_json(filename, default):
+    """读取用户数据目录下的 JSON 文件，不存在或损坏时返回默认值"""
+    path = os.path.join(USER_DATA_DIR, filename)
+    if not os.path.exists(path):
+        return default
+    try:
+        with open(path, "r", encoding="utf-8") as f:
+            return json.load(f)
+    except Exception as e:
+        print(f"[PromptPresets] Error reading {filename}: {e}")
+        return default
+
+
+def write_user_json(filename, data):
+    """原子写入用户数据目录下的 JSON 文件（先写临时文件再替换）"""
+    os.makedirs(USER_DATA_DIR, exist_ok=True)
+    path = os.path.join(USER_DATA_DIR, filename)
+    tmp_path = path + ".tmp"
+    with open(tmp_path, "w", encoding="utf-8") as f:
+        json.dump(data, f, ensure_ascii=False, indent=4)
+    os.replace(tmp_path, path)
+
+PRESETS_PATH = os.path.join(CURRENT_DIR, "prompt_presets.json")
+
+
+# ========================================
+# 预设数据校验：规则来自 prompt_presets.schema.json（唯一的结构定义，编辑器和服务端共用）
+# 无效的分类 / 分组 / 预设被跳过（level = error），无效的可选字段被忽略（level = warning），
+# 其余条目照常加载；每条问题带 JSON 路径，如 $[0].groups[2].presets[5].prompt_value
+# ========================================
+
+SCHEMA_PATH = os.path.join(CURRENT_DIR, "prompt_presets.schema.json")
+
+
+def load_schema_definitions():
+    with open(SCHEMA_PATH, "r", encoding="utf-8") as f:
+        return json.load(f)["definitions"]
+
+
+SCHEMA_DEFINITIONS = load_schema_definitions()
+
+# 各层级的子列表（groups / presets）以及分类二选一的 oneOf 由 validate_categories 按结构检查
+SCHEMA_LEVELS = ("category", "group", "preset")
+SCHEMA_CHILD_FIELDS = ("groups", "presets")
+
+SCHEMA_TYPES = {
+    "string": lambda v: isinstance(v, str),
+    "integer": lambda v: isinstance(v, int) and not isinstance(v, bool),
+    "boolean": lambda v: isinstance(v, bool),
+}
+
+
+def resolve_schema(schema):
+    """展开 {"$ref": "#/definitions/xxx"}"""
+    while "$ref" in schema:
+        schema = SCHEMA_DEFINITIONS[schema["$ref"].rsplit("/", 1)[-1]]
+    return schema
+
+
+def matches_schema(value, schema):
+    """按字段的 type / pattern / minimum / maximum 校验单个值（预设数据的字段只用到这些关键字）"""
+    schema = resolve_schema(schema)
+    if "type" in schema and not SCHEMA_TYPES[schema["type"]](value):
+        return False
+    if "pattern" in schema and not re.search(schema["pattern"], value):
+        return False
+    if "minimum" in schema and value < schema["minimum"]:
+        return False
+    if "maximum" in schema and value > schema["maximum"]:
+        return False
+    return True
+
+
+def schema_field_checks(level):
+    """字段名 -> 校验函数，不含子列表"""
+    properties = SCHEMA_DEFINITIONS[level]["properties"]
+    return {
+        key: (lambda value, field=field: matches_schema(value, field))
+        for key, field in properties.items() if key not in SCHEMA_CHILD_FIELDS
+    }
+
+
+# 各层级的字段校验规则，以及加载时必须存在的字段
+SCHEMA_FIELDS = {level: schema_field_checks(level) for level in SCHEMA_LEVELS}
+SCHEMA_REQUIRED = {
+    level: [key for key in SCHEMA_DEFINITIONS[level].get("required", []) if key in SCHEMA_FIELDS[level]]
+    for level in SCHEMA_LEVELS
+}
+
+# 旧的两层结构：分类直接包含 presets，可带 tier / negative_value
+LEGACY_CATEGORY_FIELDS = ("tier", "negative_value")
+
+
+def format_json_error(e):
+    return f"Invalid JSON: {e.msg} (line {e.lineno}, column {e.colno})"
+
+
+def check_fields(level, item, path, issues):
+    """校验 item 的字段：缺少必填字段或必填字段无效返回 False；无效的可选字段从 item 中移除"""
+    fields = SCHEMA_FIELDS[level]
+    for key in SCHEMA_REQUIRED[level]:
+        if key not in item:
+            issues.append({"path": path, "level": "error", "message": f"Missing required field \"{key}\""})
+            return False
+        if not fields[key](item[key]):
+            issues.append({"path": f"{path}.{key}", "level": "error", "message": f"Invalid value for \"{key}\""})
+            return False
+    for key in list(item.keys()):
+        check = fields.get(key)
+        if check and key not in SCHEMA_REQUIRED[level] and not check(item[key]):
+            issues.append({"path": f"{path}.{key}", "level": "warning", "message": f"Invalid value for \"{key}\", ignored"})
+            del item[key]
+    return True
+
+
+def validate_presets(presets, path, issues, seen_ids):
+    valid = []
+    for index, preset in enumerate(presets):
+        preset_path = f"{path}[{index}]"
+        if not isinstance(preset, dict):
+            issues.append({"path": preset_path, "level": "error", "message": "Preset must be an object"})
+            continue
+        preset = dict(preset)
+        if not check_fields("preset", preset, preset_path, issues):
+            continue
+        # id 可选；无效（check_fields 已移除）或重复时忽略，加载时重新生成
+        if "id" in preset:
+            if preset["id"] in seen_ids:
+                issues.append({"path": f"{preset_path}.id", "level": "warning", "message": f'Duplicate id "{preset["id"]}", ignored'})
+                del preset["id"]
+            else:
+                seen_ids.add(preset["id"])
+        valid.append(preset)
+    return valid
+
+
+def validate_categories(categories, base_path="$"):
+    """返回 (有效的分类列表, 问题列表)；不修改传入的数据"""
+    issues = []
+    valid = []
+    seen_ids = set()
+    for ci, category in enumerate(categories):
+        cat_path = f"{base_path}[{ci}]"
+        if not isinstance(category, dict):
+            issues.append({"path": cat_path, "level": "error", "message": "Category must be an object"})
+            continue
+        category = dict(category)
+        if not check_fields("category", category, cat_path, issues):
+            continue
+
+        if isinstance(category.get("groups"), list):
+            groups = []
+            for gi, group in enumerate(category["groups"]):
+                group_path = f"{cat_path}.groups[{gi}]"
+                if not isinstance(group, dict):
+                    issues.append({"path": group_path, "level": "error", "message": "Group must be an object"})
+                    continue
+                group = dict(group)
+                if not check_fields("group", group, group_path, issues):
+                    continue
+                if not isinstance(group.get("presets"), list):
+                    issues.append({"path": f"{group_path}.presets", "level": "error", "message": "Group must have a \"presets\" list"})
+                    continue
+                group["presets"] = validate_presets(group["presets"], f"{group_path}.presets", issues, seen_ids)
+                groups.append(group)
+            category["groups"] = groups
+        elif isinstance(category.get("presets"), list):
+            category["presets"] = validate_presets(category["presets"], f"{cat_path}.presets", issues, seen_ids)
+        else:
+            issues.append({"path": cat_path, "level": "error", "message": "Category must have a \"groups\" or \"presets\" list"})
+            continue
+        valid.append(category)
+    return valid, issues
+
+# ========================================
+# 预设 ID：前端按 ID 识别已添加的预设、查找层级和负向伴随值
+# 内置数据和编辑器保存的数据中每个预设都写有 id，改名后不变；
+# 未声明 id 的预设（如第三方预设包）按 包 / 分类 / 分组 / 名称 生成，修改 prompt_value 后不变，改名后会变
+# ========================================
+
+def derive_preset_id(pack_id, category, group, preset):
+    key = "\n".join([pack_id, category.get("category", ""), group.get("name", "") if group else "", preset.get("sub_category", "")])
+    return hashlib.sha1(key.encode("utf-8")).hexdigest()[:12]
+
+
+def assign_preset_ids(categories, pack_id):
+    """为没有 id 的预设生成 ID（原地修改）；同名预设依次加后缀 -2、-3……"""
+    entries = []
+    for category in categories:
+        if not isinstance(category, dict):
+            continue
+        groups = category.get("groups") if isinstance(category.get("groups"), list) else [None]
+        for group in groups:
+            owner = group if group is not None else category
+            if not isinstance(owner, dict) or not isinstance(owner.get("presets"), list):
+                continue
+            entries += [(category, group, preset) for preset in owner["presets"] if isinstance(preset, dict)]
+
+    taken = {preset["id"] for _c, _g, preset in entries if _non_empty_str(preset.get("id"))}
+    for category, group, preset in entries:
+        if _non_empty_str(preset.get("id")):
+            continue
+        base = derive_preset_id(pack_id, category, group, preset)
+        preset_id = base
+        suffix = 2
+        while preset_id in taken:
+            preset_id = f"{base}-{suffix}"
+            suffix += 1
+        preset["id"] = preset_id
+        taken.add(preset_id)
+    return categories
+
+# ========================================
+# 预设包：内置 prompt_presets.json + presets/ 目录 + 用户目录下的 presets/
+# ========================================
+
+BUILTIN_PACK_ID = "builtin"
+PACKS_DIR = os.path.join(CURRENT_DIR, "presets")
+USER_PACKS_DIR = os.path.join(USER_DATA_DIR, "presets")
+PACK_META_FIELDS = ("name", "version", "author", "description")
+
+
+def read_pack_file(path):
+    """读取预设包文件：可以是分类列表，也可以是带元数据的对象
+
+    { "name", "version", "author", "description", "categories": [...] }
+    返回 (元数据, 分类列表, 分类列表的 JSON 路径)；JSON 语法错误时抛出 ValueError
+    """
+    try:
+        with open(path, "r", encoding="utf-8") as f:
+            data = json.load(f)
+    except json.JSONDecodeError as e:
+        raise ValueError(format_json_error(e))
+    if isinstance(data, list):
+        return {}, data, "$"
+    if isinstance(data, dict) and isinstance(data.get("categories"), list):
+        meta = {key: data[key] for key in PACK_META_FIELDS if isinstance(data.get(key), str)}
+        return meta, data["categories"], "$.categories"
+    raise ValueError('Expected a list of categories or an object with "categories"')
+
+
+def discover_packs():
+    """返回 [{ id, source, path }]：内置包在前，其余按目录、文件名排序"""
+    packs = [{"id": BUILTIN_PACK_ID, "source": "builtin", "path": PRESETS_PATH}]
+    for source, directory in (("presets", PACKS_DIR), ("user", USER_PACKS_DIR)):
+        if not os.path.isdir(directory):
+            continue
+        for filename in sorted(os.listdir(directory)):
+            if filename.lower().endswith(".json"):
+                packs.append({
+                    "id": f"{source}/{filename}",
+                    "source": source,
+                    "path": os.path.join(directory, filename)
+                })
+    return packs
+
+
+def get_disabled_packs():
+    data = read_user_json(PACKS_FILE, {})
+    disabled = data.get("disabled") if isinstance(data, dict) else None
+    if not isinstance(disabled, list):
+        return []
+    return [pack_id for pack_id in disabled if isinstance(pack_id, str)]
+
+
+def load_packs():
+    """读取所有预设包；读取失败的包带 error 字段，不参与合并；issues 为校验发现的问题"""
+    disabled = set(get_disabled_packs())
+    packs = []
+    for pack in discover_packs():
+        info = {
+            "id": pack["id"],
+            "source": pack["source"],
+            "name": "",
+            "version": "",
+            "author": "",
+            "description": "",
+            "enabled": pack["id"] not in disabled,
+            "categories": [],
+            "error": None,
+            "issues": []
+        }
+        try:
+            meta, categories, base_path = read_pack_file(pack["path"])
+            info.update(meta)
+            info["categories"], info["issues"] = validate_categories(categories, base_path)
+            assign_preset_ids(info["categories"], pack["id"])
+        except Exception as e:
+            print(f"[PromptPresets] Error loading pack {pack['id']}: {e}")
+            info["error"] = str(e)
+        # 内置包的名称由前端按界面语言显示
+        if not info["name"] and pack["id"] != BUILTIN_PACK_ID:
+            info["name"] = os.path.splitext(os.path.basename(pack["path"]))[0]
+        packs.append(info)
+    return packs
+
+
+def merge_packs(packs):
+    """合并已启用的预设包：同名的三层结构分类合并分组；每个预设标注来源包 pack"""
+    merged = []
+    by_name = {}
+    for pack in packs:
+        if not pack["enabled"] or pack["error"]:
+            continue
+        for category in pack["categories"]:
+            if not isinstance(category, dict):
+                continue
+            category = copy.deepcopy(category)
+            groups = category.get("groups") if isinstance(category.get("groups"), list) else [category]
+            for group in groups:
+                if not isinstance(group, dict) or not isinstance(group.get("presets"), list):
+                    continue
+                for preset in group["presets"]:
+                    if isinstance(preset, dict):
+                        preset["pack"] = pack["id"]
+
+            name = category.get("category")
+            if isinstance(category.get("groups"), list):
+                if name in by_name:
+                    by_name[name]["groups"].extend(category["groups"])
+                    continue
+                by_name[name] = category
+            merged.append(category)
+    return merged
+
+
+def load_presets_data():
+    """菜单、排序和 Composer 节点使用的预设数据：所有已启用预设包合并后的结果"""
+    return merge_packs(load_packs())
+
 # 加载预设数据的 API
 @server.PromptServer.instance.routes.get("/prompt_presets/data")
 async def get_prompt_presets(request):
-    presets_path = os.path.join(CURRENT_DIR, "prompt_presets.json")
+    return web.json_response(load_presets_data())
+
+# 数据诊断 API - 所有预设包的读取错误和校验问题
+@server.PromptServer.instance.routes.get("/prompt_presets/diagnostics")
+async def get_diagnostics(request):
+    issues = []
+    for pack in load_packs():
+        if pack["error"]:
+            issues.append({"pack": pack["id"], "path": "$", "level": "error", "message": pack["error"]})
+        issues += [{"pack": pack["id"], **issue} for issue in pack["issues"]]
+    return web.json_response({"issues": issues})
+
+# 预设包 API - 列表（不含分类数据，附带统计）
+@server.PromptServer.instance.routes.get("/prompt_presets/packs")
+async def get_packs(request):
+    result = []
+    for pack in load_packs():
+        pack["issue_count"] = len(pack.pop("issues"))
+        categories = pack.pop("categories")
+        pack["category_count"] = len(categories)
+        pack["preset_count"] = sum(
+            len(group.get("presets") or [])
+            for category in categories if isinstance(category, dict)
+            for group in (category.get("groups") if isinstance(category.get("groups"), list) else [category])
+            if isinstance(group, dict)
+        )
+        result.append(pack)
+    return web.json_response(result)
+
+# 预设包 API - 保存停用列表
+@server.PromptServer.instance.routes.post("/prompt_presets/packs")
+async def save_packs(request):
     try:
-        with open(presets_path, "r", encoding="utf-8") as f:
-            data = json.load(f)
-        return web.json_response(data)
+        data = await request.json()
+    except Exception:
+        return web.json_response({"error": "Invalid JSON"}, status=400)
+
+    disabled = data.get("disabled") if isinstance(data, dict) else None
+    if not isinstance(disabled, list):
+        return web.json_response({"error": "Expected { disabled: [packId] }"}, status=400)
+
+    try:
+        write_user_json(PACKS_FILE, {"disabled": [p for p in disabled if isinstance(p, str)]})
+    except Exception as e:
+        print(f"[PromptPresets] Error saving packs: {e}")
+        return web.json_response({"error": str(e)}, status=500)
+
+    return web.json_response({"success": True})
+
+# ========================================
+# 内置预设库编辑 API
+# ========================================
+
+def _non_empty_str(value):
+    return isinstance(value, str) and value.strip() != ""
+
+
+# 各层级允许写入的字段：字段名 -> 校验函数（规则来自 schema；分类不写入旧结构的字段，预设 ID 由服务端生成）
+LIBRARY_FIELDS = {
+    level: {
+        key: check for key, check in SCHEMA_FIELDS[level].items()
+        if key != "id" and not (level == "category" and key in LEGACY_CATEGORY_FIELDS)
+    }
+    for level in SCHEMA_LEVELS
+}
+
+# 新建时必须提供的字段
+LIBRARY_REQUIRED = {
+    "category": ["category"],
+    "group": ["name", "tier"],
+    "preset": ["sub_category", "prompt_value"],
+}
+
+# path 的长度对应层级：[ci] 分类，[ci, gi] 分组，[ci, gi, pi] 预设
+LIBRARY_LEVELS = ["category", "group", "preset"]
+LIBRARY_CHILDREN = {"category": "groups", "group": "presets"}
+
+library_lock = asyncio.Lock()
+
+
+class LibraryError(Exception):
+    pass
+
+
+def clean_library_fields(level, data, partial):
+    """校验并只保留该层级允许的字段；值为 None 或空字符串的可选字段表示删除"""
+    if not isinstance(data, dict):
+        raise LibraryError("Expected an object")
+    fields = LIBRARY_FIELDS[level]
+    cleaned = {}
+    for key, value in data.items():
+        if key not in fields:
+            continue
+        if (value is None or value == "") and key not in LIBRARY_REQUIRED[level]:
+            cleaned[key] = None
+            continue
+        if not fields[key](value):
+            raise LibraryError(f"Invalid value for {level}.{key}")
+        cleaned[key] = value.strip() if isinstance(value, str) and key != "prompt_value" else value
+    if not partial:
+        missing = [key for key in LIBRARY_REQUIRED[level] if key not in cleaned]
+        if missing:
+            raise LibraryError(f"Missing {level} fields: {', '.join(missing)}")
+    return cleaned
+
+
+def apply_library_fields(item, cleaned):
+    for key, value in cleaned.items():
+        if value is None:
+            item.pop(key, None)
+        else:
+            item[key] = value
+
+
+def resolve_library_list(data, parent_path):
+    """返回 parent_path 下的子列表：[] -> 分类列表，[ci] -> 分组列表，[ci, gi] -> 预设列表"""
+    items = data
+    for depth, index in enumerate(parent_path):
+        if not isinstance(index, int) or isinstance(index, bool) or not 0 <= index < len(items):
+            raise LibraryError("Invalid path")
+        level = LIBRARY_LEVELS[depth]
+        child_key = LIBRARY_CHILDREN[level]
+        if not isinstance(items[index].get(child_key), list):
+            raise LibraryError(f"{level} has no {child_key}")
+        items = items[index][child_key]
+    return items
+
+
+def parse_library_path(path, min_length, max_length):
+    if not isinstance(path, list) or not min_length <= len(path) <= max_length:
+        raise LibraryError("Invalid path")
+    return path
+
+
+def file_revision(path):
+    """文件内容的摘要，编辑器据此判断读取之后文件是否被修改过；文件不存在时为空字符串"""
+    try:
+        with open(path, "rb") as f:
+            return hashlib.sha1(f.read()).hexdigest()
+    except OSError:
+        return ""
+
+
+def read_library():
+    """读取编辑器使用的内置预设数据：与加载时相同，先校验再生成 ID，编辑器的索引路径与菜单中的数据一致
+
+    返回 (分类列表, 校验问题)；文件无法解析或不是分类列表时抛出 ValueError
+    """
+    _meta, categories, base_path = read_pack_file(PRESETS_PATH)
+    if base_path != "$":
+        raise ValueError("prompt_presets.json must be a list of categories")
+    categories, issues = validate_categories(categories)
+    assign_preset_ids(categories, BUILTIN_PACK_ID)
+    return categories, issues
+
+
+def save_presets_data(data):
+    """原子写入 prompt_presets.json，写入前把原文件备份为 prompt_presets.json.bak"""
+    if os.path.exists(PRESETS_PATH):
+        shutil.copy2(PRESETS_PATH, PRESETS_PATH + ".bak")
+    tmp_path = PRESETS_PATH + ".tmp"
+    with open(tmp_path, "w", encoding="utf-8") as f:
+        json.dump(data, f, ensure_ascii=False, indent=4)
+    os.replace(tmp_path, PRESETS_PATH)
+
+
+async def edit_library(request, edit):
+    """读取请求体，对预设数据执行 edit(data, body) 后保存；返回保存后的完整数据和新的 revision
+
+    body.revision 为读取数据时得到的 revision；文件在此之后被修改过（热更新、其他页面的编辑）时返回 409，
+    避免按过期的索引路径改到或删掉别的条目
+    """
+    try:
+        body = await request.json()
+    except Exception:
+        return web.json_response({"error": "Invalid JSON"}, status=400)
+    if not isinstance(body, dict):
+        return web.json_response({"error": "Expected an object"}, status=400)
+
+    async with library_lock:
+        if body.get("revision") != file_revision(PRESETS_PATH):
+            return web.json_response({"error": "prompt_presets.json has changed since it was loaded", "conflict": True}, status=409)
+        # 修改直接作用于文件的原始内容，校验只针对副本：校验时被跳过的条目、被忽略的字段都不会被改写或丢掉
+        # 文件无法解析或有任何校验问题时拒绝写入（此时编辑器看到的数据与文件不一致，索引路径也可能对不上）
+        try:
+            _meta, data, base_path = read_pack_file(PRESETS_PATH)
+        except Exception as e:
+            return web.json_response({"error": f"prompt_presets.json could not be read: {e}"}, status=409)
+        if base_path != "$":
+            return web.json_response({"error": "prompt_presets.json must be a list of categories"}, status=409)
+        _valid, issues = validate_categories(data)
+        if issues:
+            return web.json_response({"error": f"prompt_presets.json has {len(issues)} problems, see diagnostics"}, status=409)
+        try:
+            # 没有校验问题时原始数据与加载时的数据结构相同，生成的 ID 与加载时一致；
+            # 已有预设的 ID 随数据一起写入文件，改名后 ID 保持不变；新建的预设随后生成 ID
+            assign_preset_ids(data, BUILTIN_PACK_ID)
+            edit(data, body)
+            assign_preset_ids(data, BUILTIN_PACK_ID)
+        except LibraryError as e:
+            return web.json_response({"error": str(e)}, status=400)
+        try:
+            save_presets_data(data)
+        except Exception as e:
+            print(f"[PromptPresets] Error saving presets: {e}")
+            return web.json_response({"error": str(e)}, status=500)
+        revision = file_revision(PRESETS_PATH)
+
+    return web.json_response({"success": True, "data": data, "revision": revision})
+
+
+def create_library_item(data, body):
+    # path: 父级路径（[] / [ci] / [ci, gi]）；index: 插入位置，省略时追加到末尾
+    parent_path = parse_library_path(body.get("path", []), 0, 2)
+    level = LIBRARY_LEVELS[len(parent_path)]
+    items = resolve_library_list(data, parent_path)
+    cleaned = clean_library_fields(level, body.get("data"), partial=False)
+
+    item = {}
+    apply_library_fields(item, cleaned)
+    if level in LIBRARY_CHILDREN:
+        item[LIBRARY_CHILDREN[level]] = []
+
+    index = body.get("index")
+    if not isinstance(index, int) or isinstance(index, bool) or not 0 <= index <= len(items):
+        index = len(items)
+    items.insert(index, item)
+
+
+def update_library_item(data, body):
+    # data: 要修改的字段；move_to: 在同级中移动到的位置
+    path = parse_library_path(body.get("path"), 1, 3)
+    level = LIBRARY_LEVELS[len(path) - 1]
+    items = resolve_library_list(data, path[:-1])
+    index = path[-1]
+    if not isinstance(index, int) or isinstance(index, bool) or not 0 <= index < len(items):
+        raise LibraryError("Invalid path")
+
+    if body.get("data") is not None:
+        apply_library_fields(items[index], clean_library_fields(level, body["data"], partial=True))
+
+    move_to = body.get("move_to")
+    if move_to is not None:
+        if not isinstance(move_to, int) or isinstance(move_to, bool) or not 0 <= move_to < len(items):
+            raise LibraryError("Invalid move_to")
+        items.insert(move_to, items.pop(index))
+
+
+def delete_library_item(data, body):
+    path = parse_library_path(body.get("path"), 1, 3)
+    items = resolve_library_list(data, path[:-1])
+    index = path[-1]
+    if not isinstance(index, int) or isinstance(index, bool) or not 0 <= index < len(items):
+        raise LibraryError("Invalid path")
+    items.pop(index)
+
+
+# 读取内置预设（编辑器只编辑 prompt_presets.json，不含其他预设包）
+# 返回 { data, revision }；修改时带上 revision
+@server.PromptServer.instance.routes.get("/prompt_presets/library")
+async def get_library(request):
+    # 先取 revision 再读数据：两者之间文件被修改时，之后的编辑会因 revision 不一致被拒绝
+    revision = file_revision(PRESETS_PATH)
+    try:
+        data, _issues = read_library()
     except Exception as e:
         print(f"[PromptPresets] Error loading presets: {e}")
-        return web.json_response([])
+        data = []
+    return web.json_response({"data": data, "revision": revision})
+
+# 新建分类 / 分组 / 预设
+@server.PromptServer.instance.routes.post("/prompt_presets/library")
+async def create_library_entry(request):
+    return await edit_library(request, create_library_item)
+
+# 修改字段或调整顺序
+@server.PromptServer.instance.routes.put("/prompt_presets/library")
+async def update_library_entry(request):
+    return await edit_library(request, update_library_item)
+
+# 删除（分类、分组连同其下内容）
+@server.PromptServer.instance.routes.delete("/prompt_presets/library")
+async def delete_library_entry(request):
+    return await edit_library(request, delete_library_item)
+
+# ========================================
+# 预设数据热更新：监视文件变化，通过 websocket 通知前端重新加载
+# ========================================
+
+PREVIEWS_DIR = os.path.join(CURRENT_DIR, "previews")
+WATCH_INTERVAL = 2.0
+
+
+def get_data_version():
+    """预设文件、预设包目录、预览目录及其中文件的最新修改时间（毫秒），用作数据版本号"""
+    paths = [PRESETS_PATH]
+    for directory in (PACKS_DIR, USER_PACKS_DIR, PREVIEWS_DIR):
+        if os.path.isdir(directory):
+            paths.append(directory)
+            paths += [os.path.join(directory, name) for name in os.listdir(directory)]
+    latest = 0
+    for path in paths:
+        try:
+            latest = max(latest, os.path.getmtime(path))
+        except OSError:
+            pass
+    return int(latest * 1000)
+
+
+def watch_presets_data():
+    """后台线程：轮询修改时间，变化时发送 prompt_presets.changed 事件"""
+    last_version = get_data_version()
+    while True:
+        time.sleep(WATCH_INTERVAL)
+        try:
+            version = get_data_version()
+            if version != last_version:
+                last_version = version
+                server.PromptServer.instance.send_sync("prompt_presets.changed", {"version": version})
+        except Exception as e:
+            print(f"[PromptPresets] Error watching preset data: {e}")
+
+
+threading.Thread(target=watch_presets_data, name="PromptPresetsWatcher", daemon=True).start()
+
+# 用户自定义预设 API - 读取
+@server.PromptServer.instance.routes.get("/prompt_presets/custom")
+async def get_custom_presets(request):
+    data = read_user_json(CUSTOM_PRESETS_FILE, [])
+    if not isinstance(data, list):
+        data = []
+    return web.json_response(data)
+
+# 用户自定义预设 API - 整体保存
+@server.PromptServer.instance.routes.post("/prompt_presets/custom")
+async def save_custom_presets(request):
+    try:
+        data = await request.json()
+    except Exception:
+        return web.json_response({"error": "Invalid JSON"}, status=400)
+
+    if not isinstance(data, list):
+        return web.json_response({"error": "Expected a list of presets"}, status=400)
+
+    # 只保留合法条目：{ name, value } 均为非空字符串
+    presets = []
+    for item in data:
+        if not isinstance(item, dict):
+            continue
+        name = item.get("name")
+        value = item.get("value")
+        if isinstance(name, str) and isinstance(value, str) and name and value:
+            presets.append(item)
+
+    try:
+        write_user_json(CUSTOM_PRESETS_FILE, presets)
+    except Exception as e:
+        print(f"[PromptPresets] Error saving custom presets: {e}")
+        return web.json_response({"error": str(e)}, status=500)
+
+    return web.json_response({"success": True, "count": len(presets)})
+
+# 组合预设 API - 读取
+@server.PromptServer.instance.routes.get("/prompt_presets/bundles")
+async def get_bundles(request):
+    data = read_user_json(BUNDLES_FILE, [])
+    if not isinstance(data, list):
+        data = []
+    return web.json_response(data)
+
+# 组合预设 API - 整体保存
+@server.PromptServer.instance.routes.post("/prompt_presets/bundles")
+async def save_bundles(request):
+    try:
+        data = await request.json()
+    except Exception:
+        return web.json_response({"error": "Invalid JSON"}, status=400)
+
+    if not isinstance(data, list):
+        return web.json_response({"error": "Expected a list of bundles"}, status=400)
+
+    # 只保留合法条目：{ name, items: [{ source, id, name, value }] }（内置预设带预设 ID）
+    bundles = []
+    for bundle in data:
+        if not isinstance(bundle, dict):
+            continue
+        name = bundle.get("name")
+        items = bundle.get("items")
+        if not isinstance(name, str) or not name or not isinstance(items, list):
+            continue
+        valid_items = [
+            item for item in items
+            if isinstance(item, dict)
+            and item.get("source") in ("builtin", "custom")
+            and isinstance(item.get("value"), str)
+        ]
+        bundles.append({**bundle, "items": valid_items})
+
+    try:
+        write_user_json(BUNDLES_FILE, bundles)
+    except Exception as e:
+        print(f"[PromptPresets] Error saving bundles: {e}")
+        return web.json_response({"error": str(e)}, status=500)
+
+    return web.json_response({"success": True, "count": len(bundles)})
+
+# 使用统计与收藏 API - 读取
+@server.PromptServer.instance.routes.get("/prompt_presets/usage")
+async def get_usage(request):
+    data = read_user_json(USAGE_FILE, {})
+    if not isinstance(data, dict):
+        data = {}
+    return web.json_response({
+        "favorites": data.get("favorites") if isinstance(data.get("favorites"), list) else [],
+        "usage": data.get("usage") if isinstance(data.get("usage"), dict) else {}
+    })
+
+# 使用统计与收藏 API - 整体保存
+@server.PromptServer.instance.routes.post("/prompt_presets/usage")
+async def save_usage(request):
+    try:
+        data = await request.json()
+    except Exception:
+        return web.json_response({"error": "Invalid JSON"}, status=400)
+
+    if not isinstance(data, dict):
+        return web.json_response({"error": "Expected an object"}, status=400)
+
+    # 内置预设以预设 ID 为键，自定义预设以提示词值为键：favorites: [key]；usage: { key: { count, last } }
+    favorites = data.get("favorites")
+    if favorites is None:
+        favorites = []
+    if not isinstance(favorites, list):
+        return web.json_response({"error": "Expected favorites to be a list"}, status=400)
+    raw_usage = data.get("usage")
+    if raw_usage is None:
+        raw_usage = {}
+    if not isinstance(raw_usage, dict):
+        return web.json_response({"error": "Expected usage to be an object"}, status=400)
+
+    favorites = [v for v in favorites if isinstance(v, str) and v]
+    usage = {}
+    for key, stat in raw_usage.items():
+        if not isinstance(key, str) or not key or not isinstance(stat, dict):
+            continue
+        count = stat.get("count")
+        last = stat.get("last")
+        if isinstance(count, int) and count > 0 and isinstance(last, (int, float)):
+            usage[key] = {"count": count, "last": last}
+
+    try:
+        write_user_json(USAGE_FILE, {"favorites": favorites, "usage": usage})
+    except Exception as e:
+        print(f"[PromptPresets] Error saving usage: {e}")
+        return web.json_response({"error": str(e)}, status=500)
+
+    return web.json_response({"success": True})
 
 # 预览文件服务 API - 使用正则匹配完整文件名（包括扩展名）
 @server.PromptServer.instance.routes.get("/prompt_presets/preview/{filename:.+}")
@@ -73,9 +880,186 @@ async def get_preview_file(request):
         print(f"[PromptPresets] Error serving preview: {e}")
         return web.Response(status=500, text="Error reading file")
 
-# 空的节点映射（这是纯 UI 插件，没有节点）
-NODE_CLASS_MAPPINGS = {}
-NODE_DISPLAY_NAME_MAPPINGS = {}
+# ========================================
+# Prompt Preset Composer 节点
+# ========================================
+
+# 分类输入未选择任何预设时的值
+COMPOSER_NONE = "none"
+
+# 与前端一致的默认层级顺序，"user" 为主体文本所在的位置
+DEFAULT_TIER_ORDER = ["1", "2", "3", "user", "4", "5", "6", "7"]
+DEFAULT_FALLBACK_TIER = "4"
+
+
+def category_input_name(category, index, taken):
+    """分类对应的输入名：英文名转为 snake_case，没有可用字符时使用 category_N（前端 getComposerInputName 同规则）"""
+    source = category.get("category_en") or category.get("category") or ""
+    name = re.sub(r"[^0-9a-z]+", "_", str(source).lower()).strip("_") or f"category_{index + 1}"
+    if name in taken or name in ("subject", "ordering"):
+        name = f"{name}_{index + 1}"
+    return name
+
+
+def get_category_inputs(presets_data):
+    """返回 [(输入名, 分类)]，顺序与预设数据一致"""
+    result = []
+    taken = set()
+    for index, category in enumerate(presets_data):
+        if not isinstance(category, dict):
+            continue
+        name = category_input_name(category, index, taken)
+        taken.add(name)
+        result.append((name, category))
+    return result
+
+
+def build_preset_index(presets_data):
+    """预设 ID -> { value, group_key, tier, camera }，兼容三层结构和旧的两层结构"""
+    index = {}
+    for category in presets_data:
+        if not isinstance(category, dict):
+            continue
+        groups = category.get("groups") if isinstance(category.get("groups"), list) else [category]
+        for group in groups:
+            if not isinstance(group, dict) or not isinstance(group.get("presets"), list):
+                continue
+            group_name = group.get("name", "") if group is not category else ""
+            info = {
+                "group_key": f"{category.get('category', '')}/{group_name}",
+                "tier": str(group["tier"]) if group.get("tier") not in (None, "") else None,
+                "camera": bool(group.get("camera_movement"))
+            }
+            for preset in group["presets"]:
+                if isinstance(preset, dict) and preset.get("id") and preset.get("prompt_value"):
+                    index[preset["id"]] = {**info, "value": preset["prompt_value"]}
+    return index
+
+
+def parse_selection(text):
+    """分类输入中保存的是所选预设的 JSON 数组 [{ id, value }]，返回 [(id, value)]
+
+    value 为选择时的提示词，预设已不存在时使用；旧版本保存的预设值字符串和逐行填写的纯文本没有 id，
+    "none" 表示未选择
+    """
+    if not text or not text.strip() or text.strip() == COMPOSER_NONE:
+        return []
+    try:
+        data = json.loads(text)
+        if isinstance(data, list):
+            result = []
+            for item in data:
+                if isinstance(item, str) and item:
+                    result.append((None, item))
+                elif isinstance(item, dict) and isinstance(item.get("value"), str):
+                    result.append((item.get("id") if isinstance(item.get("id"), str) else None, item["value"]))
+            return result
+    except Exception:
+        pass
+    return [(None, line.strip()) for line in text.splitlines() if line.strip()]
+
+
+def compose_prompt(subject, selections, ordering, presets_data):
+    """按层级顺序拼接：用户文本位置之前的层级、主体文本、之后的层级
+
+    selections 为 parse_selection 的结果 [(id, value)]：按 ID 使用预设当前的提示词（修改预设内容后仍然有效），
+    没有 ID 的旧选择按预设值查找层级
+
+    ordering 由前端在提交时写入（见 web/prompt_presets.js 的 syncComposerOrdering）：
+    { order: [tierId], separator, allow_camera, default_tier, group_tiers: { groupKey: tierId } }
+    """
+    order = [str(t) for t in ordering.get("order") or []] or DEFAULT_TIER_ORDER
+    # 顺序里缺少用户文本时把它补在最后，未列出的层级（rank 为 len(order)）排在用户文本之后，不会被丢掉
+    if "user" not in order:
+        order = order + ["user"]
+    separator = ordering.get("separator") or ", "
+    allow_camera = ordering.get("allow_camera", True) is not False
+    default_tier = str(ordering.get("default_tier") or DEFAULT_FALLBACK_TIER)
+    group_tiers = ordering.get("group_tiers") if isinstance(ordering.get("group_tiers"), dict) else {}
+
+    index = build_preset_index(presets_data)
+    by_value = {}
+    for info in index.values():
+        by_value.setdefault(info["value"], info)
+
+    def rank_of(tier):
+        if tier in order:
+            return order.index(tier)
+        return order.index(default_tier) if default_tier in order else len(order)
+
+    items = []
+    seen = set()
+    for preset_id, value in selections:
+        info = index.get(preset_id) or by_value.get(value)
+        if info:
+            value = info["value"]
+        if value in seen:
+            continue
+        seen.add(value)
+        if info and info["camera"] and not allow_camera:
+            continue
+        tier = default_tier
+        if info:
+            tier = str(group_tiers.get(info["group_key"]) or info["tier"] or default_tier)
+        items.append((rank_of(tier), value))
+
+    # 排序稳定：同一层级内保持选择顺序
+    items.sort(key=lambda item: item[0])
+    user_rank = order.index("user")
+
+    parts = [value for rank, value in items if rank < user_rank]
+    if subject and subject.strip():
+        parts.append(subject.strip())
+    parts += [value for rank, value in items if rank > user_rank]
+    return separator.join(parts)
+
+
+class PromptPresetComposer:
+    """按分类多选预设，与主体文本一起按层级排序后输出 STRING"""
+
+    @classmethod
+    def INPUT_TYPES(cls):
+        # 每个分类一个输入，保存所选预设值（前端替换为选择按钮）
+        # 分类输入都是可选的：增删或重命名分类、启用或停用预设包后，已保存的工作流仍能通过校验
+        optional = {}
+        for name, _category in get_category_inputs(load_presets_data()):
+            optional[name] = ("STRING", {"default": COMPOSER_NONE})
+        optional["ordering"] = ("STRING", {"default": ""})
+        return {
+            "required": {
+                "subject": ("STRING", {"multiline": True, "default": ""}),
+            },
+            "optional": optional
+        }
+
+    RETURN_TYPES = ("STRING",)
+    RETURN_NAMES = ("prompt",)
+    FUNCTION = "compose"
+    CATEGORY = "Prompt Presets"
+
+    def compose(self, subject, ordering="", **selections):
+        presets_data = load_presets_data()
+        try:
+            ordering_data = json.loads(ordering) if ordering and ordering.strip() else {}
+        except Exception:
+            ordering_data = {}
+        if not isinstance(ordering_data, dict):
+            ordering_data = {}
+
+        # 只读取当前存在的分类，工作流中已不存在的分类输入忽略
+        selected = []
+        for name, _category in get_category_inputs(presets_data):
+            selected += parse_selection(selections.get(name, ""))
+
+        return (compose_prompt(subject, selected, ordering_data, presets_data),)
+
+
+NODE_CLASS_MAPPINGS = {
+    "PromptPresetComposer": PromptPresetComposer,
+}
+NODE_DISPLAY_NAME_MAPPINGS = {
+    "PromptPresetComposer": "Prompt Preset Composer",
+}
 
 # Web 目录
 WEB_DIRECTORY = "./web"
@@ -8,41 +8,934 @@ import { api } from "../../scripts/api.js";
  * 功能：
  * - 悬浮圆形按钮，鼠标悬停显示级联菜单
  * - 点击预设追加到任何有 prompt/text 输入框的节点
- * - 用户自定义预设（localStorage 存储）
- * - 记录添加历史，支持选择性删除和编辑
+ * - 用户自定义预设（服务端 JSON 文件存储）
+ * - 记录添加历史（保存在节点属性中，随工作流持久化），支持选择性删除和编辑
  */
 
 // 内置的提示词输入框 widget 名称列表
 const BUILTIN_PROMPT_WIDGET_NAMES = ["prompt", "text", "positive", "negative", "clip_text", "string"];
 
+// ========================================
+// ComfyUI 设置项（设置对话框中的 Prompt Presets 分类）
+// ========================================
+
+const SETTING_IDS = {
+    autoReorder: "PromptPresets.AutoReorder",
+    markerMode: "PromptPresets.MarkerMode",
+    markers: "PromptPresets.Markers",
+    stripOnQueue: "PromptPresets.StripMarkersOnQueue",
+    tiers: "PromptPresets.Tiers",
+    profile: "PromptPresets.OrderingProfile",
+    profiles: "PromptPresets.OrderingProfiles",
+    hideDelay: "PromptPresets.MenuHideDelay",
+    buttonPosition: "PromptPresets.ButtonPosition",
+    whitelist: "PromptPresets.WidgetWhitelist",
+    blacklist: "PromptPresets.WidgetBlacklist",
+    language: "PromptPresets.Language"
+};
+
+const DEFAULT_MARKERS = "【】";
+const MARKER_MODES = ["brackets", "custom", "none"];
+const DEFAULT_HIDE_DELAY = 150;
+const DEFAULT_BUTTON_POSITION = { right: 20, bottom: 80 };
+
+// 读取设置项；设置尚未注册或读取失败时返回默认值
+function getSetting(id, defaultValue) {
+    try {
+        const value = app.ui?.settings?.getSettingValue?.(id);
+        return value === undefined || value === null ? defaultValue : value;
+    } catch (e) {
+        return defaultValue;
+    }
+}
+
+function setSetting(id, value) {
+    try {
+        // 新版前端返回 Promise，旧版同步保存
+        const result = app.ui?.settings?.setSettingValue?.(id, value);
+        if (result?.catch) {
+            result.catch(e => console.error(`[PromptPresets] Failed to save setting ${id}:`, e));
+        }
+    } catch (e) {
+        console.error(`[PromptPresets] Failed to save setting ${id}:`, e);
+    }
+}
+
+// "a, b\nc" -> ["a", "b", "c"]
+function parseNameList(text) {
+    return String(text || "").split(/[,，\n]/).map(s => s.trim()).filter(Boolean);
+}
+
+// 一次性迁移：旧版存放在 localStorage 中的配置写入对应设置项（设置项仍为默认值时才写入）
+function migrateLegacySetting(storageKey, apply) {
+    try {
+        const raw = localStorage.getItem(storageKey);
+        if (raw === null) return;
+        apply(raw);
+        localStorage.removeItem(storageKey);
+    } catch (e) {
+        console.error(`[PromptPresets] Failed to migrate ${storageKey}:`, e);
+    }
+}
+
+// 在 setup 中注册全部设置项，并迁移旧版 localStorage 配置
+function registerSettings() {
+    const settings = app.ui?.settings;
+    if (!settings?.addSetting) return;
+
+    const category = (section, name) => ["Prompt Presets", section, name];
+
+    settings.addSetting({
+        id: SETTING_IDS.language,
+        category: category(t("settingSectionGeneral"), "Language"),
+        name: t("settingLanguage"),
+        type: "combo",
+        options: [
+            { value: "auto", text: t("langAuto") },
+            { value: "zh", text: UI_STRINGS.zh.langName },
+            { value: "en", text: UI_STRINGS.en.langName }
+        ],
+        defaultValue: "auto",
+        onChange: () => {
+            const floatBtn = document.getElementById("prompt-presets-float-btn");
+            if (floatBtn) floatBtn.title = t("floatBtnTitle");
+        }
+    });
+
+    settings.addSetting({
+        id: SETTING_IDS.autoReorder,
+        category: category(t("settingSectionPrompt"), "AutoReorder"),
+        name: t("settingAutoReorder"),
+        tooltip: t("settingAutoReorderTooltip"),
+        type: "boolean",
+        defaultValue: true
+    });
+
+    settings.addSetting({
+        id: SETTING_IDS.markerMode,
+        category: category(t("settingSectionPrompt"), "MarkerMode"),
+        name: t("settingMarkerMode"),
+        tooltip: t("settingMarkerModeTooltip"),
+        type: "combo",
+        options: [
+            { value: "brackets", text: t("markerModeBrackets") },
+            { value: "custom", text: t("markerModeCustom") },
+            { value: "none", text: t("markerModeNone") }
+        ],
+        defaultValue: "brackets"
+    });
+
+    settings.addSetting({
+        id: SETTING_IDS.markers,
+        category: category(t("settingSectionPrompt"), "Markers"),
+        name: t("settingMarkers"),
+        tooltip: t("settingMarkersTooltip"),
+        type: "text",
+        defaultValue: DEFAULT_MARKERS,
+        onChange: (value) => {
+            if (value && !parseMarkers(value)) {
+                presetsUI?.showToast(t("markersInvalid", { value }), "warning");
+            }
+        }
+    });
+
+    settings.addSetting({
+        id: SETTING_IDS.stripOnQueue,
+        category: category(t("settingSectionPrompt"), "StripOnQueue"),
+        name: t("settingStripOnQueue"),
+        tooltip: t("settingStripOnQueueTooltip"),
+        type: "boolean",
+        defaultValue: true
+    });
+
+    settings.addSetting({
+        id: SETTING_IDS.whitelist,
+        category: category(t("settingSectionWidgets"), "Whitelist"),
+        name: t("settingWhitelist"),
+        tooltip: t("settingWhitelistTooltip"),
+        type: "text",
+        defaultValue: "",
+        onChange: (value) => {
+            widgetConfigManager.config.whitelist = parseNameList(value);
+        }
+    });
+
+    settings.addSetting({
+        id: SETTING_IDS.blacklist,
+        category: category(t("settingSectionWidgets"), "Blacklist"),
+        name: t("settingBlacklist"),
+        tooltip: t("settingBlacklistTooltip"),
+        type: "text",
+        defaultValue: "",
+        onChange: (value) => {
+            widgetConfigManager.config.blacklist = parseNameList(value);
+        }
+    });
+
+    settings.addSetting({
+        id: SETTING_IDS.hideDelay,
+        category: category(t("settingSectionMenu"), "HideDelay"),
+        name: t("settingHideDelay"),
+        tooltip: t("settingHideDelayTooltip"),
+        type: "slider",
+        attrs: { min: 0, max: 1000, step: 50 },
+        defaultValue: DEFAULT_HIDE_DELAY
+    });
+
+    settings.addSetting({
+        id: SETTING_IDS.profile,
+        category: category(t("settingSectionPrompt"), "OrderingProfile"),
+        name: t("settingProfile"),
+        tooltip: t("settingProfileTooltip"),
+        type: "combo",
+        // 方案可在 ⚙️ 设置面板中增删，选项每次打开设置对话框时重新生成
+        options: () => [
+            { value: AUTO_PROFILE_ID, text: t("profileAuto") },
+            ...profileManager.getAll().map(profile => ({ value: profile.id, text: displayProfileName(profile) }))
+        ],
+        defaultValue: AUTO_PROFILE_ID
+    });
+
+    // 排序方案由 ⚙️ 设置面板中的「排序方案」编辑器写入，不在设置对话框中显示
+    settings.addSetting({
+        id: SETTING_IDS.profiles,
+        name: "Prompt Presets ordering profiles",
+        type: "hidden",
+        defaultValue: null,
+        onChange: () => profileManager.load()
+    });
+
+    // 排序层级由 ⚙️ 设置面板中的「排序层级」编辑器写入，不在设置对话框中显示
+    settings.addSetting({
+        id: SETTING_IDS.tiers,
+        name: "Prompt Presets tiers",
+        type: "hidden",
+        defaultValue: {},
+        onChange: () => tierManager.load()
+    });
+
+    // 悬浮按钮位置由拖拽写入，不在设置对话框中显示
+    settings.addSetting({
+        id: SETTING_IDS.buttonPosition,
+        name: "Prompt Presets button position",
+        type: "hidden",
+        defaultValue: DEFAULT_BUTTON_POSITION
+    });
+
+    migrateLegacySetting("prompt_presets_language", (raw) => {
+        if (getSetting(SETTING_IDS.language, "auto") === "auto") setSetting(SETTING_IDS.language, raw);
+    });
+    migrateLegacySetting("prompt_presets_btn_pos", (raw) => {
+        const pos = JSON.parse(raw);
+        const current = getSetting(SETTING_IDS.buttonPosition, DEFAULT_BUTTON_POSITION);
+        if (current.right === DEFAULT_BUTTON_POSITION.right && current.bottom === DEFAULT_BUTTON_POSITION.bottom) {
+            setSetting(SETTING_IDS.buttonPosition, pos);
+        }
+    });
+    migrateLegacySetting("prompt_presets_widget_config", (raw) => {
+        const legacy = JSON.parse(raw);
+        if (!getSetting(SETTING_IDS.whitelist, "") && legacy.whitelist?.length) {
+            setSetting(SETTING_IDS.whitelist, legacy.whitelist.join(", "));
+        }
+        if (!getSetting(SETTING_IDS.blacklist, "") && legacy.blacklist?.length) {
+            setSetting(SETTING_IDS.blacklist, legacy.blacklist.join(", "));
+        }
+    });
+
+    widgetConfigManager.load();
+    tierManager.load();
+    profileManager.load();
+}
+
+// ========================================
+// 多语言（中文 / English）
+// ========================================
+
+// 界面文字表：缺失的条目回退到中文，再回退到 key 本身
+const UI_STRINGS = {
+    zh: {
+        langName: "中文",
+        floatBtnTitle: "提示词预设 (可拖拽)",
+        loadFailed: "未能加载预设数据",
+        menuSearch: "🔍 搜索预设...",
+        menuCustom: "✨ 自定义",
+        menuBundles: "📦 组合预设",
+        menuManage: "🗑️ 管理已添加",
+        menuSettings: "⚙️ 设置",
+        menuLanguage: "🌐 语言：{lang}",
+        langAuto: "跟随 ComfyUI",
+        exclusiveGroup: "{name} · 单选",
+        shiftClickWeight: "Shift+点击可设置权重",
+        addCustomPreset: "➕ 添加新预设",
+        manageCustomPresets: "✏️ 管理自定义预设",
+        bundleItemCount: "{n} 项",
+        newBundle: "➕ 新建组合",
+        manageBundles: "✏️ 管理组合",
+        editBundleTitle: "✏️ 编辑组合",
+        newBundleTitle: "📦 新建组合",
+        bundleNamePlaceholder: "组合名称，例如：电影感特写",
+        bundleSearchPlaceholder: "🔍 搜索要加入的预设...",
+        bundleSelected: "已选预设（{n}，按添加顺序）",
+        bundleSelectedEmpty: "从下方列表点击添加预设",
+        clickToRemove: "点击移除",
+        createBundle: "创建组合",
+        bundleNeedsNameAndItems: "请填写名称并至少选择一个预设",
+        bundleUpdated: "✓ 组合已更新",
+        bundleCreated: "✓ 组合已创建",
+        manageBundlesTitle: "📦 管理组合",
+        noBundles: "暂无组合",
+        menuFavorites: "⭐ 收藏",
+        menuRecent: "🕘 最近使用",
+        menuUsageStats: "📊 使用统计",
+        noFavorites: "暂无收藏，点击预设旁的 ☆ 收藏",
+        noRecent: "暂无使用记录",
+        favorite: "收藏",
+        unfavorite: "取消收藏",
+        usageStatsTitle: "📊 使用统计",
+        noUsageStats: "暂无使用记录",
+        usageCount: "{n} 次",
+        usageLastUsed: "{path} · 最近使用：{time}",
+        resetUsageCounts: "重置计数",
+        usageCountsReset: "✓ 已重置使用计数",
+        dragToNodeHint: "拖动到画布上的节点可直接添加",
+        dropNoNode: "未放到节点上，已取消",
+        nodeMenuTitle: "📝 提示词预设",
+        composerButton: "{category}：已选 {n} 项",
+        composerButtonEmpty: "{category}：未选择",
+        composerClear: "清空",
+        composerApply: "应用",
+        menuLibrary: "📚 编辑预设库",
+        libraryTitle: "📚 编辑预设库",
+        libraryHint: "修改会立即写入 prompt_presets.json，写入前的文件备份为 prompt_presets.json.bak",
+        libraryEmpty: "预设库为空",
+        libraryAddCategory: "+ 新建分类",
+        libraryAddGroup: "+ 分组",
+        libraryAddPreset: "+ 预设",
+        libraryConfirmDelete: "确认删除？",
+        libraryGroupCount: "{n} 个分组",
+        libraryPresetCount: "{n} 个预设",
+        libraryLegacyCategory: "旧版两层结构",
+        libraryTierMeta: "Tier {tier}",
+        libraryExclusive: "单选",
+        libraryLevel_category: "分类",
+        libraryLevel_group: "分组",
+        libraryLevel_preset: "预设",
+        libraryNewTitle: "新建{level}",
+        libraryEditTitle: "编辑{level}",
+        libraryFieldCategory: "分类名称",
+        libraryFieldGroup: "分组名称",
+        libraryFieldEnglishName: "英文名称",
+        libraryFieldTier: "排序层级",
+        libraryFieldExclusive: "互斥分组（只能选一项）",
+        libraryFieldCamera: "运镜分组（不使用运镜的排序方案中不可添加）",
+        libraryFieldImage: "预览文件名（previews 目录下）",
+        libraryFieldRequired: "请填写{field}",
+        libraryCreate: "创建",
+        librarySaved: "✓ 已保存到预设库",
+        librarySaveFailed: "保存失败：{error}",
+        libraryConflict: "预设库文件已被修改，已重新读取，请重新操作",
+        menuRefresh: "🔄 刷新预设数据",
+        presetsRefreshed: "✓ 已刷新预设数据（{n} 个分类）",
+        presetsChangedOnDisk: "预设文件已更新，已自动重新加载",
+        refreshFailed: "刷新预设数据失败",
+        menuPacks: "🧩 预设包",
+        packsTitle: "🧩 预设包",
+        packsHint: "插件目录下 presets/ 和 ComfyUI/user/prompt_presets/presets/ 中的每个 .json 文件都是一个预设包；同名分类会合并分组",
+        packBuiltin: "内置预设",
+        packAuthor: "作者：{author}",
+        packCounts: "{categories} 个分类，{presets} 个预设",
+        packSource_builtin: "prompt_presets.json",
+        packSource_presets: "插件目录 {id}",
+        packSource_user: "用户目录 {id}",
+        packLoadError: "加载失败：{error}",
+        packEnabled: "✓ 已启用「{name}」",
+        packDisabled: "✓ 已停用「{name}」",
+        packToggleFailed: "保存预设包设置失败",
+        presetFromPack: "来自预设包：{pack}",
+        packIssueCount: "{n} 个条目有问题，已跳过或忽略",
+        menuDiagnostics: "🩺 数据诊断",
+        diagnosticsTitle: "🩺 预设数据诊断",
+        diagnosticsHint: "预设文件的结构见插件目录下的 prompt_presets.schema.json；有问题的条目会被跳过，其余预设照常加载",
+        diagnosticsNone: "✓ 未发现问题",
+        diagnosticsFound: "预设数据中有 {n} 个问题",
+        diagnosticsLevel_error: "已跳过",
+        diagnosticsLevel_warning: "已忽略该字段",
+        viewDetails: "查看详情",
+        bundleAllMissing: "组合中的预设均已不存在",
+        bundleMissingSuffix: "，{n} 个预设已不存在",
+        bundleApplied: "✓ 已应用组合「{name}」（{n} 个预设{suffix}）",
+        bundleLabel: "组合「{name}」",
+        cancel: "取消",
+        close: "关闭",
+        edit: "编辑",
+        delete: "删除",
+        deleted: "✓ 已删除",
+        add: "添加",
+        saveChanges: "保存修改",
+        empty: "（空）",
+        editCustomTitle: "✏️ 编辑自定义预设",
+        addCustomTitle: "✨ 添加自定义预设",
+        presetName: "预设名称",
+        presetNamePlaceholder: "例如：我的风格",
+        promptContent: "提示词内容",
+        promptPlaceholder: "例如：cinematic lighting, soft shadows, warm tones",
+        negativeLabel: "负向提示词（可选，应用时写入配对的 negative 输入框）",
+        negativePlaceholder: "例如：blurry, oversaturated",
+        addPreset: "添加预设",
+        presetNeedsNameAndValue: "请填写名称和内容",
+        presetUpdated: "✓ 预设已更新",
+        presetAdded: "✓ 预设已添加",
+        noCustomPresets: "暂无自定义预设",
+        freePresetName: "自由预设 {n}",
+        exportLibrary: "📤 导出",
+        importLibrary: "📥 导入",
+        exported: "✓ 已导出 {presets} 个自定义预设、{bundles} 个组合",
+        invalidJsonFile: "文件不是有效的 JSON",
+        importFailed: "导入失败：{error}",
+        importFailedMore: "导入失败：{error} 等 {n} 个问题",
+        importPreviewTitle: "📥 导入预览",
+        diffAdded: "+ 新增",
+        diffChanged: "~ 同名覆盖",
+        diffUnchanged: "= 相同",
+        diffNone: "（无）",
+        importCustomSection: "✨ 自定义预设（{n}）",
+        importBundleSection: "📦 组合（{n}）",
+        importWidgetSection: "⚙️ Widget 配置",
+        importWidgetSummary: "白名单新增 {white} 项，黑名单新增 {black} 项",
+        importModeHint: "<b>合并</b>：保留现有内容，同名条目以导入文件为准。<br><b>替换</b>：清空现有的自定义预设、组合和名单，完全使用导入文件。",
+        replace: "替换",
+        merge: "合并",
+        importReplaced: "✓ 已替换导入的预设库",
+        importMerged: "✓ 已合并导入的预设库",
+        importSaveFailed: "导入的数据未能保存到服务端",
+        libNotObject: "文件内容不是 JSON 对象",
+        libBadFormat: "format 应为 \"{format}\"",
+        libBadVersion: "不支持的版本：{version}（当前支持 {supported}）",
+        libCustomNotArray: "customPresets 应为数组",
+        libCustomItemInvalid: "customPresets[{index}] 缺少 name 或 value",
+        libBundlesNotArray: "bundles 应为数组",
+        libBundleItemInvalid: "bundles[{index}] 缺少 name 或 items 格式不正确",
+        libListInvalid: "widgetConfig.{name} 应为字符串数组",
+        selectNodeFirst: "请先选中一个节点",
+        selectPromptNodeFirst: "请先选中一个有文本输入框的节点",
+        nodeHasNoTextWidget: "选中的节点没有文本输入框",
+        allWidgetsBlacklisted: "选中节点的文本框都在黑名单中",
+        widgetsBlacklisted: "选中节点的文本框 [{names}] 在黑名单中，无法添加预设",
+        promptWidgetNotFound: "未找到提示词输入框",
+        noUsableWidget: "未找到可用的提示词输入框",
+        manageTitle: "📝 管理已添加的预设",
+        noneDetected: "未检测到已添加的预设提示词",
+        detectedHint: "检测到 {n} 个预设提示词，可编辑后点击\"应用更改\"同步到 prompt：",
+        presetFallbackName: "预设 {n}",
+        deleteWithIcon: "🗑️ 删除",
+        weight: "权重",
+        deleteAll: "删除全部",
+        deletedAll: "已删除全部预设",
+        applyChanges: "✓ 应用更改",
+        changesApplied: "✓ 已应用 {n} 处更改",
+        noChanges: "没有需要应用的更改",
+        settingsTitle: "⚙️ Widget 配置设置",
+        whitelistTab: "📋 白名单",
+        blacklistTab: "🚫 黑名单",
+        whitelistDesc: "<b>白名单</b>：额外识别为提示词输入框的 widget 名称。<br>内置白名单：{names}",
+        blacklistDesc: "<b>黑名单</b>：排除这些 widget，即使它们符合提示词输入框的条件也不会被识别。",
+        widgetNamePlaceholder: "输入 widget 名称...",
+        enterWidgetName: "请输入 widget 名称",
+        addedToWhitelist: "✓ 已添加到白名单",
+        addedToBlacklist: "✓ 已添加到黑名单",
+        nameExists: "该名称已存在",
+        whitelistEmpty: "暂无自定义白名单项",
+        blacklistEmpty: "暂无自定义黑名单项",
+        searchPlaceholder: "🔍 搜索预设名称、分类或提示词内容...",
+        searchFooter: "↑↓ 选择 · Enter 添加 · Shift+Enter 按权重添加 · Esc 关闭",
+        searchPrompt: "输入关键词开始搜索",
+        searchNoResults: "没有匹配的预设",
+        weightDialogTitle: "⚖️ 设置预设权重",
+        presetAddedSorted: "✓ 已添加提示词（已按优先级排序）",
+        presetAddedReplaced: "✓ 已添加提示词（已替换同组的 {n} 个预设）",
+        selectWidgetTitle: "🎯 选择目标输入框",
+        selectWidgetHint: "节点 {node} 有多个文本输入框，请选择要添加预设的目标：",
+        batchLabelPreset: "预设",
+        batchNoTargets: "选中的节点都没有可用的文本输入框",
+        batchSummary: "✓ {label}已添加到 {n} 个节点",
+        batchFailures: "；✗ {n} 个失败：{list}",
+        batchFailureItem: "{node}（{reason}）",
+        listSeparator: "、",
+        batchUndone: "↶ 已撤销 {n} 个节点的批量添加",
+        batchUndoStale: "批量添加已被撤销，或之后这些输入框又有修改，无法单独撤销",
+        batchSelectTitle: "🎯 批量添加：选择目标输入框",
+        addToNodes: "添加到 {n} 个节点",
+        reasonBlacklisted: "文本框在黑名单中",
+        reasonNoTextWidget: "没有文本输入框",
+        reasonNoWidgetChosen: "未选择输入框",
+        reasonFailed: "添加失败",
+        undo: "撤销",
+        redo: "重做",
+        undone: "↶ 已撤销：{label}",
+        redone: "↷ 已重做：{label}",
+        nothingToUndo: "没有可撤销的预设操作",
+        nothingToRedo: "没有可重做的预设操作",
+        opAddPreset: "添加预设",
+        opDeletePreset: "删除预设",
+        opDeleteAll: "删除全部预设",
+        opApplyChanges: "应用更改",
+        opAdjustWeight: "调整权重",
+        opApplyBundle: "应用组合「{name}」",
+        previewFailed: "预览加载失败",
+        presetAddedPlain: "✓ 已添加提示词",
+        settingSectionGeneral: "通用",
+        settingSectionPrompt: "提示词",
+        settingSectionWidgets: "输入框识别",
+        settingSectionMenu: "菜单",
+        settingLanguage: "界面语言",
+        settingAutoReorder: "添加预设后按优先级自动排序",
+        settingAutoReorderTooltip: "关闭后预设按添加顺序追加到末尾",
+        settingMarkerMode: "预设标记方式",
+        settingMarkerModeTooltip: "修改后，使用旧标记方式添加的预设不再被识别",
+        markerModeBrackets: "【】",
+        markerModeCustom: "自定义标记符",
+        markerModeNone: "无标记（按节点元数据跟踪）",
+        settingMarkers: "自定义标记符",
+        settingMarkersTooltip: "标记方式为「自定义标记符」时使用的开始和结束标记：两个字符（如 «» 或 []），或用空格分隔的两个多字符标记（如 << >>）",
+        markersInvalid: "自定义标记符「{value}」无效，已改用【】。开始和结束标记须不同、互不包含，且不能含空白或 ( ) , :",
+        settingStripOnQueue: "提交时移除预设标记符",
+        settingStripOnQueueTooltip: "输入框中保留标记以便管理，发送给模型的提示词不含标记。可在「管理已添加」面板中为单个节点关闭",
+        keepMarkers: "提交时保留标记符",
+        keepMarkersTooltip: "勾选后，该节点提交的提示词保留预设标记符",
+        tiersTab: "🔢 排序层级",
+        tiersDesc: "添加预设后按下列顺序重排提示词（从前到后）。<b>用户文本</b>表示你自己输入的内容所在的位置，可上下移动。",
+        tier1: "运镜动作",
+        tier2: "景别与构图",
+        tier3: "视角与焦距",
+        tier4: "场景与人物",
+        tier5: "光影与氛围",
+        tier6: "风格",
+        tier7: "质感与后期",
+        tierUser: "用户文本",
+        tierNamePlaceholder: "新层级名称...",
+        enterTierName: "请输入层级名称",
+        tierAdded: "✓ 已添加层级",
+        tierDefaultLabel: "未设置层级的分组和自定义预设使用：",
+        tierGroupsTitle: "分组层级",
+        tierGroupDefault: "默认（{name}）",
+        tierReset: "恢复默认层级",
+        tierResetDone: "✓ 已恢复默认层级",
+        settingProfile: "排序方案",
+        settingProfileTooltip: "提示词的层级顺序和分隔符。自动识别时根据上游模型加载节点中的模型名选择方案；也可在「管理已添加」面板中为单个节点指定",
+        profileAuto: "自动识别",
+        profile_default: "默认",
+        profile_video: "视频模型（Wan / Hunyuan 等）",
+        profile_flux: "Flux",
+        profile_sdxl: "SDXL",
+        profile_sd15: "SD1.5",
+        profileCopyName: "{name} 副本",
+        profilesTab: "📐 排序方案",
+        profilesDesc: "每个方案有自己的层级顺序、分隔符和是否允许运镜预设。全局使用哪个方案在 ComfyUI 设置中选择；单个节点可在「管理已添加」面板中指定。",
+        profileNew: "复制为新方案",
+        profileCreated: "✓ 已新建方案",
+        profileName: "名称",
+        profileSeparator: "分隔符",
+        profileAllowCamera: "允许运镜预设",
+        profileMatch: "自动识别关键词（逗号分隔）",
+        profileFollowTiers: "层级顺序跟随「排序层级」",
+        profileReset: "恢复默认方案",
+        profileResetDone: "✓ 已恢复默认方案",
+        nodeProfileGlobal: "排序方案：跟随全局",
+        nodeProfileTooltip: "该节点使用的排序方案",
+        cameraNotAllowed: "当前排序方案（{profile}）不使用运镜预设",
+        bundleCameraSkippedSuffix: "，跳过 {n} 个运镜预设",
+        settingWhitelist: "额外识别的 widget 名称（白名单）",
+        settingWhitelistTooltip: "多个名称用逗号分隔",
+        settingBlacklist: "排除的 widget 名称（黑名单）",
+        settingBlacklistTooltip: "多个名称用逗号分隔；黑名单优先于白名单",
+        settingHideDelay: "菜单自动收起延迟（毫秒）",
+        settingHideDelayTooltip: "鼠标离开菜单后多久收起"
+    },
+    en: {
+        langName: "English",
+        floatBtnTitle: "Prompt Presets (draggable)",
+        loadFailed: "Failed to load preset data",
+        menuSearch: "🔍 Search presets...",
+        menuCustom: "✨ Custom",
+        menuBundles: "📦 Bundles",
+        menuManage: "🗑️ Manage Added",
+        menuSettings: "⚙️ Settings",
+        menuLanguage: "🌐 Language: {lang}",
+        langAuto: "Follow ComfyUI",
+        exclusiveGroup: "{name} · pick one",
+        shiftClickWeight: "Shift+click to set a weight",
+        addCustomPreset: "➕ Add new preset",
+        manageCustomPresets: "✏️ Manage custom presets",
+        bundleItemCount: "{n} items",
+        newBundle: "➕ New bundle",
+        manageBundles: "✏️ Manage bundles",
+        editBundleTitle: "✏️ Edit bundle",
+        newBundleTitle: "📦 New bundle",
+        bundleNamePlaceholder: "Bundle name, e.g. Cinematic close-up",
+        bundleSearchPlaceholder: "🔍 Search presets to add...",
+        bundleSelected: "Selected presets ({n}, in insertion order)",
+        bundleSelectedEmpty: "Click presets in the list below to add them",
+        clickToRemove: "Click to remove",
+        createBundle: "Create bundle",
+        bundleNeedsNameAndItems: "Enter a name and pick at least one preset",
+        bundleUpdated: "✓ Bundle updated",
+        bundleCreated: "✓ Bundle created",
+        manageBundlesTitle: "📦 Manage bundles",
+        noBundles: "No bundles yet",
+        menuFavorites: "⭐ Favorites",
+        menuRecent: "🕘 Recent",
+        menuUsageStats: "📊 Usage Stats",
+        noFavorites: "No favorites yet — click ☆ next to a preset",
+        noRecent: "Nothing used yet",
+        favorite: "Add to favorites",
+        unfavorite: "Remove from favorites",
+        usageStatsTitle: "📊 Usage Stats",
+        noUsageStats: "No usage recorded yet",
+        usageCount: "{n}×",
+        usageLastUsed: "{path} · Last used: {time}",
+        resetUsageCounts: "Reset Counts",
+        usageCountsReset: "✓ Usage counts reset",
+        dragToNodeHint: "Drag onto a node on the canvas to add it there",
+        dropNoNode: "Not dropped on a node — cancelled",
+        nodeMenuTitle: "📝 Prompt Presets",
+        composerButton: "{category}: {n} selected",
+        composerButtonEmpty: "{category}: none",
+        composerClear: "Clear",
+        composerApply: "Apply",
+        menuLibrary: "📚 Edit Library",
+        libraryTitle: "📚 Edit Preset Library",
+        libraryHint: "Changes are written to prompt_presets.json immediately; the previous file is kept as prompt_presets.json.bak",
+        libraryEmpty: "The library is empty",
+        libraryAddCategory: "+ New Category",
+        libraryAddGroup: "+ Group",
+        libraryAddPreset: "+ Preset",
+        libraryConfirmDelete: "Delete?",
+        libraryGroupCount: "{n} groups",
+        libraryPresetCount: "{n} presets",
+        libraryLegacyCategory: "Legacy two-level",
+        libraryTierMeta: "Tier {tier}",
+        libraryExclusive: "pick one",
+        libraryLevel_category: "Category",
+        libraryLevel_group: "Group",
+        libraryLevel_preset: "Preset",
+        libraryNewTitle: "New {level}",
+        libraryEditTitle: "Edit {level}",
+        libraryFieldCategory: "Category name",
+        libraryFieldGroup: "Group name",
+        libraryFieldEnglishName: "English name",
+        libraryFieldTier: "Tier",
+        libraryFieldExclusive: "Exclusive group (pick one)",
+        libraryFieldCamera: "Camera-movement group (blocked by profiles without camera moves)",
+        libraryFieldImage: "Preview file name (in previews/)",
+        libraryFieldRequired: "Please fill in {field}",
+        libraryCreate: "Create",
+        librarySaved: "✓ Saved to the library",
+        librarySaveFailed: "Save failed: {error}",
+        libraryConflict: "The library file was changed elsewhere and has been reloaded; please try again",
+        menuRefresh: "🔄 Refresh Presets",
+        presetsRefreshed: "✓ Presets refreshed ({n} categories)",
+        presetsChangedOnDisk: "Preset files changed on disk and were reloaded",
+        refreshFailed: "Failed to refresh presets",
+        menuPacks: "🧩 Preset Packs",
+        packsTitle: "🧩 Preset Packs",
+        packsHint: "Every .json file in the extension's presets/ folder and in ComfyUI/user/prompt_presets/presets/ is a pack; categories with the same name are merged",
+        packBuiltin: "Built-in presets",
+        packAuthor: "by {author}",
+        packCounts: "{categories} categories, {presets} presets",
+        packSource_builtin: "prompt_presets.json",
+        packSource_presets: "extension folder {id}",
+        packSource_user: "user folder {id}",
+        packLoadError: "Failed to load: {error}",
+        packEnabled: "✓ Enabled \"{name}\"",
+        packDisabled: "✓ Disabled \"{name}\"",
+        packToggleFailed: "Failed to save pack settings",
+        presetFromPack: "From pack: {pack}",
+        packIssueCount: "{n} entries have problems and were skipped or ignored",
+        menuDiagnostics: "🩺 Data Diagnostics",
+        diagnosticsTitle: "🩺 Preset Data Diagnostics",
+        diagnosticsHint: "The preset file structure is described by prompt_presets.schema.json in the extension folder; broken entries are skipped and all other presets still load",
+        diagnosticsNone: "✓ No problems found",
+        diagnosticsFound: "{n} problems found in preset data",
+        diagnosticsLevel_error: "skipped",
+        diagnosticsLevel_warning: "field ignored",
+        viewDetails: "View details",
+        bundleAllMissing: "None of the presets in this bundle exist anymore",
+        bundleMissingSuffix: ", {n} missing",
+        bundleApplied: "✓ Applied bundle \"{name}\" ({n} presets{suffix})",
+        bundleLabel: "Bundle \"{name}\"",
+        cancel: "Cancel",
+        close: "Close",
+        edit: "Edit",
+        delete: "Delete",
+        deleted: "✓ Deleted",
+        add: "Add",
+        saveChanges: "Save changes",
+        empty: "(empty)",
+        editCustomTitle: "✏️ Edit custom preset",
+        addCustomTitle: "✨ Add custom preset",
+        presetName: "Preset name",
+        presetNamePlaceholder: "e.g. My style",
+        promptContent: "Prompt text",
+        promptPlaceholder: "e.g. cinematic lighting, soft shadows, warm tones",
+        negativeLabel: "Negative prompt (optional, written to the paired negative input)",
+        negativePlaceholder: "e.g. blurry, oversaturated",
+        addPreset: "Add preset",
+        presetNeedsNameAndValue: "Enter a name and prompt text",
+        presetUpdated: "✓ Preset updated",
+        presetAdded: "✓ Preset added",
+        noCustomPresets: "No custom presets yet",
+        freePresetName: "Free preset {n}",
+        exportLibrary: "📤 Export",
+        importLibrary: "📥 Import",
+        exported: "✓ Exported {presets} custom presets and {bundles} bundles",
+        invalidJsonFile: "The file is not valid JSON",
+        importFailed: "Import failed: {error}",
+        importFailedMore: "Import failed: {error} ({n} problems)",
+        importPreviewTitle: "📥 Import preview",
+        diffAdded: "+ New",
+        diffChanged: "~ Overwrites",
+        diffUnchanged: "= Same",
+        diffNone: "(none)",
+        importCustomSection: "✨ Custom presets ({n})",
+        importBundleSection: "📦 Bundles ({n})",
+        importWidgetSection: "⚙️ Widget config",
+        importWidgetSummary: "{white} new whitelist entries, {black} new blacklist entries",
+        importModeHint: "<b>Merge</b>: keep existing entries; entries with the same name are taken from the file.<br><b>Replace</b>: discard current custom presets, bundles and lists and use the file only.",
+        replace: "Replace",
+        merge: "Merge",
+        importReplaced: "✓ Library replaced from the imported file",
+        importMerged: "✓ Imported library merged",
+        importSaveFailed: "The imported data could not be saved to the server",
+        libNotObject: "The file does not contain a JSON object",
+        libBadFormat: "format must be \"{format}\"",
+        libBadVersion: "Unsupported version: {version} (supported: {supported})",
+        libCustomNotArray: "customPresets must be an array",
+        libCustomItemInvalid: "customPresets[{index}] is missing name or value",
+        libBundlesNotArray: "bundles must be an array",
+        libBundleItemInvalid: "bundles[{index}] is missing a name or has malformed items",
+        libListInvalid: "widgetConfig.{name} must be an array of strings",
+        selectNodeFirst: "Select a node first",
+        selectPromptNodeFirst: "Select a node with a text input first",
+        nodeHasNoTextWidget: "The selected node has no text input",
+        allWidgetsBlacklisted: "All text inputs of the selected node are blacklisted",
+        widgetsBlacklisted: "Text inputs [{names}] of the selected node are blacklisted; cannot add presets",
+        promptWidgetNotFound: "No prompt input found",
+        noUsableWidget: "No usable prompt input found",
+        manageTitle: "📝 Manage added presets",
+        noneDetected: "No added presets detected",
+        detectedHint: "Detected {n} presets. Edit them and click \"Apply changes\" to update the prompt:",
+        presetFallbackName: "Preset {n}",
+        deleteWithIcon: "🗑️ Delete",
+        weight: "Weight",
+        deleteAll: "Delete all",
+        deletedAll: "All presets deleted",
+        applyChanges: "✓ Apply changes",
+        changesApplied: "✓ Applied {n} changes",
+        noChanges: "Nothing to apply",
+        settingsTitle: "⚙️ Widget settings",
+        whitelistTab: "📋 Whitelist",
+        blacklistTab: "🚫 Blacklist",
+        whitelistDesc: "<b>Whitelist</b>: extra widget names treated as prompt inputs.<br>Built-in: {names}",
+        blacklistDesc: "<b>Blacklist</b>: these widgets are never treated as prompt inputs, even if they otherwise qualify.",
+        widgetNamePlaceholder: "Widget name...",
+        enterWidgetName: "Enter a widget name",
+        addedToWhitelist: "✓ Added to whitelist",
+        addedToBlacklist: "✓ Added to blacklist",
+        nameExists: "That name already exists",
+        whitelistEmpty: "No custom whitelist entries",
+        blacklistEmpty: "No custom blacklist entries",
+        searchPlaceholder: "🔍 Search names, categories or prompt text...",
+        searchFooter: "↑↓ Select · Enter Add · Shift+Enter Add with weight · Esc Close",
+        searchPrompt: "Type to search",
+        searchNoResults: "No matching presets",
+        weightDialogTitle: "⚖️ Set preset weight",
+        presetAddedSorted: "✓ Prompt added (sorted by priority)",
+        presetAddedReplaced: "✓ Prompt added (replaced {n} preset(s) from the same group)",
+        selectWidgetTitle: "🎯 Choose target input",
+        selectWidgetHint: "Node {node} has several text inputs. Choose where to add the preset:",
+        batchLabelPreset: "Preset",
+        batchNoTargets: "None of the selected nodes has a usable text input",
+        batchSummary: "✓ {label} added to {n} nodes",
+        batchFailures: "; ✗ {n} failed: {list}",
+        batchFailureItem: "{node} ({reason})",
+        listSeparator: ", ",
+        batchUndone: "↶ Undid the batch add on {n} nodes",
+        batchUndoStale: "The batch add was already undone, or these inputs changed since, so it can't be undone on its own",
+        batchSelectTitle: "🎯 Batch add: choose target inputs",
+        addToNodes: "Add to {n} nodes",
+        reasonBlacklisted: "text inputs are blacklisted",
+        reasonNoTextWidget: "no text input",
+        reasonNoWidgetChosen: "no input chosen",
+        reasonFailed: "failed",
+        undo: "Undo",
+        redo: "Redo",
+        undone: "↶ Undone: {label}",
+        redone: "↷ Redone: {label}",
+        nothingToUndo: "No preset operation to undo",
+        nothingToRedo: "No preset operation to redo",
+        opAddPreset: "Add preset",
+        opDeletePreset: "Delete preset",
+        opDeleteAll: "Delete all presets",
+        opApplyChanges: "Apply changes",
+        opAdjustWeight: "Adjust weight",
+        opApplyBundle: "Apply bundle \"{name}\"",
+        previewFailed: "Preview failed to load",
+        presetAddedPlain: "✓ Prompt added",
+        settingSectionGeneral: "General",
+        settingSectionPrompt: "Prompt",
+        settingSectionWidgets: "Widget detection",
+        settingSectionMenu: "Menu",
+        settingLanguage: "Interface language",
+        settingAutoReorder: "Reorder prompts by priority after adding a preset",
+        settingAutoReorderTooltip: "When off, presets are appended in the order they are added",
+        settingMarkerMode: "Preset delimiters",
+        settingMarkerModeTooltip: "Presets added with the previous delimiters are no longer detected after a change",
+        markerModeBrackets: "【】",
+        markerModeCustom: "Custom pair",
+        markerModeNone: "None (tracked in node metadata)",
+        settingMarkers: "Custom delimiter pair",
+        settingMarkersTooltip: "The open and close delimiters used when delimiters are set to \"Custom pair\": two characters (e.g. «» or []), or two multi-character delimiters separated by a space (e.g. << >>)",
+        markersInvalid: "Custom delimiters \"{value}\" are invalid, using 【】 instead. Open and close must differ, not contain each other, and not include whitespace or ( ) , :",
+        settingStripOnQueue: "Strip preset delimiters when queueing",
+        settingStripOnQueueTooltip: "The widget keeps its delimiters for tracking; the prompt sent to the model does not. Can be turned off per node in the \"Manage added\" panel",
+        keepMarkers: "Keep delimiters when queueing",
+        keepMarkersTooltip: "When checked, this node submits its prompt with the preset delimiters left in",
+        tiersTab: "🔢 Tiers",
+        tiersDesc: "After a preset is added, the prompt is reordered in this order (first to last). <b>Your text</b> marks where your own text goes and can be moved like any tier.",
+        tier1: "Camera movement",
+        tier2: "Shot & composition",
+        tier3: "Angle & lens",
+        tier4: "Scene & subject",
+        tier5: "Lighting & mood",
+        tier6: "Style",
+        tier7: "Texture & post",
+        tierUser: "Your text",
+        tierNamePlaceholder: "New tier name...",
+        enterTierName: "Enter a tier name",
+        tierAdded: "✓ Tier added",
+        tierDefaultLabel: "Tier for groups without one and for custom presets:",
+        tierGroupsTitle: "Group tiers",
+        tierGroupDefault: "Default ({name})",
+        tierReset: "Restore default tiers",
+        tierResetDone: "✓ Default tiers restored",
+        settingProfile: "Ordering profile",
+        settingProfileTooltip: "Tier order and separator for the prompt. Auto picks a profile from the model name in the loader upstream of the node; a single node can override it in the \"Manage added\" panel",
+        profileAuto: "Auto-detect",
+        profile_default: "Default",
+        profile_video: "Video models (Wan / Hunyuan etc.)",
+        profile_flux: "Flux",
+        profile_sdxl: "SDXL",
+        profile_sd15: "SD1.5",
+        profileCopyName: "{name} copy",
+        profilesTab: "📐 Profiles",
+        profilesDesc: "Each profile has its own tier order, separator and camera-movement rule. Pick the global profile in the ComfyUI settings; override it for a single node in the \"Manage added\" panel.",
+        profileNew: "Duplicate",
+        profileCreated: "✓ Profile created",
+        profileName: "Name",
+        profileSeparator: "Separator",
+        profileAllowCamera: "Allow camera-movement presets",
+        profileMatch: "Auto-detect keywords (comma-separated)",
+        profileFollowTiers: "Use the order from Tiers",
+        profileReset: "Restore default profiles",
+        profileResetDone: "✓ Default profiles restored",
+        nodeProfileGlobal: "Profile: use global",
+        nodeProfileTooltip: "Ordering profile used by this node",
+        cameraNotAllowed: "The current ordering profile ({profile}) does not use camera-movement presets",
+        bundleCameraSkippedSuffix: ", {n} camera-movement presets skipped",
+        settingWhitelist: "Extra widget names to treat as prompts (whitelist)",
+        settingWhitelistTooltip: "Separate names with commas",
+        settingBlacklist: "Widget names to ignore (blacklist)",
+        settingBlacklistTooltip: "Separate names with commas; the blacklist wins over the whitelist",
+        settingHideDelay: "Menu hide delay (ms)",
+        settingHideDelayTooltip: "How long the menu stays open after the pointer leaves it"
+    }
+};
+
+// 语言设置："auto"（跟随 ComfyUI 的 Comfy.Locale，其次浏览器语言）、"zh" 或 "en"
+function getLanguageSetting() {
+    return getSetting(SETTING_IDS.language, "auto");
+}
+
+function setLanguageSetting(value) {
+    setSetting(SETTING_IDS.language, value);
+}
+
+// 当前生效的语言
+function getLanguage() {
+    const setting = getLanguageSetting();
+    if (setting === "zh" || setting === "en") return setting;
+
+    let locale = "";
+    try {
+        locale = app.ui?.settings?.getSettingValue?.("Comfy.Locale") || "";
+    } catch (e) { }
+    locale = locale || navigator.language || "zh";
+    return locale.toLowerCase().startsWith("zh") ? "zh" : "en";
+}
+
+// 取界面文字，{name} 形式的占位符由 params 替换
+function t(key, params = {}) {
+    const lang = getLanguage();
+    let text = UI_STRINGS[lang]?.[key] ?? UI_STRINGS.zh[key] ?? key;
+    for (const [name, value] of Object.entries(params)) {
+        text = text.split(`{${name}}`).join(String(value));
+    }
+    return text;
+}
+
+// 数据中的显示名称：英文界面优先使用 *_en 字段
+function displayCategoryName(category) {
+    if (getLanguage() !== "en" || !category.category_en) return category.category;
+    // 保留中文分类名前面的 emoji 图标
+    const icon = category.category.match(/^[^\p{L}\p{N}]+/u)?.[0] || "";
+    return icon + category.category_en;
+}
+
+function displayGroupName(group) {
+    return getLanguage() === "en" && group.name_en ? group.name_en : group.name;
+}
+
+// sub_category 形如 "中文名 (English Name)"，英文界面取括号内的英文
+function displayPresetName(name) {
+    if (!name || getLanguage() !== "en") return name;
+    const match = name.match(/\(([^()]*[A-Za-z][^()]*)\)\s*$/);
+    return match ? match[1].trim() : name;
+}
+
+// 搜索/组合列表中的 "分类 › 分组" 路径；lastOnly 时只取最末一级
+function displayEntryPath(entry, lastOnly = false) {
+    const category = entry.isCustomPreset
+        ? entry.category
+        : displayCategoryName({ category: entry.category, category_en: entry.categoryEn });
+    const group = entry.group && displayGroupName({ name: entry.group, name_en: entry.groupEn });
+    // 来自其他预设包的预设附上包名
+    const pack = entry.pack && entry.pack !== BUILTIN_PACK_ID ? ` · ${displayPackName(entry.pack)}` : "";
+    if (lastOnly) return (group || category) + pack;
+    return [category, group].filter(Boolean).join(" › ") + pack;
+}
+
 // ========================================
 // Widget 配置管理器（白名单/黑名单）
 // ========================================
 
+// 名单保存在 ComfyUI 设置项中（逗号分隔的文本），这里缓存解析后的数组
 class WidgetConfigManager {
     constructor() {
-        this.storageKey = "prompt_presets_widget_config";
-        this.config = this.load();
+        this.config = { whitelist: [], blacklist: [] };
+        this.load();
     }
 
     load() {
-        try {
-            const data = localStorage.getItem(this.storageKey);
-            if (data) {
-                return JSON.parse(data);
-            }
-        } catch (e) {
-            console.error("[WidgetConfig] Failed to load:", e);
-        }
-        return { whitelist: [], blacklist: [] };
+        this.config = {
+            whitelist: parseNameList(getSetting(SETTING_IDS.whitelist, "")),
+            blacklist: parseNameList(getSetting(SETTING_IDS.blacklist, ""))
+        };
+        return this.config;
     }
 
     save() {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.config));
-        } catch (e) {
-            console.error("[WidgetConfig] Failed to save:", e);
-        }
+        setSetting(SETTING_IDS.whitelist, this.config.whitelist.join(", "));
+        setSetting(SETTING_IDS.blacklist, this.config.blacklist.join(", "));
     }
 
     getWhitelist() {
@@ -119,1001 +1012,5777 @@ function getAllPromptWidgets(node) {
 }
 
 // ========================================
-// 动态权重排序 - 按 Tier 重排提示词
+// 排序层级（Tier）配置
 // ========================================
 
-// 缓存：preset prompt_value -> tier
-let presetTierCache = null;
-
-// 从加载的预设数据构建 tier 缓存
-// 支持新的三层结构 (Category -> Group -> Preset) 和旧的两层结构
-function buildPresetTierCache(presetsData) {
-    const cache = {};
-    if (!Array.isArray(presetsData)) return cache;
+// 默认的层级顺序（从前到后），"user" 为用户输入文本所在的位置
+const USER_TIER_ID = "user";
+const BUILTIN_TIER_IDS = ["1", "2", "3", "4", "5", "6", "7"];
+const DEFAULT_TIER_ORDER = ["1", "2", "3", USER_TIER_ID, "4", "5", "6", "7"];
+const DEFAULT_FALLBACK_TIER = "4";
 
-    for (const category of presetsData) {
-        // 新结构：Category 包含 groups 数组
-        if (Array.isArray(category.groups)) {
-            for (const group of category.groups) {
-                const tier = group.tier || 4; // 从 group 获取 tier
-                if (Array.isArray(group.presets)) {
-                    for (const preset of group.presets) {
-                        if (preset.prompt_value) {
-                            cache[preset.prompt_value] = tier;
-                        }
-                    }
-                }
-            }
-        }
-        // 旧结构：Category 直接包含 presets 数组（向后兼容）
-        else if (Array.isArray(category.presets)) {
-            const tier = category.tier || 4;
-            for (const preset of category.presets) {
-                if (preset.prompt_value) {
-                    cache[preset.prompt_value] = tier;
-                }
-            }
-        }
-    }
-    return cache;
+// 分组的唯一键：分类名/分组名（旧的两层结构没有分组名）
+function getGroupKey(category, group) {
+    return `${category.category}/${group?.name || ""}`;
 }
 
-// 获取预设的 Tier（需要先加载数据）
-function getPresetTier(promptValue) {
-    if (!presetTierCache) return 4; // 默认 Tier 4（用户输入）
-    return presetTierCache[promptValue] || 4;
-}
+// 配置保存在设置项 PromptPresets.Tiers 中：
+// { slots: [{ id, name }], defaultTier, groupOverrides: { groupKey: tierId } }
+// slots 的顺序即排序顺序；name 为空时使用内置名称；defaultTier 用于未设置 tier 的分组和未知预设
+class TierManager {
+    constructor() {
+        this.config = this.normalize(null);
+    }
 
-// 重排提示词：按 Tier 排序
-// 格式：【preset1】, 用户文本, 【preset2】
-// 输出：按 Tier 1-7 排序的提示词
-function reorderPromptByTier(text) {
-    if (!text || !presetTierCache) return text;
+    // 补齐缺失的内置层级和用户文本位置，丢弃无效的引用
+    normalize(data) {
+        const slots = [];
+        const seen = new Set();
+        (Array.isArray(data?.slots) ? data.slots : []).forEach(slot => {
+            const id = String(slot?.id ?? "");
+            if (!id || seen.has(id)) return;
+            seen.add(id);
+            slots.push({ id, name: typeof slot.name === "string" ? slot.name : "" });
+        });
+        DEFAULT_TIER_ORDER.forEach(id => {
+            if (seen.has(id)) return;
+            seen.add(id);
+            slots.push({ id, name: "" });
+        });
 
-    // 匹配所有 【xxx】 预设
-    const presetRegex = /【([^】]+)】/g;
-    const presets = [];
-    let userText = text;
+        const isPresetTier = (id) => seen.has(id) && id !== USER_TIER_ID;
+        const defaultTier = isPresetTier(String(data?.defaultTier)) ? String(data.defaultTier) : DEFAULT_FALLBACK_TIER;
+        const groupOverrides = {};
+        Object.entries(data?.groupOverrides || {}).forEach(([groupKey, id]) => {
+            if (isPresetTier(String(id))) groupOverrides[groupKey] = String(id);
+        });
 
-    // 提取所有预设
-    let match;
-    while ((match = presetRegex.exec(text)) !== null) {
-        const fullMatch = match[0]; // 包括【】的完整匹配
-        const innerValue = match[1]; // 不包括【】的内容
-        const tier = getPresetTier(innerValue);
-        presets.push({ fullMatch, innerValue, tier });
+        return { slots, defaultTier, groupOverrides };
     }
 
-    if (presets.length === 0) return text; // 没有预设，无需排序
-
-    // 从文本中移除所有预设，保留用户文本
-    for (const p of presets) {
-        userText = userText.replace(p.fullMatch, "");
+    load() {
+        this.config = this.normalize(getSetting(SETTING_IDS.tiers, null));
+        this.refreshCache();
     }
 
-    // 清理用户文本中的多余逗号和空格
-    userText = userText
-        .replace(/,\s*,/g, ",")
-        .replace(/^\s*,\s*/, "")
-        .replace(/\s*,\s*$/, "")
-        .trim();
-
-    // 按 Tier 排序预设
-    presets.sort((a, b) => a.tier - b.tier);
-
-    // 分组：Tier 1-3 在用户文本前，Tier 5-7 在用户文本后
-    const beforeUser = presets.filter(p => p.tier < 4);
-    const afterUser = presets.filter(p => p.tier >= 4);
-
-    // 重建提示词
-    const parts = [];
-
-    // Tier 1-3 的预设
-    for (const p of beforeUser) {
-        parts.push(p.fullMatch);
+    save() {
+        setSetting(SETTING_IDS.tiers, this.config);
+        this.refreshCache();
     }
 
-    // 用户文本 (Tier 4)
-    if (userText) {
-        parts.push(userText);
+    // 层级或分组覆盖变化后重建 tier 缓存
+    refreshCache() {
+        if (presetTierCache) {
+            presetTierCache = buildPresetTierCache(presetsManager.presets);
+        }
     }
 
-    // Tier 5-7 的预设
-    for (const p of afterUser) {
-        parts.push(p.fullMatch);
+    getSlots() {
+        return this.config.slots;
     }
 
-    return parts.join(", ");
-}
+    getDefaultTier() {
+        return this.config.defaultTier;
+    }
 
-// 获取节点中的第一个提示词 widget
-function getPromptWidget(node) {
-    if (!node?.widgets) return null;
-    return node.widgets.find(w => isPromptWidget(w));
-}
+    isBuiltin(id) {
+        return id === USER_TIER_ID || BUILTIN_TIER_IDS.includes(id);
+    }
 
-class PromptPresetsManager {
-    constructor() {
-        this.presets = null;
-        this.loaded = false;
-        // 存储每个节点的添加历史: { nodeId: [{value, customName}, ...] }
-        this.addedHistory = new Map();
-        this.customCounter = new Map(); // 用于生成 "自由预设N" 的计数器
+    // 层级在排序中的位置；未知层级按默认层级处理
+    getRank(tierId) {
+        const index = this.config.slots.findIndex(s => s.id === String(tierId));
+        if (index > -1) return index;
+        return this.config.slots.findIndex(s => s.id === this.config.defaultTier);
     }
 
-    async loadPresets() {
-        if (this.loaded) return this.presets;
+    getUserRank() {
+        return this.getRank(USER_TIER_ID);
+    }
 
-        try {
-            // 使用新的 API 路径
-            const resp = await api.fetchApi("/prompt_presets/data");
-            if (resp.status === 200) {
-                this.presets = await resp.json();
-                this.loaded = true;
+    // 分组实际使用的层级：用户覆盖 > 数据中的 tier > 默认层级
+    resolveGroupTier(groupKey, dataTier) {
+        if (this.config.groupOverrides[groupKey]) return this.config.groupOverrides[groupKey];
+        return dataTier != null && dataTier !== "" ? String(dataTier) : this.config.defaultTier;
+    }
 
-                // 构建 Tier 缓存用于优先级排序
-                presetTierCache = buildPresetTierCache(this.presets);
-                console.log("[PromptPresets] Loaded presets:", this.presets.length, "categories, tier cache built");
-            } else {
-                console.error("[PromptPresets] Failed to load presets:", resp.status);
-                this.presets = [];
-            }
-        } catch (e) {
-            console.error("[PromptPresets] Error loading presets:", e);
-            this.presets = [];
-        }
-        return this.presets;
+    getGroupOverride(groupKey) {
+        return this.config.groupOverrides[groupKey] || "";
     }
 
-    // 记录添加的预设
-    recordAdded(nodeId, promptValue, presetName = null) {
-        if (!this.addedHistory.has(nodeId)) {
-            this.addedHistory.set(nodeId, []);
+    // tierId 为空时清除覆盖
+    setGroupOverride(groupKey, tierId) {
+        if (tierId) {
+            this.config.groupOverrides[groupKey] = tierId;
+        } else {
+            delete this.config.groupOverrides[groupKey];
         }
-        this.addedHistory.get(nodeId).push({
-            value: promptValue,
-            customName: presetName // 如果是原始预设，这里为 null
-        });
+        this.save();
     }
 
-    // 获取节点的添加历史
-    getHistory(nodeId) {
-        return this.addedHistory.get(nodeId) || [];
+    addTier(name) {
+        const slot = { id: `custom_${Date.now().toString(36)}`, name };
+        this.config.slots.push(slot);
+        this.save();
+        return slot;
     }
 
-    // 从历史中移除
-    removeFromHistory(nodeId, promptValue) {
-        const history = this.addedHistory.get(nodeId);
-        if (history) {
-            const idx = history.findIndex(h => h.value === promptValue);
-            if (idx > -1) {
-                history.splice(idx, 1);
-            }
-        }
+    renameTier(id, name) {
+        const slot = this.config.slots.find(s => s.id === id);
+        if (!slot) return false;
+        slot.name = name;
+        this.save();
+        return true;
     }
 
-    // 更新历史中的值（用于编辑功能）
-    updateHistory(nodeId, oldValue, newValue) {
-        const history = this.addedHistory.get(nodeId);
-        if (history) {
-            const item = history.find(h => h.value === oldValue);
-            if (item) {
-                item.value = newValue;
-                // 设置自定义名称
-                if (!item.customName) {
-                    const counter = (this.customCounter.get(nodeId) || 0) + 1;
-                    this.customCounter.set(nodeId, counter);
-                    item.customName = `自由预设 ${counter}`;
-                }
-                return item.customName;
-            }
-        }
-        return null;
+    // delta: -1 上移，1 下移
+    moveTier(id, delta) {
+        const slots = this.config.slots;
+        const index = slots.findIndex(s => s.id === id);
+        const target = index + delta;
+        if (index < 0 || target < 0 || target >= slots.length) return false;
+        [slots[index], slots[target]] = [slots[target], slots[index]];
+        this.save();
+        return true;
     }
 
-    // 获取所有预设值的列表（用于智能匹配）
-    // 支持新的三层结构和旧的两层结构
-    getAllPresetValues() {
-        if (!this.presets) return [];
-        const values = [];
-        this.presets.forEach(cat => {
-            // 新结构：Category 包含 groups 数组
-            if (Array.isArray(cat.groups)) {
-                cat.groups.forEach(group => {
-                    if (Array.isArray(group.presets)) {
-                        group.presets.forEach(p => {
-                            values.push({
-                                category: cat.category,
-                                group: group.name,
-                                name: p.sub_category,
-                                value: p.prompt_value
-                            });
-                        });
-                    }
-                });
-            }
-            // 旧结构：Category 直接包含 presets
-            else if (Array.isArray(cat.presets)) {
-                cat.presets.forEach(p => {
-                    values.push({
-                        category: cat.category,
-                        name: p.sub_category,
-                        value: p.prompt_value
-                    });
-                });
-            }
+    // 只能删除自定义层级；引用它的分组覆盖一并清除
+    removeTier(id) {
+        if (this.isBuiltin(id)) return false;
+        const index = this.config.slots.findIndex(s => s.id === id);
+        if (index < 0) return false;
+        this.config.slots.splice(index, 1);
+        Object.keys(this.config.groupOverrides).forEach(groupKey => {
+            if (this.config.groupOverrides[groupKey] === id) delete this.config.groupOverrides[groupKey];
         });
-        return values;
+        if (this.config.defaultTier === id) this.config.defaultTier = DEFAULT_FALLBACK_TIER;
+        this.save();
+        return true;
     }
 
-    // 智能匹配：检测 prompt 中包含哪些预设
-    detectPresetsInPrompt(promptText) {
-        const allPresets = this.getAllPresetValues();
-        const detected = [];
+    // 分类或分组改名后，分组覆盖跟随新的分组键
+    renameGroupKey(oldKey, newKey) {
+        if (oldKey === newKey || !this.config.groupOverrides[oldKey]) return;
+        this.config.groupOverrides[newKey] = this.config.groupOverrides[oldKey];
+        delete this.config.groupOverrides[oldKey];
+        this.save();
+    }
 
-        allPresets.forEach(preset => {
-            // 检查是否包含带标记的预设值 【value】 或原始值
-            const markedValue = `【${preset.value}】`;
-            if (promptText.includes(markedValue) || promptText.includes(preset.value)) {
-                // 返回实际在prompt中的值（带标记或不带标记）
-                const actualValue = promptText.includes(markedValue) ? markedValue : preset.value;
-                detected.push({
-                    ...preset,
-                    actualValue: actualValue
-                });
-            }
-        });
+    setDefaultTier(id) {
+        if (id === USER_TIER_ID || !this.config.slots.some(s => s.id === id)) return false;
+        this.config.defaultTier = id;
+        this.save();
+        return true;
+    }
 
-        return detected;
+    reset() {
+        this.config = this.normalize(null);
+        this.save();
     }
 }
 
-const presetsManager = new PromptPresetsManager();
+const tierManager = new TierManager();
+
+// 层级的显示名称
+function displayTierName(slot) {
+    if (slot.name) return slot.name;
+    return slot.id === USER_TIER_ID ? t("tierUser") : t(`tier${slot.id}`);
+}
 
 // ========================================
-// 自定义预设管理器（用户自定义的预设）
+// 排序方案 - 不同模型系列使用不同的层级顺序和分隔符
 // ========================================
 
-class CustomPresetsManager {
+const AUTO_PROFILE_ID = "auto";
+const DEFAULT_PROFILE_ID = "default";
+
+// 节点属性：该节点使用的排序方案 id，未设置时使用全局设置 PromptPresets.OrderingProfile
+const PROFILE_PROPERTY = "prompt_presets_profile";
+
+// 内置方案：order 为 null 时跟随「排序层级」中的顺序；match 为自动识别时在上游模型名中查找的关键词
+// 自动识别按列表顺序匹配，视频模型和 Flux 放在 SDXL / SD1.5 之前
+const BUILTIN_PROFILES = [
+    { id: DEFAULT_PROFILE_ID, order: null, separator: ", ", allowCamera: true, match: [] },
+    { id: "video", order: ["1", "2", "3", USER_TIER_ID, "4", "5", "6", "7"], separator: ", ", allowCamera: true, match: ["wan", "hunyuan", "ltx", "cogvideo", "mochi"] },
+    { id: "flux", order: [USER_TIER_ID, "2", "3", "4", "5", "6", "7", "1"], separator: ". ", allowCamera: false, match: ["flux"] },
+    { id: "sdxl", order: ["6", "2", "3", USER_TIER_ID, "4", "5", "7", "1"], separator: ", ", allowCamera: false, match: ["sdxl", "sd_xl", "pony", "illustrious", "noob"] },
+    { id: "sd15", order: ["6", USER_TIER_ID, "2", "3", "4", "5", "7", "1"], separator: ", ", allowCamera: false, match: ["sd15", "sd1.5", "sd-1.5", "v1-5", "v1_5"] }
+];
+
+// 上游加载节点中可用于识别模型的 widget
+const MODEL_HINT_WIDGETS = ["ckpt_name", "unet_name", "model_name", "clip_name", "clip_name1", "clip_name2", "type"];
+
+// 方案列表保存在设置项 PromptPresets.OrderingProfiles 中：
+// [{ id, name, order: [tierId] | null, separator, allowCamera, match: [keyword] }]
+class OrderingProfileManager {
     constructor() {
-        this.storageKey = "prompt_presets_custom";
-        this.presets = this.load();
+        this.profiles = this.normalize(null);
     }
 
-    // 从 localStorage 加载
-    load() {
-        try {
-            const data = localStorage.getItem(this.storageKey);
-            if (data) {
-                return JSON.parse(data);
-            }
-        } catch (e) {
-            console.error("[CustomPresets] Failed to load:", e);
+    normalize(data) {
+        const source = Array.isArray(data) ? data : BUILTIN_PROFILES;
+        const profiles = [];
+        source.forEach(item => {
+            const id = String(item?.id ?? "");
+            if (!id || profiles.some(p => p.id === id)) return;
+            profiles.push({
+                id,
+                name: typeof item.name === "string" ? item.name : "",
+                order: Array.isArray(item.order) ? item.order.map(String) : null,
+                separator: typeof item.separator === "string" && item.separator ? item.separator : ", ",
+                allowCamera: item.allowCamera !== false,
+                match: Array.isArray(item.match) ? item.match.map(m => String(m).toLowerCase()).filter(Boolean) : []
+            });
+        });
+        // 默认方案不可缺失，始终排在第一位
+        if (!profiles.some(p => p.id === DEFAULT_PROFILE_ID)) {
+            profiles.unshift({ ...BUILTIN_PROFILES[0], name: "" });
         }
-        return [];
+        return profiles;
+    }
+
+    load() {
+        this.profiles = this.normalize(getSetting(SETTING_IDS.profiles, null));
     }
 
-    // 保存到 localStorage
     save() {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.presets));
-        } catch (e) {
-            console.error("[CustomPresets] Failed to save:", e);
-        }
+        setSetting(SETTING_IDS.profiles, this.profiles);
     }
 
-    // 获取所有自定义预设
     getAll() {
-        return this.presets;
+        return this.profiles;
     }
 
-    // 添加新预设
-    add(name, value) {
-        if (!name || !value) return false;
-        this.presets.push({ name, value });
-        this.save();
-        return true;
+    get(id) {
+        return this.profiles.find(p => p.id === id) || null;
     }
 
-    // 删除预设
-    remove(index) {
-        if (index >= 0 && index < this.presets.length) {
-            this.presets.splice(index, 1);
-            this.save();
-            return true;
-        }
-        return false;
+    isBuiltin(id) {
+        return BUILTIN_PROFILES.some(p => p.id === id);
     }
 
-    // 更新预设
-    update(index, name, value) {
-        if (index >= 0 && index < this.presets.length) {
-            this.presets[index] = { name, value };
-            this.save();
-            return true;
-        }
-        return false;
+    // 以现有方案为模板新建
+    add(base) {
+        const profile = {
+            ...JSON.parse(JSON.stringify(base)),
+            id: `custom_${Date.now().toString(36)}`,
+            name: t("profileCopyName", { name: displayProfileName(base) }),
+            match: []
+        };
+        this.profiles.push(profile);
+        this.save();
+        return profile;
     }
-}
 
-const customPresetsManager = new CustomPresetsManager();
+    update(id, changes) {
+        const profile = this.get(id);
+        if (!profile) return false;
+        Object.assign(profile, changes);
+        this.save();
+        return true;
+    }
 
-// ========================================
-// 悬浮按钮和菜单 UI
-// ========================================
+    // 默认方案不可删除；引用被删方案的节点回退到全局设置
+    remove(id) {
+        if (id === DEFAULT_PROFILE_ID) return false;
+        const index = this.profiles.findIndex(p => p.id === id);
+        if (index < 0) return false;
+        this.profiles.splice(index, 1);
+        this.save();
+        return true;
+    }
 
-class PromptPresetsUI {
-    constructor() {
-        this.floatBtn = null;
-        this.mainMenu = null;
-        this.subMenu = null;
-        this.thirdLevelMenu = null;
-        this.managePanel = null;
-        this.previewPopup = null;
-        this.isMenuOpen = false;
-        this.hideTimeout = null;
-        // 菜单展开方向: 'left' 或 'right'，由主菜单位置决定，后续菜单保持一致
-        this.menuExpandDirection = 'left';
+    reset() {
+        this.profiles = this.normalize(null);
+        this.save();
     }
 
-    createFloatingButton() {
-        const STORAGE_KEY = "prompt_presets_btn_pos";
+    // 方案的层级顺序；自定义顺序中缺失的层级（如后来新增的自定义层级）按「排序层级」中的顺序补在末尾
+    getOrder(profile) {
+        const slotIds = tierManager.getSlots().map(s => s.id);
+        if (!profile?.order) return slotIds;
+        const order = profile.order.filter(id => slotIds.includes(id));
+        slotIds.forEach(id => {
+            if (!order.includes(id)) order.push(id);
+        });
+        return order;
+    }
 
-        const floatBtn = document.createElement("button");
-        floatBtn.id = "prompt-presets-float-btn";
-        floatBtn.innerText = "📝";
-        floatBtn.title = "提示词预设 (可拖拽)";
+    // 沿输入连线向上查找模型加载节点，按关键词匹配方案；未识别时返回 null
+    detectForNode(node) {
+        if (!node) return null;
+        const graph = node.graph || app.graph;
+        const getLink = (id) => graph.links?.get ? graph.links.get(id) : graph.links?.[id];
+
+        const hints = [];
+        const visited = new Set([node.id]);
+        let frontier = [node];
+        for (let depth = 0; depth < 20 && frontier.length > 0; depth++) {
+            const next = [];
+            for (const current of frontier) {
+                for (const input of current.inputs || []) {
+                    if (input.link == null) continue;
+                    const link = getLink(input.link);
+                    const origin = link && graph.getNodeById(link.origin_id);
+                    if (!origin || visited.has(origin.id)) continue;
+                    visited.add(origin.id);
+                    next.push(origin);
+
+                    if (!String(origin.type || "").includes("Loader")) continue;
+                    (origin.widgets || []).forEach(w => {
+                        if (MODEL_HINT_WIDGETS.includes(w.name) && typeof w.value === "string") {
+                            hints.push(w.value.toLowerCase());
+                        }
+                    });
+                }
+            }
+            frontier = next;
+        }
 
-        let savedPos = { right: 20, bottom: 80 };
-        try {
-            const stored = localStorage.getItem(STORAGE_KEY);
-            if (stored) savedPos = JSON.parse(stored);
-        } catch (e) { }
+        if (hints.length === 0) return null;
+        return this.profiles.find(profile =>
+            profile.match.some(keyword => hints.some(hint => hint.includes(keyword)))
+        ) || null;
+    }
 
-        Object.assign(floatBtn.style, {
-            position: "fixed",
-            right: savedPos.right + "px",
-            bottom: savedPos.bottom + "px",
-            zIndex: "99998",
-            width: "44px",
-            height: "44px",
-            borderRadius: "50%",
-            background: "linear-gradient(135deg, #4a6ea5, #2a4a75)",
-            color: "white",
-            border: "2px solid #5a8ec5",
-            cursor: "grab",
-            fontSize: "20px",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-            boxShadow: "0 4px 8px rgba(0,0,0,0.4)",
-            transition: "transform 0.1s, box-shadow 0.1s",
-            userSelect: "none"
-        });
+    // 节点实际使用的方案：节点设置 > 全局设置 > 自动识别 > 默认方案
+    resolveForNode(node) {
+        // 节点未设置或所选方案已被删除时，使用全局设置
+        let choice = node?.properties?.[PROFILE_PROPERTY];
+        if (!choice || (choice !== AUTO_PROFILE_ID && !this.get(choice))) {
+            choice = getSetting(SETTING_IDS.profile, AUTO_PROFILE_ID);
+        }
+        if (choice !== AUTO_PROFILE_ID && this.get(choice)) return this.get(choice);
+        return this.detectForNode(node) || this.get(DEFAULT_PROFILE_ID);
+    }
+}
 
-        // 拖拽逻辑
-        let isDragging = false;
-        let hasMoved = false;
-        let startX, startY, startRight, startBottom;
+const profileManager = new OrderingProfileManager();
 
-        floatBtn.onmousedown = (e) => {
-            if (e.button !== 0) return;
-            isDragging = true;
-            hasMoved = false;
-            startX = e.clientX;
-            startY = e.clientY;
-            startRight = parseInt(floatBtn.style.right);
-            startBottom = parseInt(floatBtn.style.bottom);
-            floatBtn.style.cursor = "grabbing";
-            floatBtn.style.transition = "none";
-            e.preventDefault();
-        };
+// 方案的显示名称
+function displayProfileName(profile) {
+    return profile.name || t(`profile_${profile.id}`);
+}
 
-        document.addEventListener("mousemove", (e) => {
-            if (!isDragging) return;
-            const dx = startX - e.clientX;
-            const dy = startY - e.clientY;
-            if (Math.abs(dx) > 3 || Math.abs(dy) > 3) hasMoved = true;
+// 方案不允许运镜时，运镜分组（camera_movement）中的预设不能添加
+function isCameraBlocked(value, profile) {
+    return !!profile && !profile.allowCamera && !!presetGroupCache[resolvePresetId(value)]?.camera;
+}
 
-            let newRight = Math.max(5, Math.min(window.innerWidth - 50, startRight + dx));
-            let newBottom = Math.max(5, Math.min(window.innerHeight - 50, startBottom + dy));
+// ========================================
+// 预设 ID - 服务端为每个预设提供稳定的 id，修改 prompt_value 后不变
+// ========================================
 
-            floatBtn.style.right = newRight + "px";
-            floatBtn.style.bottom = newBottom + "px";
-        });
+// 缓存：preset prompt_value -> id，用于把文本中的预设值对应到预设
+let presetIdCache = {};
 
-        document.addEventListener("mouseup", () => {
-            if (!isDragging) return;
-            isDragging = false;
-            floatBtn.style.cursor = "grab";
-            floatBtn.style.transition = "transform 0.1s, box-shadow 0.1s";
+function buildPresetIdCache(presetsData) {
+    const cache = {};
+    if (!Array.isArray(presetsData)) return cache;
 
-            const pos = {
-                right: parseInt(floatBtn.style.right),
-                bottom: parseInt(floatBtn.style.bottom)
-            };
-            try { localStorage.setItem(STORAGE_KEY, JSON.stringify(pos)); } catch (e) { }
-        });
+    for (const category of presetsData) {
+        const groups = Array.isArray(category.groups) ? category.groups : [category];
+        for (const group of groups) {
+            if (!Array.isArray(group.presets)) continue;
+            for (const preset of group.presets) {
+                if (preset.id && preset.prompt_value && !(preset.prompt_value in cache)) {
+                    cache[preset.prompt_value] = preset.id;
+                }
+            }
+        }
+    }
+    return cache;
+}
 
-        floatBtn.onmouseenter = () => {
-            if (!isDragging) {
-                floatBtn.style.transform = "scale(1.1)";
-                floatBtn.style.boxShadow = "0 6px 12px rgba(0,0,0,0.5)";
-                this.clearHideTimeout();
-                this.showMainMenu();
+// 预设值（不含标记）对应的预设 ID：优先使用节点历史中记录的 ID（预设内容修改后仍能识别），否则按当前预设值查找
+// tracked: presetsManager.getTracked(nodeId) 的返回值
+function resolvePresetId(value, tracked = null) {
+    return tracked?.ids.get(value) ?? presetIdCache[value] ?? null;
+}
+
+// ========================================
+// 动态权重排序 - 按 Tier 重排提示词
+// ========================================
+
+// 缓存：preset id -> tier id
+let presetTierCache = null;
+
+// 从加载的预设数据构建 tier 缓存（已应用用户的分组覆盖）
+// 支持新的三层结构 (Category -> Group -> Preset) 和旧的两层结构
+function buildPresetTierCache(presetsData) {
+    const cache = {};
+    if (!Array.isArray(presetsData)) return cache;
+
+    for (const category of presetsData) {
+        // 新结构：Category 包含 groups 数组
+        if (Array.isArray(category.groups)) {
+            for (const group of category.groups) {
+                const tier = tierManager.resolveGroupTier(getGroupKey(category, group), group.tier);
+                if (Array.isArray(group.presets)) {
+                    for (const preset of group.presets) {
+                        if (preset.id) {
+                            cache[preset.id] = tier;
+                        }
+                    }
+                }
             }
-        };
+        }
+        // 旧结构：Category 直接包含 presets 数组（向后兼容）
+        else if (Array.isArray(category.presets)) {
+            const tier = tierManager.resolveGroupTier(getGroupKey(category, null), category.tier);
+            for (const preset of category.presets) {
+                if (preset.id) {
+                    cache[preset.id] = tier;
+                }
+            }
+        }
+    }
+    return cache;
+}
 
-        floatBtn.onmouseleave = (e) => {
-            floatBtn.style.transform = "scale(1.0)";
-            floatBtn.style.boxShadow = "0 4px 8px rgba(0,0,0,0.4)";
-            this.scheduleHideMenu(e);
-        };
+// 缓存：preset id -> { groupKey, exclusive, camera }，用于互斥分组和排序方案的运镜限制
+let presetGroupCache = {};
 
-        // 窗口大小改变时，确保按钮始终在可视区域内
-        const ensureButtonVisible = () => {
-            const currentRight = parseInt(floatBtn.style.right) || 20;
-            const currentBottom = parseInt(floatBtn.style.bottom) || 80;
+function buildPresetGroupCache(presetsData) {
+    const cache = {};
+    if (!Array.isArray(presetsData)) return cache;
 
-            // 计算按钮的实际位置
-            const btnWidth = 44;
-            const btnHeight = 44;
-            const maxRight = window.innerWidth - btnWidth - 5;
-            const maxBottom = window.innerHeight - btnHeight - 5;
+    for (const category of presetsData) {
+        const groups = Array.isArray(category.groups) ? category.groups : [category];
+        for (const group of groups) {
+            if (!Array.isArray(group.presets)) continue;
+            const groupKey = getGroupKey(category, group);
+            for (const preset of group.presets) {
+                if (preset.id) {
+                    cache[preset.id] = {
+                        groupKey,
+                        exclusive: !!group.exclusive,
+                        camera: !!group.camera_movement
+                    };
+                }
+            }
+        }
+    }
+    return cache;
+}
 
-            // 限制位置在可视区域内
-            const newRight = Math.max(5, Math.min(maxRight, currentRight));
-            const newBottom = Math.max(5, Math.min(maxBottom, currentBottom));
+// 获取文本中与该预设同属一个互斥分组的其他预设（不含【】的值）
+// tracked: 节点中记录的预设（见 presetsManager.getTracked）
+function findExclusiveConflicts(text, promptValue, tracked = null) {
+    const presetId = resolvePresetId(promptValue);
+    const info = presetGroupCache[presetId];
+    if (!info?.exclusive || !text) return [];
+
+    const conflicts = [];
+    findPresetSpans(text, tracked).forEach(({ value, id }) => {
+        if (id !== presetId && presetGroupCache[id]?.groupKey === info.groupKey && !conflicts.includes(value)) {
+            conflicts.push(value);
+        }
+    });
+    return conflicts;
+}
 
-            floatBtn.style.right = newRight + "px";
-            floatBtn.style.bottom = newBottom + "px";
+// 获取预设所在层级的排序位置（需要先加载数据）；未知预设（如自定义预设）使用默认层级
+// order: 排序方案给出的层级顺序，省略时使用「排序层级」中的顺序
+function getPresetTier(presetId, order = null) {
+    const tierId = String(presetTierCache?.[presetId] ?? tierManager.getDefaultTier());
+    if (!order) return tierManager.getRank(tierId);
+    const index = order.indexOf(tierId);
+    return index > -1 ? index : order.indexOf(tierManager.getDefaultTier());
+}
 
-            // 保存新位置
-            try {
-                localStorage.setItem(STORAGE_KEY, JSON.stringify({ right: newRight, bottom: newBottom }));
-            } catch (e) { }
-        };
+// ========================================
+// 负向提示词 - 预设的 negative_value 伴随值
+// ========================================
 
-        // 监听窗口大小改变
-        window.addEventListener("resize", ensureButtonVisible);
+// 缓存：preset id -> negative_value（预设自身的优先于分组的）
+let presetNegativeCache = {};
 
-        // 初始化时也调用一次，确保加载后位置正确
-        setTimeout(ensureButtonVisible, 100);
+function buildPresetNegativeCache(presetsData) {
+    const cache = {};
+    if (!Array.isArray(presetsData)) return cache;
 
-        this.floatBtn = floatBtn;
-        return floatBtn;
+    const collect = (presets, fallback) => {
+        if (!Array.isArray(presets)) return;
+        for (const preset of presets) {
+            const negative = preset.negative_value || fallback;
+            if (preset.id && negative) {
+                cache[preset.id] = negative;
+            }
+        }
+    };
+
+    for (const category of presetsData) {
+        if (Array.isArray(category.groups)) {
+            for (const group of category.groups) {
+                collect(group.presets, group.negative_value || category.negative_value);
+            }
+        } else {
+            collect(category.presets, category.negative_value);
+        }
     }
+    return cache;
+}
 
-    async showMainMenu() {
-        if (this.isMenuOpen) return;
+// 获取预设对应的负向提示词（内置预设或自定义预设），没有则返回 null
+// presetId: 已知的预设 ID（如历史记录中的），省略时按预设值查找
+function getPresetNegative(promptValue, presetId = null) {
+    if (!promptValue) return null;
+    const negative = presetNegativeCache[presetId ?? resolvePresetId(promptValue)];
+    if (negative) return negative;
+    const custom = customPresetsManager.getAll().find(p => p.value === promptValue);
+    return custom?.negative || null;
+}
 
-        const presets = await presetsManager.loadPresets();
-        if (!presets || presets.length === 0) {
-            this.showToast("未能加载预设数据", "warning");
-            return;
+// 查找与目标输入框配对的负向输入框：
+// 1. 同一节点上名为 negative 的 widget
+// 2. 沿连线查找：目标节点输出 → 采样器的 positive 输入 → 同一采样器 negative 输入的来源节点
+function findNegativeWidget(node, promptWidget) {
+    if (!node || promptWidget?.name === "negative") return null;
+
+    const ownNegative = node.widgets?.find(w => w.name === "negative" && w !== promptWidget);
+    if (ownNegative) return { node, widget: ownNegative };
+
+    const graph = node.graph || app.graph;
+    const getLink = (id) => graph.links?.get ? graph.links.get(id) : graph.links?.[id];
+
+    for (const output of node.outputs || []) {
+        for (const linkId of output.links || []) {
+            const link = getLink(linkId);
+            if (!link) continue;
+            const consumer = graph.getNodeById(link.target_id);
+            const input = consumer?.inputs?.[link.target_slot];
+            if (!consumer || input?.name !== "positive") continue;
+
+            const negativeInput = consumer.inputs.find(i => i.name === "negative");
+            if (negativeInput?.link == null) continue;
+            const negativeLink = getLink(negativeInput.link);
+            const source = negativeLink && graph.getNodeById(negativeLink.origin_id);
+            if (!source || source === node) continue;
+
+            const widget = getPromptWidget(source);
+            if (widget) return { node: source, widget };
         }
+    }
+    return null;
+}
 
-        const menu = document.createElement("div");
-        menu.className = "prompt-presets-menu";
-        Object.assign(menu.style, {
-            position: "fixed",
-            background: "linear-gradient(180deg, #333, #2a2a2a)",
-            border: "1px solid #555",
-            borderRadius: "10px",
-            boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
-            zIndex: "99997",
-            minWidth: "200px",
-            padding: "8px 0",
-            opacity: "0",
-            transform: "translateY(10px)",
-            transition: "opacity 0.2s, transform 0.2s"
+// 统计所有节点的添加历史中持有同一段负向提示词（{ nodeId, widget, value }）的预设数量；exclude 为不计入的历史项
+// 分组的负向伴随值可能被同组多个预设共用，只有最后一个持有者被删除时才移除
+function countNegativeOwners(location, exclude = null) {
+    let count = 0;
+    (app.graph?._nodes || []).forEach(node => {
+        const items = node.properties?.[HISTORY_PROPERTY]?.items;
+        if (!Array.isArray(items)) return;
+        items.forEach(item => {
+            const negative = item.negative;
+            if (item !== exclude && negative && negative.nodeId === location.nodeId &&
+                negative.widget === location.widget && negative.value === location.value) {
+                count++;
+            }
         });
+    });
+    return count;
+}
 
-        // 类别菜单项
-        presets.forEach((cat) => {
-            const item = this.createMenuItem(cat.category, "▶");
-            item.onmouseenter = () => {
-                this.highlightItem(item, true);
-                this.showSubMenu(cat, item);
-            };
-            item.onmouseleave = () => this.highlightItem(item, false);
-            menu.appendChild(item);
-        });
+// 清理移除片段后多余的逗号和空格
+function cleanupSeparators(text) {
+    return text.replace(/,\s*,/g, ",").replace(/^\s*,\s*/, "").replace(/\s*,\s*$/, "").trim();
+}
 
-        // 分隔线1
-        const divider1 = document.createElement("div");
-        Object.assign(divider1.style, {
-            height: "1px",
-            background: "#555",
-            margin: "8px 12px"
-        });
-        menu.appendChild(divider1);
+// ========================================
+// 预设标记 - 【value】、自定义标记符或无标记
+// ========================================
 
-        // ✨ 自定义预设 选项
-        const customItem = this.createMenuItem("✨ 自定义", "▶");
-        customItem.onmouseenter = () => {
-            this.highlightItem(customItem, true);
-            this.showCustomSubMenu(customItem);
-        };
-        customItem.onmouseleave = () => this.highlightItem(customItem, false);
-        menu.appendChild(customItem);
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
-        // 分隔线2
-        const divider2 = document.createElement("div");
-        Object.assign(divider2.style, {
-            height: "1px",
-            background: "#555",
-            margin: "8px 12px"
-        });
-        menu.appendChild(divider2);
+// 标记方式（设置项 PromptPresets.MarkerMode）："brackets" 【】、"custom" 自定义标记符、"none" 无标记
+function getMarkerMode() {
+    const mode = getSetting(SETTING_IDS.markerMode, "brackets");
+    return MARKER_MODES.includes(mode) ? mode : "brackets";
+}
 
-        // 管理已添加 选项
-        const manageItem = this.createMenuItem("🗑️ 管理已添加", "");
-        manageItem.onclick = () => {
-            this.hideAllMenus();
-            this.showManagePanel();
-        };
-        manageItem.onmouseenter = () => {
-            this.highlightItem(manageItem, true);
-            this.hideSubMenu();
-        };
-        manageItem.onmouseleave = () => this.highlightItem(manageItem, false);
-        menu.appendChild(manageItem);
+// 解析自定义标记符："«»" 为两个字符；多字符标记用空格分隔开始和结束，如 "<< >>"
+// 开始和结束须不同、互不包含，且不含空白和权重语法用到的 ( ) , :；无效时返回 null
+function parseMarkers(text) {
+    const trimmed = String(text || "").trim();
+    const parts = /\s/.test(trimmed) ? trimmed.split(/\s+/) : Array.from(trimmed);
+    if (parts.length !== 2) return null;
+
+    const [open, close] = parts;
+    if (open.includes(close) || close.includes(open)) return null;
+    if (/[\s(),:]/.test(open + close)) return null;
+    return { open, close };
+}
 
-        // ⚙️ 设置 选项
-        const settingsItem = this.createMenuItem("⚙️ 设置", "");
-        settingsItem.onclick = () => {
-            this.hideAllMenus();
-            this.showSettingsPanel();
-        };
-        settingsItem.onmouseenter = () => {
-            this.highlightItem(settingsItem, true);
-            this.hideSubMenu();
-        };
-        settingsItem.onmouseleave = () => this.highlightItem(settingsItem, false);
-        menu.appendChild(settingsItem);
+// 当前的预设标记符；无标记模式下为空字符串。自定义标记符无效时回退到【】（设置中输入无效值时会提示）
+function getMarkers() {
+    const mode = getMarkerMode();
+    if (mode === "none") return { open: "", close: "" };
 
-        menu.onmouseenter = () => this.clearHideTimeout();
-        menu.onmouseleave = (e) => this.scheduleHideMenu(e);
+    if (mode === "custom") {
+        const custom = parseMarkers(getSetting(SETTING_IDS.markers, DEFAULT_MARKERS));
+        if (custom) return custom;
+    }
+    return parseMarkers(DEFAULT_MARKERS);
+}
 
-        document.body.appendChild(menu);
+// value -> 【value】
+function markValue(value) {
+    const { open, close } = getMarkers();
+    return open + value + close;
+}
 
-        // 定位：智能判断展开方向
-        const btnRect = this.floatBtn.getBoundingClientRect();
-        const menuWidth = 210;
-        const subMenuTotalWidth = menuWidth + 290 + 330; // 三级菜单所需总宽度
+function isMarkedValue(text) {
+    const { open, close } = getMarkers();
+    if (!open || !text) return false;
+    return text.length > open.length + close.length && text.startsWith(open) && text.endsWith(close);
+}
 
-        // 计算左右两侧可用空间
-        const leftSpace = btnRect.left;
-        const rightSpace = window.innerWidth - btnRect.right;
+// 【value】 -> value；没有标记时原样返回
+function unmarkValue(text) {
+    if (!isMarkedValue(text)) return text;
+    const { open, close } = getMarkers();
+    return text.slice(open.length, -close.length);
+}
 
-        // 决定展开方向：优先选择空间更大的一侧
-        // 如果左侧空间足够放下三级菜单，则向左展开；否则向右
-        if (leftSpace >= subMenuTotalWidth || leftSpace > rightSpace) {
-            this.menuExpandDirection = 'left';
-        } else {
-            this.menuExpandDirection = 'right';
-        }
+// 预设片段：带权重 (【xxx】:1.2) 或普通 【xxx】；分组 1/3 为预设值，分组 2 为权重
+function getPresetSpanRegex() {
+    const open = escapeRegExp(getMarkers().open);
+    const close = escapeRegExp(getMarkers().close);
+    const inner = `((?:(?!${close})[\\s\\S])+)`;
+    return new RegExp(`\\(${open}${inner}${close}:(\\d+(?:\\.\\d+)?)\\)|${open}${inner}${close}`, "g");
+}
 
-        let x, y;
-        if (this.menuExpandDirection === 'left') {
-            x = btnRect.left - menuWidth;
-            if (x < 10) x = btnRect.right + 10; // 保底：左侧不够就放右侧
-        } else {
-            x = btnRect.right + 10;
-            if (x + menuWidth > window.innerWidth - 10) x = btnRect.left - menuWidth; // 保底
-        }
+// ========================================
+// 权重语法 - (【value】:1.2)
+// ========================================
 
-        y = btnRect.top;
-        if (y + 350 > window.innerHeight) y = window.innerHeight - 370;
+// 权重格式化：最多两位小数，去掉多余的 0
+function formatWeight(weight) {
+    return String(Math.round(weight * 100) / 100);
+}
 
-        menu.style.left = x + "px";
-        menu.style.top = y + "px";
+// 按权重包裹带标记的预设值；权重为 1 时不包裹
+function wrapWithWeight(markedValue, weight = 1) {
+    if (!weight || Math.abs(weight - 1) < 0.001) return markedValue;
+    return `(${markedValue}:${formatWeight(weight)})`;
+}
 
-        requestAnimationFrame(() => {
-            menu.style.opacity = "1";
-            menu.style.transform = "translateY(0)";
-        });
+// 查找带标记的预设值在文本中的实际片段（含权重包裹），返回 { span, weight, index }；未找到返回 null
+function findWeightedSpan(text, markedValue) {
+    if (!text || !markedValue) return null;
+    const weightedRegex = new RegExp(`\\(${escapeRegExp(markedValue)}:(\\d+(?:\\.\\d+)?)\\)`);
+    const match = text.match(weightedRegex);
+    if (match) return { span: match[0], weight: parseFloat(match[1]), index: match.index };
+    const index = text.indexOf(markedValue);
+    if (index >= 0) return { span: markedValue, weight: 1, index };
+    return null;
+}
 
-        this.mainMenu = menu;
-        this.isMenuOpen = true;
-    }
+// 原地改写预设的权重
+function setSpanWeight(text, markedValue, weight) {
+    const found = findValueSpan(text, markedValue);
+    if (!found) return text;
+    return replaceSpan(text, found, wrapWithWeight(markedValue, weight));
+}
 
-    createMenuItem(text, arrow) {
-        const item = document.createElement("div");
-        Object.assign(item.style, {
-            padding: "12px 18px",
-            cursor: "pointer",
-            fontSize: "14px",
-            color: "#ddd",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "space-between",
-            transition: "background 0.15s, padding-left 0.15s"
-        });
-        item.innerHTML = `<span>${text}</span>${arrow ? `<span style="opacity:0.5;font-size:11px;">${arrow}</span>` : ''}`;
-        return item;
-    }
+// 无标记模式：查找作为独立片段出现的预设值（前后为开头/结尾、逗号或换行），不匹配用户文本中的一部分
+// 带权重时返回 (value:1.2) 整段；未找到返回 null
+function findPlainSpan(text, value) {
+    if (!text || !value) return null;
+    const escaped = escapeRegExp(value);
+    const weighted = new RegExp(`\\(${escaped}:(\\d+(?:\\.\\d+)?)\\)`).exec(text);
+    if (weighted) return { span: weighted[0], weight: parseFloat(weighted[1]), index: weighted.index };
+    const plain = new RegExp(`(^|[,\\n])(\\s*)${escaped}(?=\\s*(?:[,\\n]|$))`).exec(text);
+    if (!plain) return null;
+    return { span: value, weight: 1, index: plain.index + plain[1].length + plain[2].length };
+}
 
-    highlightItem(item, highlight) {
-        if (highlight) {
-            item.style.background = "linear-gradient(90deg, #3a6ea5, transparent)";
-            item.style.paddingLeft = "22px";
-            item.style.color = "#fff";
-        } else {
-            item.style.background = "transparent";
-            item.style.paddingLeft = "18px";
-            item.style.color = "#ddd";
+// 查找历史记录中的预设值在文本中的片段（含权重包裹）：带标记的值按标记查找，
+// 没有标记的值只匹配独立片段，如 "red" 不匹配 "red cat"；返回 { span, weight, index }，未找到返回 null
+function findValueSpan(text, value) {
+    return isMarkedValue(value) ? findWeightedSpan(text, value) : findPlainSpan(text, value);
+}
+
+// 把 findValueSpan 找到的片段替换为 replacement
+function replaceSpan(text, found, replacement) {
+    return text.slice(0, found.index) + replacement + text.slice(found.index + found.span.length);
+}
+
+// 从提示词中移除预设片段（含权重包裹）；无标记的值只移除独立片段，不改动用户文本中包含该值的部分
+function removePresetSpan(text, value) {
+    const found = findValueSpan(text, value);
+    if (!found) return { text, removed: false };
+    return { text: cleanupSeparators(replaceSpan(text, found, "")), removed: true };
+}
+
+// 找出文本中的预设片段，按出现顺序返回 [{ span, value, weight, id, index, end }]
+// value 不含标记，id 为对应的预设 ID（未知时为 null），index / end 为片段在文本中的起止位置（互不重叠）
+// 有标记符时按标记识别；无标记模式下只识别节点元数据中记录的预设值
+// tracked: 节点中记录的预设（见 presetsManager.getTracked）
+function findPresetSpans(text, tracked = null) {
+    if (!text) return [];
+
+    const spans = [];
+    if (getMarkerMode() !== "none") {
+        const regex = getPresetSpanRegex();
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            const value = match[1] || match[3];
+            spans.push({
+                span: match[0],
+                value,
+                weight: match[2] ? parseFloat(match[2]) : 1,
+                id: resolvePresetId(value, tracked),
+                index: match.index,
+                end: match.index + match[0].length
+            });
         }
+        return spans;
     }
 
-    showSubMenu(category, parentItem) {
-        this.hideSubMenu();
+    const found = [];
+    (tracked?.values || []).forEach(value => {
+        const plain = findPlainSpan(text, value);
+        if (!plain || found.some(f => f.value === value)) return;
+        found.push({ span: plain.span, value, weight: plain.weight, index: plain.index, end: plain.index + plain.span.length });
+    });
+
+    // 较长的片段优先，跳过与之重叠的片段（一个预设值是另一个的子串时）
+    found.sort((a, b) => b.span.length - a.span.length);
+    found.forEach(f => {
+        if (!spans.some(s => f.index < s.end && s.index < f.end)) spans.push(f);
+    });
+    return spans
+        .sort((a, b) => a.index - b.index)
+        .map(({ span, value, weight, index, end }) => ({ span, value, weight, id: resolvePresetId(value, tracked), index, end }));
+}
 
-        const submenu = document.createElement("div");
-        Object.assign(submenu.style, {
-            position: "fixed",
-            background: "linear-gradient(180deg, #383838, #2e2e2e)",
-            border: "1px solid #555",
-            borderRadius: "10px",
-            boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
-            zIndex: "99996",
-            minWidth: "280px",
-            maxHeight: "400px",
-            overflowY: "auto",
-            padding: "8px 0",
-            opacity: "0",
-            transform: "translateX(10px)",
-            transition: "opacity 0.15s, transform 0.15s"
-        });
+// 旧版本的提示词中没有标记的预设值：只匹配独立的片段（前后为开头/结尾、逗号、换行或权重括号），不匹配用户文本中的一部分
+function containsPlainValue(text, value) {
+    if (!text || !value) return false;
+    return new RegExp(`(?:^|[,(\\n])\\s*${escapeRegExp(value)}(?=\\s*(?:[,)\\n:]|$))`).test(text);
+}
 
-        // 新结构：Category 包含 groups 数组 (三层级联)
-        if (Array.isArray(category.groups)) {
-            category.groups.forEach(group => {
-                const item = document.createElement("div");
-                Object.assign(item.style, {
-                    padding: "10px 16px",
-                    cursor: "pointer",
-                    fontSize: "13px",
-                    color: "#ccc",
-                    borderLeft: "3px solid transparent",
-                    transition: "all 0.12s",
-                    display: "flex",
-                    alignItems: "center",
-                    justifyContent: "space-between"
-                });
+// 文本中已添加的预设 ID 集合
+function getAppliedPresetIds(text, tracked = null) {
+    return new Set(findPresetSpans(text, tracked).map(found => found.id).filter(Boolean));
+}
 
-                const text = document.createElement("span");
-                text.textContent = group.name;
-                item.appendChild(text);
+// 节点所有提示词输入框中已添加的预设 ID（每个输入框按各自的记录识别）
+function getNodePresetIds(node) {
+    const ids = new Set();
+    if (!node) return ids;
+    getAllPromptWidgets(node).forEach(widget => {
+        const tracked = presetsManager.getTracked(node.id, widget.name);
+        getAppliedPresetIds(widget.value || "", tracked).forEach(id => ids.add(id));
+    });
+    return ids;
+}
 
-                const arrow = document.createElement("span");
-                arrow.textContent = "▶";
-                arrow.style.fontSize = "10px";
-                arrow.style.opacity = "0.6";
-                item.appendChild(arrow);
+// 去掉预设的标记符：【value】 -> value，(【value】:1.2) -> (value:1.2)
+function stripPresetMarkers(text) {
+    if (!text || getMarkerMode() === "none") return text;
+    return text.replace(getPresetSpanRegex(), (match, weightedValue, weight, value) =>
+        weightedValue !== undefined ? `(${weightedValue}:${weight})` : value
+    );
+}
 
-                item.onmouseenter = () => {
-                    item.style.background = "linear-gradient(90deg, #3a6ea5, transparent)";
-                    item.style.color = "#fff";
-                    item.style.borderLeftColor = "#5ab0ff";
-                    item.style.paddingLeft = "20px";
-                    this.showThirdLevelMenu(group, item, submenu);
-                };
-                item.onmouseleave = () => {
-                    item.style.background = "transparent";
-                    item.style.color = "#ccc";
-                    item.style.borderLeftColor = "transparent";
-                    item.style.paddingLeft = "16px";
-                };
+// 重排提示词：按层级顺序排序（见 ⚙️ 设置 → 排序层级）
+// 格式：【preset1】, 用户文本, (【preset2】:1.2)
+// 输出：用户文本位置之前的层级、用户文本、之后的层级
+// tracked: 节点中记录的预设（见 presetsManager.getTracked），用于按 ID 查找层级
+// profile: 排序方案，决定层级顺序和分隔符；省略时使用「排序层级」中的顺序和 ", "
+function reorderPromptByTier(text, tracked = null, profile = null) {
+    if (!text || !presetTierCache) return text;
 
-                submenu.appendChild(item);
-            });
-        }
-        // 旧结构：Category 直接包含 presets（向后兼容）
-        else if (Array.isArray(category.presets)) {
-            category.presets.forEach(preset => {
-                const item = this.createPresetItem(preset);
-                submenu.appendChild(item);
-            });
-        }
+    const order = profile ? profileManager.getOrder(profile) : null;
+    const separator = profile?.separator || ", ";
+
+    // 提取所有 【xxx】 和 (【xxx】:1.2) 预设
+    const presets = findPresetSpans(text, tracked).map(found => ({
+        fullMatch: found.span, // 包括标记及权重包裹的完整片段
+        innerValue: found.value, // 不包括标记的内容
+        tier: getPresetTier(found.id, order),
+        index: found.index,
+        end: found.end
+    }));
+    let userText = text;
 
-        submenu.onmouseenter = () => this.clearHideTimeout();
-        submenu.onmouseleave = (e) => this.scheduleHideMenu(e);
+    if (presets.length === 0) return text; // 没有预设，无需排序
 
-        document.body.appendChild(submenu);
+    // 从文本中按位置移除所有预设，保留用户文本；从后往前删，前面片段的位置不受影响
+    // （不能按内容替换：无标记模式下预设值可能同时出现在用户文本中，如 "a red cat, red"）
+    for (let i = presets.length - 1; i >= 0; i--) {
+        userText = userText.slice(0, presets[i].index) + userText.slice(presets[i].end);
+    }
 
-        const menuRect = this.mainMenu.getBoundingClientRect();
-        const itemRect = parentItem.getBoundingClientRect();
-        const submenuWidth = 290;
+    // 清理用户文本中的多余逗号和空格；同时清理所有排序方案的分隔符标点
+    // （之前用 flux 等其他分隔符排过序时，切换方案后不会留下 ". " 残留）
+    const punctuations = new Set([","]);
+    profileManager.getAll().forEach(item => {
+        const punctuation = item.separator.trim();
+        if (punctuation) punctuations.add(punctuation);
+    });
+    const anyPunctuation = `(?:${[...punctuations].sort((x, y) => y.length - x.length).map(escapeRegExp).join("|")})`;
+    userText = userText
+        .replace(new RegExp(`${anyPunctuation}(?:\\s*${anyPunctuation})+`, "g"), separator.trim() || ",") // 连续多个预设被移除后会留下多个分隔符
+        .replace(new RegExp(`^\\s*${anyPunctuation}\\s*`), "")
+        .replace(new RegExp(`\\s*${anyPunctuation}\\s*$`), "")
+        .trim();
 
-        let x, y;
-        // 根据已确定的展开方向定位
-        if (this.menuExpandDirection === 'left') {
-            x = menuRect.left - submenuWidth - 5;
-        } else {
-            x = menuRect.right + 5;
-        }
+    // 按层级位置排序预设
+    presets.sort((a, b) => a.tier - b.tier);
 
-        y = itemRect.top - 8;
-        if (y + 400 > window.innerHeight) y = window.innerHeight - 410;
-        if (y < 10) y = 10;
+    // 分组：排在用户文本位置之前的层级在前，之后的在后
+    const userRank = order ? order.indexOf(USER_TIER_ID) : tierManager.getUserRank();
+    const beforeUser = presets.filter(p => p.tier < userRank);
+    const afterUser = presets.filter(p => p.tier > userRank);
 
-        submenu.style.left = x + "px";
-        submenu.style.top = y + "px";
+    // 重建提示词
+    const parts = [];
 
-        requestAnimationFrame(() => {
-            submenu.style.opacity = "1";
-            submenu.style.transform = "translateX(0)";
-        });
+    // 用户文本之前的预设
+    for (const p of beforeUser) {
+        parts.push(p.fullMatch);
+    }
 
-        this.subMenu = submenu;
+    // 用户文本
+    if (userText) {
+        parts.push(userText);
     }
 
-    // 创建预设项（用于二级或三级菜单）
-    createPresetItem(preset) {
-        const item = document.createElement("div");
-        Object.assign(item.style, {
-            padding: "10px 16px",
-            cursor: "pointer",
-            fontSize: "13px",
-            color: "#ccc",
-            borderLeft: "3px solid transparent",
-            transition: "all 0.12s",
-            display: "flex",
-            alignItems: "center",
-            gap: "8px"
-        });
+    // 用户文本之后的预设
+    for (const p of afterUser) {
+        parts.push(p.fullMatch);
+    }
 
-        const text = document.createElement("span");
-        text.textContent = preset.sub_category;
-        item.appendChild(text);
+    return parts.join(separator);
+}
 
-        item.onmouseenter = (e) => {
-            item.style.background = "linear-gradient(90deg, #3a6ea5, transparent)";
-            item.style.color = "#fff";
-            item.style.borderLeftColor = "#5ab0ff";
-            item.style.paddingLeft = "20px";
+// 节点属性中保存添加历史的键名
+const HISTORY_PROPERTY = "prompt_presets_history";
 
-            // 显示预览
-            if (preset.image) {
-                this.showPreviewPopup(preset.image, e.clientX, e.clientY);
-            }
-        };
-        item.onmouseleave = () => {
-            item.style.background = "transparent";
-            item.style.color = "#ccc";
-            item.style.borderLeftColor = "transparent";
-            item.style.paddingLeft = "16px";
+// 节点属性：为 true 时提交该节点的提示词保留标记符
+const KEEP_MARKERS_PROPERTY = "prompt_presets_keep_markers";
 
-            // 隐藏预览
-            this.hidePreviewPopup();
-        };
-
-        item.onclick = () => {
-            this.appendToPrompt(preset.prompt_value);
-            this.hideAllMenus();
-        };
+// 获取节点中的第一个提示词 widget
+function getPromptWidget(node) {
+    if (!node?.widgets) return null;
+    return node.widgets.find(w => isPromptWidget(w));
+}
 
-        return item;
+class PromptPresetsManager {
+    constructor() {
+        this.presets = null;
+        this.loaded = false;
+        // 数据版本号（服务端推送的修改时间）；用于让预览图片绕过浏览器缓存
+        this.version = 0;
+        // 服务端校验发现的问题 [{pack, level, path, message}]
+        this.issues = [];
     }
 
-    // 三级菜单：显示具体预设列表
-    showThirdLevelMenu(group, parentItem, parentMenu) {
-        this.hideThirdLevelMenu();
+    async loadPresets() {
+        if (this.loaded) return this.presets;
 
-        const thirdMenu = document.createElement("div");
-        Object.assign(thirdMenu.style, {
-            position: "fixed",
-            background: "linear-gradient(180deg, #3c3c3c, #323232)",
-            border: "1px solid #555",
-            borderRadius: "10px",
-            boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
-            zIndex: "99995",
-            minWidth: "320px",
-            maxHeight: "400px",
-            overflowY: "auto",
-            padding: "8px 0",
-            opacity: "0",
-            transform: "translateX(10px)",
-            transition: "opacity 0.15s, transform 0.15s"
-        });
+        try {
+            // 使用新的 API 路径
+            const resp = await api.fetchApi("/prompt_presets/data");
+            if (resp.status === 200) {
+                this.setPresets(await resp.json());
+                console.log("[PromptPresets] Loaded presets:", this.presets.length, "categories, tier cache built");
+            } else {
+                console.error("[PromptPresets] Failed to load presets:", resp.status);
+                this.presets = [];
+            }
+        } catch (e) {
+            console.error("[PromptPresets] Error loading presets:", e);
+            this.presets = [];
+        }
+        return this.presets;
+    }
 
-        if (Array.isArray(group.presets)) {
-            group.presets.forEach(preset => {
-                const item = this.createPresetItem(preset);
-                thirdMenu.appendChild(item);
-            });
+    // 重新从服务端获取数据（预设文件变化或手动刷新时）；失败时保留当前数据，返回是否成功
+    async reload() {
+        try {
+            const resp = await api.fetchApi("/prompt_presets/data");
+            if (resp.status !== 200) {
+                console.error("[PromptPresets] Failed to reload presets:", resp.status);
+                return false;
+            }
+            this.setPresets(await resp.json());
+            console.log("[PromptPresets] Reloaded presets:", this.presets.length, "categories");
+            return true;
+        } catch (e) {
+            console.error("[PromptPresets] Error reloading presets:", e);
+            return false;
         }
+    }
 
-        thirdMenu.onmouseenter = () => this.clearHideTimeout();
-        thirdMenu.onmouseleave = (e) => this.scheduleHideMenu(e);
+    // 获取服务端的读取错误和校验问题
+    async loadDiagnostics() {
+        try {
+            const resp = await api.fetchApi("/prompt_presets/diagnostics");
+            if (resp.status === 200) {
+                const data = await resp.json();
+                this.issues = Array.isArray(data.issues) ? data.issues : [];
+            }
+        } catch (e) {
+            console.error("[PromptPresets] Error loading diagnostics:", e);
+        }
+        return this.issues;
+    }
 
-        document.body.appendChild(thirdMenu);
+    // 替换预设数据（如预设库编辑后服务端返回的新数据），并重建各缓存
+    setPresets(data) {
+        this.presets = Array.isArray(data) ? data : [];
+        this.loaded = true;
 
-        const menuRect = parentMenu.getBoundingClientRect();
-        const itemRect = parentItem.getBoundingClientRect();
-        const thirdMenuWidth = 330;
+        // 构建 Tier 缓存用于优先级排序
+        presetIdCache = buildPresetIdCache(this.presets);
+        presetTierCache = buildPresetTierCache(this.presets);
+        presetNegativeCache = buildPresetNegativeCache(this.presets);
+        presetGroupCache = buildPresetGroupCache(this.presets);
+    }
 
-        let x, y;
-        // 根据已确定的展开方向定位
-        if (this.menuExpandDirection === 'left') {
-            x = menuRect.left - thirdMenuWidth - 5;
-        } else {
-            x = menuRect.right + 5;
-        }
+    // 获取节点上保存的添加历史
+    // 历史存放在 node.properties 中，随工作流一起保存/加载，复制粘贴节点时一并复制，删除节点时一并移除
+    // 结构: { items: [{value, customName, id, widget}, ...], counter: N }（counter 用于生成 "自由预设N"；id 为内置预设的 ID，编辑过的值没有）
+    // widget 为写入的输入框名称，同一预设分别添加到正向和负向输入框时各自跟踪；旧版本的记录没有 widget，视为属于节点上的所有输入框
+    getHistoryStore(nodeId, create = false) {
+        const node = app.graph?.getNodeById(nodeId);
+        if (!node) return null;
+
+        const store = node.properties?.[HISTORY_PROPERTY];
+        if (store && Array.isArray(store.items)) return store;
+        if (!create) return null;
+
+        node.properties = node.properties || {};
+        node.properties[HISTORY_PROPERTY] = { items: [], counter: 0 };
+        return node.properties[HISTORY_PROPERTY];
+    }
 
-        y = itemRect.top - 8;
-        if (y + 400 > window.innerHeight) y = window.innerHeight - 410;
-        if (y < 10) y = 10;
+    // 记录添加的预设
+    // negative: 同时写入的负向提示词位置 { nodeId, widget, value }，删除时一并移除
+    // presetId: 预设 ID；之后预设内容被修改，仍按 ID 识别文本中的这段值
+    // widgetName: 写入的输入框名称
+    recordAdded(nodeId, promptValue, presetName = null, negative = null, presetId = null, widgetName = null) {
+        const store = this.getHistoryStore(nodeId, true);
+        if (!store) return;
+        const item = {
+            value: promptValue,
+            customName: presetName // 如果是原始预设，这里为 null
+        };
+        if (negative) item.negative = negative;
+        if (presetId) item.id = presetId;
+        if (widgetName) item.widget = widgetName;
+        store.items.push(item);
+    }
 
-        thirdMenu.style.left = x + "px";
-        thirdMenu.style.top = y + "px";
+    // 获取节点的添加历史；widgetName 限定为某个输入框的记录
+    getHistory(nodeId, widgetName = null) {
+        const items = this.getHistoryStore(nodeId)?.items || [];
+        if (!widgetName) return items;
+        return items.filter(h => !h.widget || h.widget === widgetName);
+    }
 
-        requestAnimationFrame(() => {
-            thirdMenu.style.opacity = "1";
-            thirdMenu.style.transform = "translateX(0)";
+    // 输入框中记录的预设：values 为预设值（不含标记），无标记模式下据此识别提示词中的预设片段；ids 为 预设值 -> 预设 ID
+    getTracked(nodeId, widgetName = null) {
+        const history = this.getHistory(nodeId, widgetName);
+        const ids = new Map();
+        history.forEach(h => {
+            if (h.id) ids.set(unmarkValue(h.value), h.id);
         });
+        return { values: history.map(h => unmarkValue(h.value)), ids };
+    }
 
-        this.thirdLevelMenu = thirdMenu;
+    // 迁移旧版本的历史记录（只有文本）：按当前预设值补上预设 ID；自定义名称的项是编辑过的值，不补
+    migrateHistoryIds(nodeId) {
+        this.getHistory(nodeId).forEach(h => {
+            if (h.id || h.customName) return;
+            const presetId = presetIdCache[unmarkValue(h.value)];
+            if (presetId) h.id = presetId;
+        });
     }
 
-    // 隐藏三级菜单
-    hideThirdLevelMenu() {
-        if (this.thirdLevelMenu) {
-            this.thirdLevelMenu.remove();
-            this.thirdLevelMenu = null;
+    // 从历史中移除；widgetName 限定为某个输入框的记录
+    removeFromHistory(nodeId, promptValue, widgetName = null) {
+        const history = this.getHistoryStore(nodeId)?.items;
+        if (history) {
+            const idx = history.findIndex(h => h.value === promptValue && (!widgetName || !h.widget || h.widget === widgetName));
+            if (idx > -1) {
+                history.splice(idx, 1);
+            }
         }
     }
 
-    // ========================================
-    // 自定义预设子菜单
-    // ========================================
+    // 生成下一个 "自由预设 N" 名称
+    nextCustomName(nodeId) {
+        const store = this.getHistoryStore(nodeId, true);
+        if (!store) return t("freePresetName", { n: "" }).trim();
+        store.counter = (store.counter || 0) + 1;
+        return t("freePresetName", { n: store.counter });
+    }
 
-    showCustomSubMenu(parentItem) {
-        this.hideSubMenu();
+    // 更新历史中的值（用于编辑功能）
+    updateHistory(nodeId, oldValue, newValue) {
+        const history = this.getHistoryStore(nodeId)?.items;
+        if (history) {
+            const item = history.find(h => h.value === oldValue);
+            if (item) {
+                item.value = newValue;
+                // 设置自定义名称
+                if (!item.customName) {
+                    item.customName = this.nextCustomName(nodeId);
+                }
+                return item.customName;
+            }
+        }
+        return null;
+    }
 
-        const customPresets = customPresetsManager.getAll();
+    // 获取所有预设值的列表（用于智能匹配）
+    // 支持新的三层结构和旧的两层结构
+    getAllPresetValues() {
+        if (!this.presets) return [];
+        const values = [];
+        this.presets.forEach(cat => {
+            // 新结构：Category 包含 groups 数组
+            if (Array.isArray(cat.groups)) {
+                cat.groups.forEach(group => {
+                    if (Array.isArray(group.presets)) {
+                        group.presets.forEach(p => {
+                            values.push({
+                                category: cat.category,
+                                categoryEn: cat.category_en,
+                                group: group.name,
+                                groupEn: group.name_en,
+                                id: p.id,
+                                name: p.sub_category,
+                                value: p.prompt_value,
+                                image: p.image,
+                                pack: p.pack
+                            });
+                        });
+                    }
+                });
+            }
+            // 旧结构：Category 直接包含 presets
+            else if (Array.isArray(cat.presets)) {
+                cat.presets.forEach(p => {
+                    values.push({
+                        category: cat.category,
+                        categoryEn: cat.category_en,
+                        id: p.id,
+                        name: p.sub_category,
+                        value: p.prompt_value,
+                        image: p.image,
+                        pack: p.pack
+                    });
+                });
+            }
+        });
+        return values;
+    }
 
-        const submenu = document.createElement("div");
-        Object.assign(submenu.style, {
-            position: "fixed",
-            background: "linear-gradient(180deg, #383838, #2e2e2e)",
-            border: "1px solid #555",
-            borderRadius: "10px",
-            boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
-            zIndex: "99996",
-            minWidth: "280px",
-            maxHeight: "400px",
-            overflowY: "auto",
-            padding: "8px 0",
-            opacity: "0",
-            transform: "translateX(10px)",
-            transition: "opacity 0.15s, transform 0.15s"
+    // 智能匹配：检测 prompt 中包含哪些预设
+    // 预设片段按 ID 识别（节点历史中记录的 ID 优先），预设内容修改后仍能识别；
+    // 旧版本留下的只有文本的预设（历史中没有 ID 或没有标记）检测到时补记 ID，之后同样按 ID 识别
+    detectPresetsInPrompt(promptText, nodeId = null, widgetName = null) {
+        if (!promptText) return [];
+        if (nodeId !== null) this.migrateHistoryIds(nodeId);
+
+        const tracked = nodeId !== null ? this.getTracked(nodeId, widgetName) : null;
+        const presetsById = new Map();
+        this.getAllPresetValues().forEach(preset => {
+            if (preset.id && !presetsById.has(preset.id)) presetsById.set(preset.id, preset);
         });
+        const detected = [];
 
-        // 显示用户的自定义预设
-        if (customPresets.length > 0) {
-            customPresets.forEach((preset, index) => {
-                const item = document.createElement("div");
-                Object.assign(item.style, {
-                    padding: "10px 16px",
-                    cursor: "pointer",
-                    fontSize: "13px",
-                    color: "#ccc",
-                    borderLeft: "3px solid #9b59b6",
-                    transition: "all 0.12s"
-                });
-                item.textContent = preset.name;
+        // 返回实际在prompt中的值（带标记或不带标记），以及当前权重
+        const addDetected = (preset, actualValue, weight) => {
+            detected.push({ ...preset, actualValue, weight });
+            presetsById.delete(preset.id);
+            if (nodeId !== null && !this.getHistory(nodeId, widgetName).some(h => h.value === actualValue)) {
+                this.recordAdded(nodeId, actualValue, null, null, preset.id, widgetName);
+            }
+        };
 
-                item.onmouseenter = () => {
-                    item.style.background = "linear-gradient(90deg, #9b59b6, transparent)";
-                    item.style.color = "#fff";
-                    item.style.paddingLeft = "20px";
-                };
-                item.onmouseleave = () => {
-                    item.style.background = "transparent";
-                    item.style.color = "#ccc";
-                    item.style.paddingLeft = "16px";
-                };
+        findPresetSpans(promptText, tracked).forEach(found => {
+            const preset = presetsById.get(found.id);
+            if (preset) addDetected(preset, markValue(found.value), found.weight);
+        });
 
-                item.onclick = () => {
-                    this.appendToPrompt(preset.value);
-                    this.hideAllMenus();
-                };
+        // 没有标记的旧文本
+        presetsById.forEach(preset => {
+            if (!containsPlainValue(promptText, preset.value)) return;
+            const weighted = findPlainSpan(promptText, preset.value);
+            addDetected(preset, preset.value, weighted ? weighted.weight : 1);
+        });
 
-                submenu.appendChild(item);
-            });
+        return detected;
+    }
+}
 
-            // 分隔线
-            const divider = document.createElement("div");
-            Object.assign(divider.style, {
-                height: "1px",
-                background: "#555",
-                margin: "8px 12px"
-            });
-            submenu.appendChild(divider);
-        }
+const presetsManager = new PromptPresetsManager();
 
-        // 添加新预设 按钮
-        const addItem = document.createElement("div");
-        Object.assign(addItem.style, {
-            padding: "10px 16px",
-            cursor: "pointer",
-            fontSize: "13px",
-            color: "#5ab0ff",
-            transition: "all 0.12s"
-        });
-        addItem.innerHTML = "➕ 添加新预设";
-        addItem.onmouseenter = () => {
-            addItem.style.background = "rgba(90, 176, 255, 0.2)";
-            addItem.style.paddingLeft = "20px";
-        };
-        addItem.onmouseleave = () => {
-            addItem.style.background = "transparent";
-            addItem.style.paddingLeft = "16px";
-        };
-        addItem.onclick = () => {
-            this.hideAllMenus();
-            this.showAddCustomPresetDialog();
-        };
-        submenu.appendChild(addItem);
+// ========================================
+// 自定义预设管理器（用户自定义的预设）
+// ========================================
 
-        // 管理自定义预设 按钮
-        if (customPresets.length > 0) {
-            const manageItem = document.createElement("div");
-            Object.assign(manageItem.style, {
-                padding: "10px 16px",
-                cursor: "pointer",
-                fontSize: "13px",
-                color: "#888",
+class CustomPresetsManager {
+    constructor() {
+        // 旧版 localStorage 存储键，仅用于一次性迁移
+        this.storageKey = "prompt_presets_custom";
+        this.migratedKey = "prompt_presets_custom_migrated";
+        this.presets = [];
+        this.loaded = false;
+    }
+
+    // 从服务端加载（首次加载时迁移 localStorage 中的旧数据）
+    async load() {
+        try {
+            const resp = await api.fetchApi("/prompt_presets/custom");
+            if (resp.status === 200) {
+                const data = await resp.json();
+                this.presets = Array.isArray(data) ? data : [];
+                this.loaded = true;
+            } else {
+                console.error("[CustomPresets] Failed to load:", resp.status);
+            }
+        } catch (e) {
+            console.error("[CustomPresets] Failed to load:", e);
+        }
+
+        if (this.loaded) {
+            await this.migrateFromLocalStorage();
+        }
+        return this.presets;
+    }
+
+    // 一次性迁移：把 localStorage 中的旧预设合并到服务端（按名称+内容去重）
+    async migrateFromLocalStorage() {
+        try {
+            if (localStorage.getItem(this.migratedKey)) return;
+
+            const data = localStorage.getItem(this.storageKey);
+            const legacy = data ? JSON.parse(data) : [];
+            if (Array.isArray(legacy) && legacy.length > 0) {
+                let added = 0;
+                legacy.forEach(item => {
+                    if (!item?.name || !item?.value) return;
+                    const exists = this.presets.some(p => p.name === item.name && p.value === item.value);
+                    if (!exists) {
+                        this.presets.push({ name: item.name, value: item.value });
+                        added++;
+                    }
+                });
+                if (added > 0 && !(await this.save())) return; // 保存失败则下次再试
+                console.log(`[CustomPresets] Migrated ${added} presets from localStorage`);
+            }
+
+            localStorage.setItem(this.migratedKey, "1");
+        } catch (e) {
+            console.error("[CustomPresets] Migration failed:", e);
+        }
+    }
+
+    // 保存到服务端
+    async save() {
+        try {
+            const resp = await api.fetchApi("/prompt_presets/custom", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(this.presets)
+            });
+            if (resp.status !== 200) {
+                console.error("[CustomPresets] Failed to save:", resp.status);
+                return false;
+            }
+            return true;
+        } catch (e) {
+            console.error("[CustomPresets] Failed to save:", e);
+            return false;
+        }
+    }
+
+    // 获取所有自定义预设
+    getAll() {
+        return this.presets;
+    }
+
+    // 添加新预设（negative 为可选的负向伴随值）
+    add(name, value, negative = "") {
+        if (!name || !value) return false;
+        this.presets.push(negative ? { name, value, negative } : { name, value });
+        this.save();
+        return true;
+    }
+
+    // 删除预设
+    remove(index) {
+        if (index >= 0 && index < this.presets.length) {
+            this.presets.splice(index, 1);
+            this.save();
+            return true;
+        }
+        return false;
+    }
+
+    // 更新预设
+    update(index, name, value, negative = "") {
+        if (index >= 0 && index < this.presets.length) {
+            this.presets[index] = negative ? { name, value, negative } : { name, value };
+            this.save();
+            return true;
+        }
+        return false;
+    }
+}
+
+const customPresetsManager = new CustomPresetsManager();
+
+// ========================================
+// 组合预设管理器（一次应用多个预设）
+// ========================================
+
+class BundlesManager {
+    constructor() {
+        // 组合结构: { name, items: [{ source: "builtin" | "custom", id, name, value }] }
+        // 内置预设带预设 ID，value 为添加到组合时的提示词（预设已不存在时用于查找）
+        this.bundles = [];
+    }
+
+    // 从服务端加载
+    async load() {
+        try {
+            const resp = await api.fetchApi("/prompt_presets/bundles");
+            if (resp.status === 200) {
+                const data = await resp.json();
+                this.bundles = Array.isArray(data) ? data : [];
+                if (this.migrateIds()) this.save();
+            } else {
+                console.error("[Bundles] Failed to load:", resp.status);
+            }
+        } catch (e) {
+            console.error("[Bundles] Failed to load:", e);
+        }
+        return this.bundles;
+    }
+
+    // 保存到服务端
+    async save() {
+        try {
+            const resp = await api.fetchApi("/prompt_presets/bundles", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(this.bundles)
+            });
+            if (resp.status !== 200) {
+                console.error("[Bundles] Failed to save:", resp.status);
+                return false;
+            }
+            return true;
+        } catch (e) {
+            console.error("[Bundles] Failed to save:", e);
+            return false;
+        }
+    }
+
+    getAll() {
+        return this.bundles;
+    }
+
+    add(name, items) {
+        if (!name || !Array.isArray(items) || items.length === 0) return false;
+        this.bundles.push({ name, items });
+        this.save();
+        return true;
+    }
+
+    update(index, name, items) {
+        if (index >= 0 && index < this.bundles.length) {
+            this.bundles[index] = { name, items };
+            this.save();
+            return true;
+        }
+        return false;
+    }
+
+    remove(index) {
+        if (index >= 0 && index < this.bundles.length) {
+            this.bundles.splice(index, 1);
+            this.save();
+            return true;
+        }
+        return false;
+    }
+
+    // 旧版本的内置预设成员没有 ID：按当前预设数据中的值补上（与 migrateHistoryIds 相同）；返回是否有变化
+    migrateIds() {
+        let changed = false;
+        this.bundles.forEach(bundle => {
+            (bundle.items || []).forEach(item => {
+                if (item.source === "custom" || item.id) return;
+                const id = resolvePresetId(item.value);
+                if (id) {
+                    item.id = id;
+                    changed = true;
+                }
+            });
+        });
+        return changed;
+    }
+
+    // 解析组合成员的当前提示词值
+    // 内置预设按 ID 匹配（预设内容更新后仍可用），没有 ID 的再按值、名称匹配；自定义预设按名称匹配
+    resolveItems(bundle) {
+        const builtin = presetsManager.getAllPresetValues();
+        const custom = customPresetsManager.getAll();
+        const values = [];
+        let missing = 0;
+
+        (bundle.items || []).forEach(item => {
+            let found = null;
+            if (item.source === "custom") {
+                found = custom.find(p => p.name === item.name) || custom.find(p => p.value === item.value);
+            } else {
+                found = (item.id && builtin.find(p => p.id === item.id))
+                    || builtin.find(p => p.value === item.value) || builtin.find(p => p.name === item.name);
+            }
+            if (found) {
+                values.push(found.value);
+            } else {
+                missing++;
+            }
+        });
+
+        return { values, missing };
+    }
+}
+
+const bundlesManager = new BundlesManager();
+
+// ========================================
+// 内置预设库编辑 - 通过 /prompt_presets/library 写回 prompt_presets.json
+// ========================================
+
+// path 为索引路径：[ci] 分类，[ci, gi] 分组，[ci, gi, pi] 预设
+// 只编辑内置预设包；每次修改后服务端返回该文件的完整数据，再重新加载合并后的预设数据，无需刷新页面
+// revision 为读取时文件的版本；文件之后被修改过时服务端拒绝修改（409），重新读取后再操作
+class LibraryManager {
+    constructor() {
+        this.data = [];
+        this.revision = null;
+    }
+
+    async load() {
+        try {
+            const resp = await api.fetchApi("/prompt_presets/library");
+            if (resp.status === 200) {
+                const result = await resp.json();
+                this.data = Array.isArray(result.data) ? result.data : [];
+                this.revision = result.revision ?? null;
+            } else {
+                console.error("[Library] Failed to load:", resp.status);
+            }
+        } catch (e) {
+            console.error("[Library] Failed to load:", e);
+        }
+        return this.data;
+    }
+
+    // 成功返回 true；失败时返回服务端的错误信息
+    async request(method, body) {
+        try {
+            const resp = await api.fetchApi("/prompt_presets/library", {
+                method,
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ ...body, revision: this.revision })
+            });
+            const result = await resp.json().catch(() => ({}));
+            if (resp.status !== 200) {
+                console.error("[Library] Request failed:", resp.status, result.error);
+                if (result.conflict) {
+                    await this.load();
+                    return t("libraryConflict");
+                }
+                return result.error || `HTTP ${resp.status}`;
+            }
+            this.data = Array.isArray(result.data) ? result.data : [];
+            this.revision = result.revision ?? null;
+            await presetsManager.reload();
+            return true;
+        } catch (e) {
+            console.error("[Library] Request failed:", e);
+            return e.message || String(e);
+        }
+    }
+
+    // parentPath: [] 新建分类，[ci] 新建分组，[ci, gi] 新建预设
+    create(parentPath, data) {
+        return this.request("POST", { path: parentPath, data });
+    }
+
+    // data 中值为 null 的可选字段会被删除
+    update(path, data) {
+        return this.request("PUT", { path, data });
+    }
+
+    move(path, toIndex) {
+        return this.request("PUT", { path, move_to: toIndex });
+    }
+
+    remove(path) {
+        return this.request("DELETE", { path });
+    }
+}
+
+const libraryManager = new LibraryManager();
+
+// ========================================
+// 预设包 - 内置预设、presets/ 目录和用户目录中的 JSON 文件
+// ========================================
+
+const BUILTIN_PACK_ID = "builtin";
+
+// 包列表来自 /prompt_presets/packs：[{ id, source, name, version, author, description, enabled, error, category_count, preset_count }]
+// 启用状态保存在服务端（user/prompt_presets/packs.json），Composer 节点同样只使用已启用的包
+class PackManager {
+    constructor() {
+        this.packs = [];
+    }
+
+    async load() {
+        try {
+            const resp = await api.fetchApi("/prompt_presets/packs");
+            if (resp.status === 200) {
+                const data = await resp.json();
+                this.packs = Array.isArray(data) ? data : [];
+            } else {
+                console.error("[Packs] Failed to load:", resp.status);
+            }
+        } catch (e) {
+            console.error("[Packs] Failed to load:", e);
+        }
+        return this.packs;
+    }
+
+    getAll() {
+        return this.packs;
+    }
+
+    get(id) {
+        return this.packs.find(p => p.id === id) || null;
+    }
+
+    // 切换启用状态后重新加载合并后的预设数据；返回是否成功
+    async setEnabled(id, enabled) {
+        const pack = this.get(id);
+        if (!pack) return false;
+        const previous = pack.enabled;
+        pack.enabled = enabled;
+        try {
+            const resp = await api.fetchApi("/prompt_presets/packs", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ disabled: this.packs.filter(p => !p.enabled).map(p => p.id) })
+            });
+            if (resp.status !== 200) {
+                console.error("[Packs] Failed to save:", resp.status);
+                pack.enabled = previous;
+                return false;
+            }
+        } catch (e) {
+            console.error("[Packs] Failed to save:", e);
+            pack.enabled = previous;
+            return false;
+        }
+        await presetsManager.reload();
+        return true;
+    }
+}
+
+const packManager = new PackManager();
+
+// 预设包的显示名称：内置包按界面语言显示，其余使用包文件中的 name（缺省为文件名）
+function displayPackName(id) {
+    if (id === BUILTIN_PACK_ID) return t("packBuiltin");
+    return packManager.get(id)?.name || id;
+}
+
+// ========================================
+// 使用统计与收藏
+// ========================================
+
+class UsageManager {
+    constructor() {
+        // 内置预设以预设 ID 为键（修改提示词内容后仍对应同一个预设），自定义预设以提示词值为键
+        // favorites: [key]，usage: { key: { count, last } }
+        this.favorites = [];
+        this.usage = {};
+        this.saveTimer = null;
+    }
+
+    // 从服务端加载
+    async load() {
+        try {
+            const resp = await api.fetchApi("/prompt_presets/usage");
+            if (resp.status === 200) {
+                const data = await resp.json();
+                this.favorites = Array.isArray(data.favorites) ? data.favorites : [];
+                this.usage = data.usage && typeof data.usage === "object" ? data.usage : {};
+                if (this.migrateKeys()) this.save();
+            } else {
+                console.error("[Usage] Failed to load:", resp.status);
+            }
+        } catch (e) {
+            console.error("[Usage] Failed to load:", e);
+        }
+    }
+
+    // 保存到服务端
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            const resp = await api.fetchApi("/prompt_presets/usage", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ favorites: this.favorites, usage: this.usage })
+            });
+            if (resp.status !== 200) {
+                console.error("[Usage] Failed to save:", resp.status);
+                return false;
+            }
+            return true;
+        } catch (e) {
+            console.error("[Usage] Failed to save:", e);
+            return false;
+        }
+    }
+
+    // 计数变化频繁（批量添加时每个节点都会记录），合并为一次保存
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), 1000);
+    }
+
+    // 预设值对应的键：内置预设为预设 ID，自定义预设为值本身
+    keyOf(value) {
+        return resolvePresetId(value) ?? value;
+    }
+
+    // 旧版本以内置预设的 prompt_value 为键：按当前预设数据换成预设 ID（与 migrateHistoryIds 相同），
+    // 同一预设的计数合并；返回是否有变化
+    migrateKeys() {
+        let changed = false;
+        const migrate = key => {
+            const id = presetIdCache[key];
+            if (!id || id === key) return key;
+            changed = true;
+            return id;
+        };
+
+        this.favorites = [...new Set(this.favorites.map(migrate))];
+        const usage = {};
+        Object.entries(this.usage).forEach(([key, stat]) => {
+            const id = migrate(key);
+            const existing = usage[id];
+            usage[id] = existing
+                ? { count: existing.count + stat.count, last: Math.max(existing.last, stat.last) }
+                : stat;
+        });
+        this.usage = usage;
+        return changed;
+    }
+
+    record(value) {
+        if (!value) return;
+        const key = this.keyOf(value);
+        const stat = this.usage[key] || { count: 0, last: 0 };
+        stat.count += 1;
+        stat.last = Date.now();
+        this.usage[key] = stat;
+        this.scheduleSave();
+    }
+
+    getStat(value) {
+        return this.usage[this.keyOf(value)] || null;
+    }
+
+    isFavorite(value) {
+        return this.favorites.includes(this.keyOf(value));
+    }
+
+    // 返回切换后的收藏状态
+    toggleFavorite(value) {
+        const key = this.keyOf(value);
+        const idx = this.favorites.indexOf(key);
+        if (idx > -1) {
+            this.favorites.splice(idx, 1);
+        } else {
+            this.favorites.push(key);
+        }
+        this.save();
+        return idx === -1;
+    }
+
+    // 把键解析为可显示的预设条目（带 key）；已不存在的预设被跳过
+    resolve(keys) {
+        const entries = getSearchEntries();
+        return keys
+            .map(key => {
+                const entry = entries.find(e => e.id === key) || entries.find(e => e.value === key);
+                return entry ? { ...entry, key } : null;
+            })
+            .filter(Boolean);
+    }
+
+    getFavorites() {
+        return this.resolve(this.favorites);
+    }
+
+    getRecent(limit = 8) {
+        const keys = Object.keys(this.usage).sort((a, b) => this.usage[b].last - this.usage[a].last);
+        return this.resolve(keys).slice(0, limit);
+    }
+
+    // 按使用次数降序
+    getStats() {
+        const keys = Object.keys(this.usage).sort((a, b) =>
+            this.usage[b].count - this.usage[a].count || this.usage[b].last - this.usage[a].last
+        );
+        return this.resolve(keys).map(entry => ({ ...entry, ...this.usage[entry.key] }));
+    }
+
+    resetCounters() {
+        this.usage = {};
+        return this.save();
+    }
+}
+
+const usageManager = new UsageManager();
+
+// ========================================
+// 撤销/重做 - 按节点和输入框分别记录预设操作
+// ========================================
+
+class PresetUndoManager {
+    constructor(limit = 50) {
+        this.limit = limit;
+        // key "nodeId:widgetName" -> { undo: [entry], redo: [entry] }
+        this.stacks = new Map();
+        // 最近操作过的 key，用于快捷键撤销/重做最近一次操作
+        this.order = [];
+        // 进行中的操作（支持嵌套，只在最外层提交）
+        this.pending = null;
+        this.depth = 0;
+        // 每条记录的编号，用于撤销指定的记录（见 undoEntry）
+        this.counter = 0;
+    }
+
+    key(nodeId, widgetName) {
+        return `${nodeId}:${widgetName}`;
+    }
+
+    // 记录一组 widget 的当前值及所在节点的添加历史
+    snapshot(targets) {
+        return targets.map(({ node, widget }) => ({
+            nodeId: node.id,
+            widgetName: widget.name,
+            value: widget.value || "",
+            history: JSON.stringify(node.properties?.[HISTORY_PROPERTY] || null)
+        }));
+    }
+
+    // 主目标及其负向配对的输入框
+    getTargets(node, widget) {
+        const targets = [{ node, widget }];
+        const negative = findNegativeWidget(node, widget);
+        if (negative) targets.push(negative);
+        return targets;
+    }
+
+    // 开始一次操作：node/widget 为主目标，负向配对的输入框会一并记录
+    // 调用方须在 finally 中 commit，中途抛出异常时嵌套层数才不会错乱
+    begin(node, widget) {
+        this.depth++;
+        if (this.depth > 1) return;
+
+        const targets = this.getTargets(node, widget);
+        this.pending = { key: this.key(node.id, widget.name), targets, before: this.snapshot(targets) };
+    }
+
+    // 开始一次批量操作：pairs 为 [{ node, widget }]，所有输入框的修改记为一条撤销记录
+    beginBatch(pairs) {
+        this.depth++;
+        if (this.depth > 1) return;
+
+        const targets = [];
+        pairs.forEach(({ node, widget }) => {
+            this.getTargets(node, widget).forEach(target => {
+                if (!targets.some(existing => existing.node === target.node && existing.widget === target.widget)) {
+                    targets.push(target);
+                }
+            });
+        });
+        this.pending = { key: BATCH_UNDO_KEY, targets, before: this.snapshot(targets) };
+    }
+
+    // 提交操作：内容没有变化时不记录；返回记录的编号，未记录时返回 null
+    commit(label = "") {
+        if (this.depth === 0) return null;
+        this.depth--;
+        if (this.depth > 0 || !this.pending) return null;
+
+        const { key, targets, before } = this.pending;
+        this.pending = null;
+        const after = this.snapshot(targets);
+        const changed = after.some((s, i) => s.value !== before[i].value || s.history !== before[i].history);
+        if (!changed) return null;
+
+        if (!this.stacks.has(key)) {
+            this.stacks.set(key, { undo: [], redo: [] });
+        }
+        const stack = this.stacks.get(key);
+        const entry = { id: ++this.counter, label, before, after, nodeIds: [...new Set(after.map(s => s.nodeId))] };
+        stack.undo.push(entry);
+        if (stack.undo.length > this.limit) stack.undo.shift();
+        stack.redo = [];
+        this.touch(key);
+        return entry.id;
+    }
+
+    touch(key) {
+        const idx = this.order.indexOf(key);
+        if (idx > -1) this.order.splice(idx, 1);
+        this.order.push(key);
+    }
+
+    // 找到最近一个可撤销/重做的 key；nodeId 限定在某个节点内（批量记录涉及该节点时也算）
+    findKey(kind, nodeId = null) {
+        for (let i = this.order.length - 1; i >= 0; i--) {
+            const key = this.order[i];
+            const entries = this.stacks.get(key)?.[kind];
+            if (!entries?.length) continue;
+            if (nodeId != null && !key.startsWith(`${nodeId}:`) &&
+                !(key === BATCH_UNDO_KEY && entries[entries.length - 1].nodeIds.includes(nodeId))) continue;
+            return key;
+        }
+        return null;
+    }
+
+    // 快照是否与输入框和节点属性的当前状态一致
+    matches(states) {
+        return states.every(state => {
+            const node = app.graph.getNodeById(state.nodeId);
+            const widget = node?.widgets?.find(w => w.name === state.widgetName);
+            return !!widget && (widget.value || "") === state.value &&
+                JSON.stringify(node.properties?.[HISTORY_PROPERTY] || null) === state.history;
+        });
+    }
+
+    // 撤销编号为 id 的记录（如批量操作提示条上的「撤销」）；记录已被撤销，或之后这些输入框又被修改过时不撤销，返回 null
+    undoEntry(id) {
+        for (const [key, stack] of this.stacks) {
+            const entry = stack.undo[stack.undo.length - 1];
+            if (entry?.id !== id) continue;
+            if (!this.matches(entry.after)) return null;
+            stack.undo.pop();
+            this.restore(entry.before);
+            stack.redo.push(entry);
+            this.touch(key);
+            return entry.label;
+        }
+        return null;
+    }
+
+    // 把快照写回 widget 和节点属性
+    restore(states) {
+        for (const state of states) {
+            const node = app.graph.getNodeById(state.nodeId);
+            const widget = node?.widgets?.find(w => w.name === state.widgetName);
+            if (!widget) continue;
+
+            widget.value = state.value;
+            if (widget.callback) {
+                widget.callback(widget.value);
+            }
+            const history = JSON.parse(state.history);
+            node.properties = node.properties || {};
+            if (history) {
+                node.properties[HISTORY_PROPERTY] = history;
+            } else {
+                delete node.properties[HISTORY_PROPERTY];
+            }
+        }
+        app.graph.setDirtyCanvas(true, true);
+    }
+
+    // 撤销；返回被撤销操作的描述，没有可撤销的操作时返回 null
+    undo(nodeId = null) {
+        const key = this.findKey("undo", nodeId);
+        if (!key) return null;
+        const stack = this.stacks.get(key);
+        const entry = stack.undo.pop();
+        this.restore(entry.before);
+        stack.redo.push(entry);
+        this.touch(key);
+        return entry.label;
+    }
+
+    // 重做；返回被重做操作的描述，没有可重做的操作时返回 null
+    redo(nodeId = null) {
+        const key = this.findKey("redo", nodeId);
+        if (!key) return null;
+        const stack = this.stacks.get(key);
+        const entry = stack.redo.pop();
+        this.restore(entry.after);
+        stack.undo.push(entry);
+        this.touch(key);
+        return entry.label;
+    }
+}
+
+// 批量操作的撤销记录使用的 key（不属于单个输入框）
+const BATCH_UNDO_KEY = "batch";
+
+const undoManager = new PresetUndoManager();
+
+// ========================================
+// 预设库导入/导出
+// ========================================
+
+const LIBRARY_FORMAT = "comfyui-prompt-presets-library";
+const LIBRARY_VERSION = 1;
+
+// 导出当前的自定义预设、组合和 widget 配置
+function buildLibraryExport() {
+    return {
+        format: LIBRARY_FORMAT,
+        version: LIBRARY_VERSION,
+        exportedAt: new Date().toISOString(),
+        customPresets: customPresetsManager.getAll(),
+        bundles: bundlesManager.getAll(),
+        widgetConfig: {
+            whitelist: widgetConfigManager.getWhitelist(),
+            blacklist: widgetConfigManager.getBlacklist()
+        }
+    };
+}
+
+// 校验导入的数据；返回 { errors: [...], library }，errors 为空表示可导入
+function validateLibrary(data) {
+    const errors = [];
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return { errors: [t("libNotObject")], library: null };
+    }
+    if (data.format !== LIBRARY_FORMAT) {
+        errors.push(t("libBadFormat", { format: LIBRARY_FORMAT }));
+    }
+    if (typeof data.version !== "number" || data.version > LIBRARY_VERSION) {
+        errors.push(t("libBadVersion", { version: data.version, supported: LIBRARY_VERSION }));
+    }
+
+    const isString = (v) => typeof v === "string" && v.length > 0;
+    const library = { customPresets: [], bundles: [], widgetConfig: { whitelist: [], blacklist: [] } };
+
+    if (data.customPresets !== undefined) {
+        if (!Array.isArray(data.customPresets)) {
+            errors.push(t("libCustomNotArray"));
+        } else {
+            data.customPresets.forEach((p, i) => {
+                if (!isString(p?.name) || !isString(p?.value)) {
+                    errors.push(t("libCustomItemInvalid", { index: i }));
+                } else {
+                    library.customPresets.push(p.negative ? { name: p.name, value: p.value, negative: p.negative } : { name: p.name, value: p.value });
+                }
+            });
+        }
+    }
+
+    if (data.bundles !== undefined) {
+        if (!Array.isArray(data.bundles)) {
+            errors.push(t("libBundlesNotArray"));
+        } else {
+            data.bundles.forEach((b, i) => {
+                const validItems = Array.isArray(b?.items) && b.items.every(item =>
+                    ["builtin", "custom"].includes(item?.source) && typeof item.value === "string"
+                );
+                if (!isString(b?.name) || !validItems) {
+                    errors.push(t("libBundleItemInvalid", { index: i }));
+                } else {
+                    library.bundles.push({ name: b.name, items: b.items });
+                }
+            });
+        }
+    }
+
+    if (data.widgetConfig !== undefined) {
+        for (const listName of ["whitelist", "blacklist"]) {
+            const list = data.widgetConfig?.[listName];
+            if (list === undefined) continue;
+            if (!Array.isArray(list) || !list.every(isString)) {
+                errors.push(t("libListInvalid", { name: listName }));
+            } else {
+                library.widgetConfig[listName] = list;
+            }
+        }
+    }
+
+    return { errors, library };
+}
+
+// 按名称比较两组条目：{ added, changed, unchanged }
+function diffByName(existing, incoming) {
+    const result = { added: [], changed: [], unchanged: [] };
+    incoming.forEach(item => {
+        const current = existing.find(e => e.name === item.name);
+        if (!current) {
+            result.added.push(item);
+        } else if (JSON.stringify(current) !== JSON.stringify(item)) {
+            result.changed.push(item);
+        } else {
+            result.unchanged.push(item);
+        }
+    });
+    return result;
+}
+
+// 按名称合并：同名条目以导入的为准，其余保留
+function mergeByName(existing, incoming) {
+    const merged = existing.map(item => incoming.find(i => i.name === item.name) || item);
+    incoming.forEach(item => {
+        if (!existing.some(e => e.name === item.name)) merged.push(item);
+    });
+    return merged;
+}
+
+// ========================================
+// 模糊搜索 - 跨内置预设和自定义预设
+// ========================================
+
+// 模糊匹配打分：子序列匹配，连续字符和词首命中加分；不匹配返回 0
+function fuzzyScore(query, text) {
+    if (!query || !text) return 0;
+    const q = query.toLowerCase();
+    const t = text.toLowerCase();
+
+    // 直接包含：最高优先，越靠前分越高
+    const idx = t.indexOf(q);
+    if (idx > -1) {
+        return 100 + q.length * 4 - Math.min(idx, 50) * 0.5;
+    }
+
+    // 子序列匹配
+    let score = 0;
+    let ti = 0;
+    let prevMatch = -2;
+    for (const ch of q) {
+        const found = t.indexOf(ch, ti);
+        if (found === -1) return 0;
+        score += 1;
+        if (found === prevMatch + 1) score += 3; // 连续命中
+        if (found === 0 || /[\s,(/\-]/.test(t[found - 1])) score += 2; // 词首命中
+        prevMatch = found;
+        ti = found + 1;
+    }
+    // 匹配跨度越大，分数越低
+    return Math.max(1, score - (prevMatch - t.indexOf(q[0])) * 0.05);
+}
+
+// 搜索字段及权重：名称类字段优先于提示词内容
+const SEARCH_FIELDS = [
+    { key: "name", weight: 1.5 },
+    { key: "groupEn", weight: 1.0 },
+    { key: "group", weight: 1.0 },
+    { key: "categoryEn", weight: 0.8 },
+    { key: "category", weight: 0.8 },
+    { key: "value", weight: 0.6 }
+];
+
+// 收集所有可搜索的预设条目
+function getSearchEntries() {
+    const entries = presetsManager.getAllPresetValues().map(p => ({ ...p, isCustomPreset: false }));
+    customPresetsManager.getAll().forEach(p => {
+        entries.push({
+            category: t("menuCustom"),
+            name: p.name,
+            value: p.value,
+            isCustomPreset: true
+        });
+    });
+    return entries;
+}
+
+// 搜索预设：多个关键词（空格分隔）需全部命中，按总分降序返回
+function searchPresets(query, limit = 50) {
+    const tokens = (query || "").trim().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return [];
+
+    const results = [];
+    for (const entry of getSearchEntries()) {
+        let total = 0;
+        let matchedAll = true;
+        for (const token of tokens) {
+            let best = 0;
+            for (const field of SEARCH_FIELDS) {
+                const score = fuzzyScore(token, entry[field.key]) * field.weight;
+                if (score > best) best = score;
+            }
+            if (best === 0) {
+                matchedAll = false;
+                break;
+            }
+            total += best;
+        }
+        if (matchedAll) results.push({ entry, score: total });
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, limit).map(r => r.entry);
+}
+
+// ========================================
+// 悬浮按钮和菜单 UI
+// ========================================
+
+class PromptPresetsUI {
+    constructor() {
+        this.floatBtn = null;
+        this.mainMenu = null;
+        this.subMenu = null;
+        this.thirdLevelMenu = null;
+        this.managePanel = null;
+        this.previewPopup = null;
+        this.searchPalette = null;
+        this.isMenuOpen = false;
+        this.hideTimeout = null;
+        // 菜单展开方向: 'left' 或 'right'，由主菜单位置决定，后续菜单保持一致
+        this.menuExpandDirection = 'left';
+    }
+
+    createFloatingButton() {
+        const floatBtn = document.createElement("button");
+        floatBtn.id = "prompt-presets-float-btn";
+        floatBtn.innerText = "📝";
+        floatBtn.title = t("floatBtnTitle");
+
+        // 位置保存在设置项 PromptPresets.ButtonPosition 中，随 ComfyUI 设置同步
+        const savedPos = { ...DEFAULT_BUTTON_POSITION, ...getSetting(SETTING_IDS.buttonPosition, DEFAULT_BUTTON_POSITION) };
+
+        Object.assign(floatBtn.style, {
+            position: "fixed",
+            right: savedPos.right + "px",
+            bottom: savedPos.bottom + "px",
+            zIndex: "99998",
+            width: "44px",
+            height: "44px",
+            borderRadius: "50%",
+            background: "linear-gradient(135deg, #4a6ea5, #2a4a75)",
+            color: "white",
+            border: "2px solid #5a8ec5",
+            cursor: "grab",
+            fontSize: "20px",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            boxShadow: "0 4px 8px rgba(0,0,0,0.4)",
+            transition: "transform 0.1s, box-shadow 0.1s",
+            userSelect: "none"
+        });
+
+        // 拖拽逻辑
+        let isDragging = false;
+        let hasMoved = false;
+        let startX, startY, startRight, startBottom;
+
+        floatBtn.onmousedown = (e) => {
+            if (e.button !== 0) return;
+            isDragging = true;
+            hasMoved = false;
+            startX = e.clientX;
+            startY = e.clientY;
+            startRight = parseInt(floatBtn.style.right);
+            startBottom = parseInt(floatBtn.style.bottom);
+            floatBtn.style.cursor = "grabbing";
+            floatBtn.style.transition = "none";
+            e.preventDefault();
+        };
+
+        document.addEventListener("mousemove", (e) => {
+            if (!isDragging) return;
+            const dx = startX - e.clientX;
+            const dy = startY - e.clientY;
+            if (Math.abs(dx) > 3 || Math.abs(dy) > 3) hasMoved = true;
+
+            let newRight = Math.max(5, Math.min(window.innerWidth - 50, startRight + dx));
+            let newBottom = Math.max(5, Math.min(window.innerHeight - 50, startBottom + dy));
+
+            floatBtn.style.right = newRight + "px";
+            floatBtn.style.bottom = newBottom + "px";
+        });
+
+        document.addEventListener("mouseup", () => {
+            if (!isDragging) return;
+            isDragging = false;
+            floatBtn.style.cursor = "grab";
+            floatBtn.style.transition = "transform 0.1s, box-shadow 0.1s";
+
+            const pos = {
+                right: parseInt(floatBtn.style.right),
+                bottom: parseInt(floatBtn.style.bottom)
+            };
+            setSetting(SETTING_IDS.buttonPosition, pos);
+        });
+
+        floatBtn.onmouseenter = () => {
+            if (!isDragging) {
+                floatBtn.style.transform = "scale(1.1)";
+                floatBtn.style.boxShadow = "0 6px 12px rgba(0,0,0,0.5)";
+                this.clearHideTimeout();
+                this.showMainMenu();
+            }
+        };
+
+        floatBtn.onmouseleave = (e) => {
+            floatBtn.style.transform = "scale(1.0)";
+            floatBtn.style.boxShadow = "0 4px 8px rgba(0,0,0,0.4)";
+            this.scheduleHideMenu(e);
+        };
+
+        // 窗口大小改变时，确保按钮始终在可视区域内
+        const ensureButtonVisible = () => {
+            const currentRight = parseInt(floatBtn.style.right) || 20;
+            const currentBottom = parseInt(floatBtn.style.bottom) || 80;
+
+            // 计算按钮的实际位置
+            const btnWidth = 44;
+            const btnHeight = 44;
+            const maxRight = window.innerWidth - btnWidth - 5;
+            const maxBottom = window.innerHeight - btnHeight - 5;
+
+            // 限制位置在可视区域内
+            const newRight = Math.max(5, Math.min(maxRight, currentRight));
+            const newBottom = Math.max(5, Math.min(maxBottom, currentBottom));
+
+            if (newRight === currentRight && newBottom === currentBottom) return;
+
+            floatBtn.style.right = newRight + "px";
+            floatBtn.style.bottom = newBottom + "px";
+
+            // 保存新位置
+            setSetting(SETTING_IDS.buttonPosition, { right: newRight, bottom: newBottom });
+        };
+
+        // 监听窗口大小改变
+        window.addEventListener("resize", ensureButtonVisible);
+
+        // 初始化时也调用一次，确保加载后位置正确
+        setTimeout(ensureButtonVisible, 100);
+
+        this.floatBtn = floatBtn;
+        return floatBtn;
+    }
+
+    async showMainMenu() {
+        if (this.isMenuOpen) return;
+
+        const presets = await presetsManager.loadPresets();
+        if (!presets || presets.length === 0) {
+            this.showToast(t("loadFailed"), "warning", this.diagnosticsAction());
+            return;
+        }
+
+        const menu = document.createElement("div");
+        menu.className = "prompt-presets-menu";
+        Object.assign(menu.style, {
+            position: "fixed",
+            background: "linear-gradient(180deg, #333, #2a2a2a)",
+            border: "1px solid #555",
+            borderRadius: "10px",
+            boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+            zIndex: "99997",
+            minWidth: "200px",
+            padding: "8px 0",
+            opacity: "0",
+            transform: "translateY(10px)",
+            transition: "opacity 0.2s, transform 0.2s"
+        });
+
+        // ⭐ 收藏 / 🕘 最近使用
+        const favoritesItem = this.createMenuItem(t("menuFavorites"), "▶");
+        favoritesItem.onmouseenter = () => {
+            this.highlightItem(favoritesItem, true);
+            this.showPresetListSubMenu(favoritesItem, usageManager.getFavorites(), t("noFavorites"));
+        };
+        favoritesItem.onmouseleave = () => this.highlightItem(favoritesItem, false);
+        menu.appendChild(favoritesItem);
+
+        const recentItem = this.createMenuItem(t("menuRecent"), "▶");
+        recentItem.onmouseenter = () => {
+            this.highlightItem(recentItem, true);
+            this.showPresetListSubMenu(recentItem, usageManager.getRecent(), t("noRecent"));
+        };
+        recentItem.onmouseleave = () => this.highlightItem(recentItem, false);
+        menu.appendChild(recentItem);
+
+        // 🔍 搜索入口（点击打开搜索面板）
+        const searchItem = this.createMenuItem(t("menuSearch"), "Alt+P");
+        searchItem.onclick = () => {
+            this.hideAllMenus();
+            this.showSearchPalette();
+        };
+        searchItem.onmouseenter = () => {
+            this.highlightItem(searchItem, true);
+            this.hideSubMenu();
+        };
+        searchItem.onmouseleave = () => this.highlightItem(searchItem, false);
+        menu.appendChild(searchItem);
+
+        const divider0 = document.createElement("div");
+        Object.assign(divider0.style, {
+            height: "1px",
+            background: "#555",
+            margin: "8px 12px"
+        });
+        menu.appendChild(divider0);
+
+        // 类别菜单项
+        presets.forEach((cat) => {
+            const item = this.createMenuItem(displayCategoryName(cat), "▶");
+            item.onmouseenter = () => {
+                this.highlightItem(item, true);
+                this.showSubMenu(cat, item);
+            };
+            item.onmouseleave = () => this.highlightItem(item, false);
+            menu.appendChild(item);
+        });
+
+        // 分隔线1
+        const divider1 = document.createElement("div");
+        Object.assign(divider1.style, {
+            height: "1px",
+            background: "#555",
+            margin: "8px 12px"
+        });
+        menu.appendChild(divider1);
+
+        // ✨ 自定义预设 选项
+        const customItem = this.createMenuItem(t("menuCustom"), "▶");
+        customItem.onmouseenter = () => {
+            this.highlightItem(customItem, true);
+            this.showCustomSubMenu(customItem);
+        };
+        customItem.onmouseleave = () => this.highlightItem(customItem, false);
+        menu.appendChild(customItem);
+
+        // 📦 组合预设 选项
+        const bundleItem = this.createMenuItem(t("menuBundles"), "▶");
+        bundleItem.onmouseenter = () => {
+            this.highlightItem(bundleItem, true);
+            this.showBundleSubMenu(bundleItem);
+        };
+        bundleItem.onmouseleave = () => this.highlightItem(bundleItem, false);
+        menu.appendChild(bundleItem);
+
+        // 分隔线2
+        const divider2 = document.createElement("div");
+        Object.assign(divider2.style, {
+            height: "1px",
+            background: "#555",
+            margin: "8px 12px"
+        });
+        menu.appendChild(divider2);
+
+        // 管理已添加 选项
+        const manageItem = this.createMenuItem(t("menuManage"), "");
+        manageItem.onclick = () => {
+            this.hideAllMenus();
+            this.showManagePanel();
+        };
+        manageItem.onmouseenter = () => {
+            this.highlightItem(manageItem, true);
+            this.hideSubMenu();
+        };
+        manageItem.onmouseleave = () => this.highlightItem(manageItem, false);
+        menu.appendChild(manageItem);
+
+        // 📊 使用统计 选项
+        const statsItem = this.createMenuItem(t("menuUsageStats"), "");
+        statsItem.onclick = () => {
+            this.hideAllMenus();
+            this.showUsageStatsDialog();
+        };
+        statsItem.onmouseenter = () => {
+            this.highlightItem(statsItem, true);
+            this.hideSubMenu();
+        };
+        statsItem.onmouseleave = () => this.highlightItem(statsItem, false);
+        menu.appendChild(statsItem);
+
+        // 📚 编辑预设库 选项
+        const libraryItem = this.createMenuItem(t("menuLibrary"), "");
+        libraryItem.onclick = () => {
+            this.hideAllMenus();
+            this.showLibraryEditor();
+        };
+        libraryItem.onmouseenter = () => {
+            this.highlightItem(libraryItem, true);
+            this.hideSubMenu();
+        };
+        libraryItem.onmouseleave = () => this.highlightItem(libraryItem, false);
+        menu.appendChild(libraryItem);
+
+        // 🧩 预设包 选项
+        const packsItem = this.createMenuItem(t("menuPacks"), "");
+        packsItem.onclick = () => {
+            this.hideAllMenus();
+            this.showPackManagerDialog();
+        };
+        packsItem.onmouseenter = () => {
+            this.highlightItem(packsItem, true);
+            this.hideSubMenu();
+        };
+        packsItem.onmouseleave = () => this.highlightItem(packsItem, false);
+        menu.appendChild(packsItem);
+
+        // 🩺 数据诊断 选项：右侧显示问题数量
+        const issueCount = presetsManager.issues.length;
+        const diagnosticsItem = this.createMenuItem(t("menuDiagnostics"), issueCount ? String(issueCount) : "");
+        diagnosticsItem.onclick = () => {
+            this.hideAllMenus();
+            this.showDiagnosticsDialog();
+        };
+        diagnosticsItem.onmouseenter = () => {
+            this.highlightItem(diagnosticsItem, true);
+            this.hideSubMenu();
+        };
+        diagnosticsItem.onmouseleave = () => this.highlightItem(diagnosticsItem, false);
+        menu.appendChild(diagnosticsItem);
+
+        // 🔄 刷新预设数据 选项
+        const refreshItem = this.createMenuItem(t("menuRefresh"), "");
+        refreshItem.onclick = () => {
+            this.hideAllMenus();
+            this.refreshPresets();
+        };
+        refreshItem.onmouseenter = () => {
+            this.highlightItem(refreshItem, true);
+            this.hideSubMenu();
+        };
+        refreshItem.onmouseleave = () => this.highlightItem(refreshItem, false);
+        menu.appendChild(refreshItem);
+
+        // ⚙️ 设置 选项
+        const settingsItem = this.createMenuItem(t("menuSettings"), "");
+        settingsItem.onclick = () => {
+            this.hideAllMenus();
+            this.showSettingsPanel();
+        };
+        settingsItem.onmouseenter = () => {
+            this.highlightItem(settingsItem, true);
+            this.hideSubMenu();
+        };
+        settingsItem.onmouseleave = () => this.highlightItem(settingsItem, false);
+        menu.appendChild(settingsItem);
+
+        // 🌐 语言 选项：在 跟随 ComfyUI → 中文 → English 之间循环
+        const languageSetting = getLanguageSetting();
+        const languageLabel = languageSetting === "auto" ? t("langAuto") : UI_STRINGS[languageSetting].langName;
+        const languageItem = this.createMenuItem(t("menuLanguage", { lang: languageLabel }), "");
+        languageItem.onclick = () => {
+            const order = ["auto", "zh", "en"];
+            setLanguageSetting(order[(order.indexOf(languageSetting) + 1) % order.length]);
+            this.floatBtn.title = t("floatBtnTitle");
+            this.hideAllMenus();
+            this.showMainMenu();
+        };
+        languageItem.onmouseenter = () => {
+            this.highlightItem(languageItem, true);
+            this.hideSubMenu();
+        };
+        languageItem.onmouseleave = () => this.highlightItem(languageItem, false);
+        menu.appendChild(languageItem);
+
+        menu.onmouseenter = () => this.clearHideTimeout();
+        menu.onmouseleave = (e) => this.scheduleHideMenu(e);
+
+        document.body.appendChild(menu);
+
+        // 定位：智能判断展开方向
+        const btnRect = this.floatBtn.getBoundingClientRect();
+        const menuWidth = 210;
+        const subMenuTotalWidth = menuWidth + 290 + 330; // 三级菜单所需总宽度
+
+        // 计算左右两侧可用空间
+        const leftSpace = btnRect.left;
+        const rightSpace = window.innerWidth - btnRect.right;
+
+        // 决定展开方向：优先选择空间更大的一侧
+        // 如果左侧空间足够放下三级菜单，则向左展开；否则向右
+        if (leftSpace >= subMenuTotalWidth || leftSpace > rightSpace) {
+            this.menuExpandDirection = 'left';
+        } else {
+            this.menuExpandDirection = 'right';
+        }
+
+        let x, y;
+        if (this.menuExpandDirection === 'left') {
+            x = btnRect.left - menuWidth;
+            if (x < 10) x = btnRect.right + 10; // 保底：左侧不够就放右侧
+        } else {
+            x = btnRect.right + 10;
+            if (x + menuWidth > window.innerWidth - 10) x = btnRect.left - menuWidth; // 保底
+        }
+
+        y = btnRect.top;
+        if (y + 350 > window.innerHeight) y = window.innerHeight - 370;
+
+        menu.style.left = x + "px";
+        menu.style.top = y + "px";
+
+        requestAnimationFrame(() => {
+            menu.style.opacity = "1";
+            menu.style.transform = "translateY(0)";
+        });
+
+        this.mainMenu = menu;
+        this.isMenuOpen = true;
+    }
+
+    createMenuItem(text, arrow) {
+        const item = document.createElement("div");
+        Object.assign(item.style, {
+            padding: "12px 18px",
+            cursor: "pointer",
+            fontSize: "14px",
+            color: "#ddd",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            transition: "background 0.15s, padding-left 0.15s"
+        });
+        // 分类名称可能来自第三方预设包，只作为文本写入
+        const label = document.createElement("span");
+        label.textContent = text;
+        item.appendChild(label);
+        if (arrow) {
+            const hint = document.createElement("span");
+            Object.assign(hint.style, { opacity: "0.5", fontSize: "11px" });
+            hint.textContent = arrow;
+            item.appendChild(hint);
+        }
+        return item;
+    }
+
+    highlightItem(item, highlight) {
+        if (highlight) {
+            item.style.background = "linear-gradient(90deg, #3a6ea5, transparent)";
+            item.style.paddingLeft = "22px";
+            item.style.color = "#fff";
+        } else {
+            item.style.background = "transparent";
+            item.style.paddingLeft = "18px";
+            item.style.color = "#ddd";
+        }
+    }
+
+    showSubMenu(category, parentItem) {
+        this.hideSubMenu();
+
+        const submenu = document.createElement("div");
+        Object.assign(submenu.style, {
+            position: "fixed",
+            background: "linear-gradient(180deg, #383838, #2e2e2e)",
+            border: "1px solid #555",
+            borderRadius: "10px",
+            boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+            zIndex: "99996",
+            minWidth: "280px",
+            maxHeight: "400px",
+            overflowY: "auto",
+            padding: "8px 0",
+            opacity: "0",
+            transform: "translateX(10px)",
+            transition: "opacity 0.15s, transform 0.15s"
+        });
+
+        // 新结构：Category 包含 groups 数组 (三层级联)
+        if (Array.isArray(category.groups)) {
+            category.groups.forEach(group => {
+                const item = document.createElement("div");
+                Object.assign(item.style, {
+                    padding: "10px 16px",
+                    cursor: "pointer",
+                    fontSize: "13px",
+                    color: "#ccc",
+                    borderLeft: "3px solid transparent",
+                    transition: "all 0.12s",
+                    display: "flex",
+                    alignItems: "center",
+                    justifyContent: "space-between"
+                });
+
+                const text = document.createElement("span");
+                const groupName = displayGroupName(group);
+                text.textContent = group.exclusive ? t("exclusiveGroup", { name: groupName }) : groupName;
+                item.appendChild(text);
+
+                const arrow = document.createElement("span");
+                arrow.textContent = "▶";
+                arrow.style.fontSize = "10px";
+                arrow.style.opacity = "0.6";
+                item.appendChild(arrow);
+
+                item.onmouseenter = () => {
+                    item.style.background = "linear-gradient(90deg, #3a6ea5, transparent)";
+                    item.style.color = "#fff";
+                    item.style.borderLeftColor = "#5ab0ff";
+                    item.style.paddingLeft = "20px";
+                    this.showThirdLevelMenu(group, item, submenu);
+                };
+                item.onmouseleave = () => {
+                    item.style.background = "transparent";
+                    item.style.color = "#ccc";
+                    item.style.borderLeftColor = "transparent";
+                    item.style.paddingLeft = "16px";
+                };
+
+                submenu.appendChild(item);
+            });
+        }
+        // 旧结构：Category 直接包含 presets（向后兼容）
+        else if (Array.isArray(category.presets)) {
+            category.presets.forEach(preset => {
+                const item = this.createPresetItem(preset);
+                submenu.appendChild(item);
+            });
+        }
+
+        submenu.onmouseenter = () => this.clearHideTimeout();
+        submenu.onmouseleave = (e) => this.scheduleHideMenu(e);
+
+        document.body.appendChild(submenu);
+
+        const menuRect = this.mainMenu.getBoundingClientRect();
+        const itemRect = parentItem.getBoundingClientRect();
+        const submenuWidth = 290;
+
+        let x, y;
+        // 根据已确定的展开方向定位
+        if (this.menuExpandDirection === 'left') {
+            x = menuRect.left - submenuWidth - 5;
+        } else {
+            x = menuRect.right + 5;
+        }
+
+        y = itemRect.top - 8;
+        if (y + 400 > window.innerHeight) y = window.innerHeight - 410;
+        if (y < 10) y = 10;
+
+        submenu.style.left = x + "px";
+        submenu.style.top = y + "px";
+
+        requestAnimationFrame(() => {
+            submenu.style.opacity = "1";
+            submenu.style.transform = "translateX(0)";
+        });
+
+        this.subMenu = submenu;
+    }
+
+    // 创建预设项（用于二级或三级菜单）
+    // active: 是否为互斥分组中当前已添加的选项
+    createPresetItem(preset, active = false) {
+        const idleBorder = active ? "#2ecc71" : "transparent";
+        const item = document.createElement("div");
+        Object.assign(item.style, {
+            padding: "10px 16px",
+            cursor: "pointer",
+            fontSize: "13px",
+            color: active ? "#2ecc71" : "#ccc",
+            borderLeft: `3px solid ${idleBorder}`,
+            transition: "all 0.12s",
+            display: "flex",
+            alignItems: "center",
+            gap: "8px"
+        });
+
+        const text = document.createElement("span");
+        const presetName = preset.isCustomPreset ? preset.sub_category : displayPresetName(preset.sub_category);
+        text.textContent = active ? `● ${presetName}` : presetName;
+        text.style.flex = "1";
+        item.appendChild(text);
+
+        // ☆/★ 收藏切换（不触发添加）
+        const star = document.createElement("span");
+        const paintStar = () => {
+            const favorite = usageManager.isFavorite(preset.prompt_value);
+            star.textContent = favorite ? "★" : "☆";
+            star.style.color = favorite ? "#f1c40f" : "#777";
+            star.title = favorite ? t("unfavorite") : t("favorite");
+        };
+        Object.assign(star.style, {
+            fontSize: "14px",
+            padding: "0 2px",
+            flexShrink: "0"
+        });
+        paintStar();
+        star.onclick = (e) => {
+            e.stopPropagation();
+            usageManager.toggleFavorite(preset.prompt_value);
+            paintStar();
+        };
+        item.appendChild(star);
+
+        item.onmouseenter = (e) => {
+            item.style.background = "linear-gradient(90deg, #3a6ea5, transparent)";
+            item.style.color = "#fff";
+            item.style.borderLeftColor = "#5ab0ff";
+            item.style.paddingLeft = "20px";
+
+            // 显示预览
+            if (preset.image) {
+                this.showPreviewPopup(preset.image, e.clientX, e.clientY);
+            }
+        };
+        item.onmouseleave = () => {
+            item.style.background = "transparent";
+            item.style.color = active ? "#2ecc71" : "#ccc";
+            item.style.borderLeftColor = idleBorder;
+            item.style.paddingLeft = "16px";
+
+            // 隐藏预览
+            this.hidePreviewPopup();
+        };
+
+        // Shift+点击：按指定权重添加；也可直接拖放到画布上的节点。提示中注明来源预设包
+        item.title = t("shiftClickWeight") + "\n" + t("dragToNodeHint");
+        if (preset.pack) item.title += "\n" + t("presetFromPack", { pack: displayPackName(preset.pack) });
+        item.onclick = (e) => {
+            this.hideAllMenus();
+            if (e.shiftKey) {
+                this.appendWithWeight(preset.prompt_value, presetName);
+            } else {
+                this.appendToPrompt(preset.prompt_value);
+            }
+        };
+        this.enablePresetDrag(item, preset.prompt_value, presetName);
+
+        return item;
+    }
+
+    // ========================================
+    // 拖放预设到节点
+    // ========================================
+
+    // 按住预设项拖动超过阈值后进入拖放：收起菜单，松开时添加到光标下的节点
+    enablePresetDrag(item, value, label) {
+        item.addEventListener("mousedown", (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault(); // 避免拖动时选中文字
+
+            const startX = e.clientX;
+            const startY = e.clientY;
+            let ghost = null;
+
+            const onMove = (ev) => {
+                if (!ghost) {
+                    if (Math.hypot(ev.clientX - startX, ev.clientY - startY) < 6) return;
+                    this.hideAllMenus();
+                    ghost = document.createElement("div");
+                    Object.assign(ghost.style, {
+                        position: "fixed",
+                        zIndex: "100001",
+                        pointerEvents: "none",
+                        background: "rgba(58, 110, 165, 0.9)",
+                        color: "#fff",
+                        fontSize: "12px",
+                        padding: "6px 10px",
+                        borderRadius: "6px",
+                        boxShadow: "0 4px 12px rgba(0,0,0,0.4)",
+                        whiteSpace: "nowrap"
+                    });
+                    document.body.appendChild(ghost);
+                }
+
+                // 跟随光标，并提示当前会落到的节点 / 输入框
+                const hit = this.hitTestCanvas(ev.clientX, ev.clientY);
+                let text = label;
+                if (hit) {
+                    text += ` → ${hit.node.title || hit.node.type}`;
+                    if (hit.widget && isPromptWidget(hit.widget)) text += ` · ${hit.widget.name}`;
+                }
+                ghost.textContent = text;
+                ghost.style.background = hit ? "rgba(46, 204, 113, 0.9)" : "rgba(58, 110, 165, 0.9)";
+                ghost.style.left = ev.clientX + 14 + "px";
+                ghost.style.top = ev.clientY + 14 + "px";
+            };
+
+            const onUp = (ev) => {
+                document.removeEventListener("mousemove", onMove);
+                document.removeEventListener("mouseup", onUp);
+                if (!ghost) return; // 未拖动，按普通点击处理
+                ghost.remove();
+                this.dropPreset(value, label, ev);
+            };
+
+            document.addEventListener("mousemove", onMove);
+            document.addEventListener("mouseup", onUp);
+        });
+    }
+
+    // 命中测试：返回光标下的 { node, widget }（widget 可能为 null），不在节点上时返回 null
+    hitTestCanvas(clientX, clientY) {
+        const canvas = app.canvas;
+        if (!canvas || !app.graph) return null;
+
+        // 多行文本框是覆盖在画布上的 DOM 元素，直接按元素匹配
+        const el = document.elementFromPoint(clientX, clientY);
+        if (!el) return null;
+        for (const node of app.graph._nodes) {
+            const widget = node.widgets?.find(w => w.inputEl && (w.inputEl === el || w.inputEl.contains(el)));
+            if (widget) return { node, widget };
+        }
+
+        // 落在其他界面（菜单、面板等）上时不处理
+        if (el !== canvas.canvas) return null;
+
+        // 按 LiteGraph 节点边界查找节点，再按 widget 的纵向位置查找输入框
+        const [x, y] = canvas.convertEventToCanvasOffset({ clientX, clientY });
+        const node = app.graph.getNodeOnPos(x, y, app.graph._nodes);
+        if (!node) return null;
+
+        const localY = y - node.pos[1];
+        // 新版前端的 widget 位置为 w.y，旧版 LiteGraph 为 w.last_y
+        const widget = node.widgets?.find(w => {
+            const top = w.y ?? w.last_y;
+            if (top == null) return false;
+            const height = w.computedHeight ?? w.computeSize?.(node.size[0])?.[1] ?? window.LiteGraph?.NODE_WIDGET_HEIGHT ?? 20;
+            return localY >= top && localY < top + height;
+        }) || null;
+
+        return { node, widget };
+    }
+
+    // 松开时：落在提示词输入框上直接写入该输入框，落在节点其他位置按普通添加处理（多个输入框时弹出选择）
+    // 按住 Shift 松开时先选择权重
+    dropPreset(value, label, e) {
+        const hit = this.hitTestCanvas(e.clientX, e.clientY);
+        if (!hit) {
+            this.showToast(t("dropNoNode"), "info");
+            return;
+        }
+
+        const target = this.resolveTarget(hit.node);
+        if (!target) return;
+
+        const widget = target.widgets.includes(hit.widget) ? hit.widget : null;
+        if (e.shiftKey) {
+            this.showWeightDialog(label, 1.2, (weight) => this.appendToTarget(target, value, widget, weight));
+        } else {
+            this.appendToTarget(target, value, widget);
+        }
+    }
+
+    // 三级菜单：显示具体预设列表
+    showThirdLevelMenu(group, parentItem, parentMenu) {
+        this.hideThirdLevelMenu();
+
+        const thirdMenu = document.createElement("div");
+        Object.assign(thirdMenu.style, {
+            position: "fixed",
+            background: "linear-gradient(180deg, #3c3c3c, #323232)",
+            border: "1px solid #555",
+            borderRadius: "10px",
+            boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+            zIndex: "99995",
+            minWidth: "320px",
+            maxHeight: "400px",
+            overflowY: "auto",
+            padding: "8px 0",
+            opacity: "0",
+            transform: "translateX(10px)",
+            transition: "opacity 0.15s, transform 0.15s"
+        });
+
+        if (Array.isArray(group.presets)) {
+            // 互斥分组：标记选中节点中当前已添加的选项
+            const appliedIds = group.exclusive ? this.getSelectedPresetIds() : new Set();
+            group.presets.forEach(preset => {
+                const active = appliedIds.has(preset.id);
+                const item = this.createPresetItem(preset, active);
+                thirdMenu.appendChild(item);
+            });
+        }
+
+        thirdMenu.onmouseenter = () => this.clearHideTimeout();
+        thirdMenu.onmouseleave = (e) => this.scheduleHideMenu(e);
+
+        document.body.appendChild(thirdMenu);
+
+        const menuRect = parentMenu.getBoundingClientRect();
+        const itemRect = parentItem.getBoundingClientRect();
+        const thirdMenuWidth = 330;
+
+        let x, y;
+        // 根据已确定的展开方向定位
+        if (this.menuExpandDirection === 'left') {
+            x = menuRect.left - thirdMenuWidth - 5;
+        } else {
+            x = menuRect.right + 5;
+        }
+
+        y = itemRect.top - 8;
+        if (y + 400 > window.innerHeight) y = window.innerHeight - 410;
+        if (y < 10) y = 10;
+
+        thirdMenu.style.left = x + "px";
+        thirdMenu.style.top = y + "px";
+
+        requestAnimationFrame(() => {
+            thirdMenu.style.opacity = "1";
+            thirdMenu.style.transform = "translateX(0)";
+        });
+
+        this.thirdLevelMenu = thirdMenu;
+    }
+
+    // 隐藏三级菜单
+    hideThirdLevelMenu() {
+        if (this.thirdLevelMenu) {
+            this.thirdLevelMenu.remove();
+            this.thirdLevelMenu = null;
+        }
+    }
+
+    // ========================================
+    // 自定义预设子菜单
+    // ========================================
+
+    showCustomSubMenu(parentItem) {
+        this.hideSubMenu();
+
+        const customPresets = customPresetsManager.getAll();
+
+        const submenu = document.createElement("div");
+        Object.assign(submenu.style, {
+            position: "fixed",
+            background: "linear-gradient(180deg, #383838, #2e2e2e)",
+            border: "1px solid #555",
+            borderRadius: "10px",
+            boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+            zIndex: "99996",
+            minWidth: "280px",
+            maxHeight: "400px",
+            overflowY: "auto",
+            padding: "8px 0",
+            opacity: "0",
+            transform: "translateX(10px)",
+            transition: "opacity 0.15s, transform 0.15s"
+        });
+
+        // 显示用户的自定义预设
+        if (customPresets.length > 0) {
+            customPresets.forEach((preset, index) => {
+                const item = document.createElement("div");
+                Object.assign(item.style, {
+                    padding: "10px 16px",
+                    cursor: "pointer",
+                    fontSize: "13px",
+                    color: "#ccc",
+                    borderLeft: "3px solid #9b59b6",
+                    transition: "all 0.12s"
+                });
+                item.textContent = preset.name;
+
+                item.onmouseenter = () => {
+                    item.style.background = "linear-gradient(90deg, #9b59b6, transparent)";
+                    item.style.color = "#fff";
+                    item.style.paddingLeft = "20px";
+                };
+                item.onmouseleave = () => {
+                    item.style.background = "transparent";
+                    item.style.color = "#ccc";
+                    item.style.paddingLeft = "16px";
+                };
+
+                item.title = t("shiftClickWeight");
+                item.onclick = (e) => {
+                    this.hideAllMenus();
+                    if (e.shiftKey) {
+                        this.appendWithWeight(preset.value, preset.name);
+                    } else {
+                        this.appendToPrompt(preset.value);
+                    }
+                };
+
+                submenu.appendChild(item);
+            });
+
+            // 分隔线
+            const divider = document.createElement("div");
+            Object.assign(divider.style, {
+                height: "1px",
+                background: "#555",
+                margin: "8px 12px"
+            });
+            submenu.appendChild(divider);
+        }
+
+        // 添加新预设 按钮
+        const addItem = document.createElement("div");
+        Object.assign(addItem.style, {
+            padding: "10px 16px",
+            cursor: "pointer",
+            fontSize: "13px",
+            color: "#5ab0ff",
+            transition: "all 0.12s"
+        });
+        addItem.innerHTML = t("addCustomPreset");
+        addItem.onmouseenter = () => {
+            addItem.style.background = "rgba(90, 176, 255, 0.2)";
+            addItem.style.paddingLeft = "20px";
+        };
+        addItem.onmouseleave = () => {
+            addItem.style.background = "transparent";
+            addItem.style.paddingLeft = "16px";
+        };
+        addItem.onclick = () => {
+            this.hideAllMenus();
+            this.showAddCustomPresetDialog();
+        };
+        submenu.appendChild(addItem);
+
+        // 管理自定义预设 按钮
+        if (customPresets.length > 0) {
+            const manageItem = document.createElement("div");
+            Object.assign(manageItem.style, {
+                padding: "10px 16px",
+                cursor: "pointer",
+                fontSize: "13px",
+                color: "#888",
+                transition: "all 0.12s"
+            });
+            manageItem.innerHTML = t("manageCustomPresets");
+            manageItem.onmouseenter = () => {
+                manageItem.style.background = "rgba(136, 136, 136, 0.2)";
+                manageItem.style.paddingLeft = "20px";
+            };
+            manageItem.onmouseleave = () => {
+                manageItem.style.background = "transparent";
+                manageItem.style.paddingLeft = "16px";
+            };
+            manageItem.onclick = () => {
+                this.hideAllMenus();
+                this.showManageCustomPresetsDialog();
+            };
+            submenu.appendChild(manageItem);
+        }
+
+        submenu.onmouseenter = () => this.clearHideTimeout();
+        submenu.onmouseleave = (e) => this.scheduleHideMenu(e);
+
+        document.body.appendChild(submenu);
+
+        const menuRect = this.mainMenu.getBoundingClientRect();
+        const itemRect = parentItem.getBoundingClientRect();
+        let x = menuRect.left - 290;
+        let y = itemRect.top - 8;
+
+        if (x < 10) x = menuRect.right + 10;
+        if (y + 300 > window.innerHeight) y = window.innerHeight - 310;
+        if (y < 10) y = 10;
+
+        submenu.style.left = x + "px";
+        submenu.style.top = y + "px";
+
+        requestAnimationFrame(() => {
+            submenu.style.opacity = "1";
+            submenu.style.transform = "translateX(0)";
+        });
+
+        this.subMenu = submenu;
+    }
+
+    // ========================================
+    // 预设数据刷新
+    // ========================================
+
+    // 重新加载预设数据；version 为服务端推送的版本号，手动刷新时使用当前时间；notify 为 false 时成功和失败都不提示
+    async refreshPresets(version = Date.now(), notify = true) {
+        await packManager.load();
+        const ok = await presetsManager.reload();
+        if (!ok) {
+            // 文件监视触发的自动刷新（notify = false）失败时不提示，保留当前数据，等待下次文件变化
+            if (notify) this.showToast(t("refreshFailed"), "error");
+            return;
+        }
+        presetsManager.version = version;
+        await presetsManager.loadDiagnostics();
+
+        // 刷新 Composer 节点按钮上的分类名称
+        (app.graph?._nodes || []).forEach(node => {
+            if (node.type === COMPOSER_NODE_TYPE) refreshComposerLabels(node);
+        });
+        app.graph?.setDirtyCanvas(true, true);
+
+        if (notify) {
+            this.showToast(t("presetsRefreshed", { n: presetsManager.presets.length }), "success");
+        }
+    }
+
+    // 服务端推送：预设文件或预览文件发生变化
+    // 本页面通过预设库编辑器保存时数据已是最新，只更新版本号，不再提示
+    async handlePresetsChanged(detail) {
+        const before = JSON.stringify(presetsManager.presets);
+        const issueCount = presetsManager.issues.length;
+        await this.refreshPresets(detail?.version || Date.now(), false);
+        if (presetsManager.issues.length > issueCount) {
+            // 修改后的文件有新的问题时优先提示
+            this.showDiagnosticsToast();
+        } else if (JSON.stringify(presetsManager.presets) !== before) {
+            this.showToast(t("presetsChangedOnDisk"), "info");
+        }
+    }
+
+    // ========================================
+    // 预设包管理
+    // ========================================
+
+    async showPackManagerDialog() {
+        await packManager.load();
+
+        const overlay = document.createElement("div");
+        Object.assign(overlay.style, {
+            position: "fixed",
+            top: "0",
+            left: "0",
+            right: "0",
+            bottom: "0",
+            background: "rgba(0,0,0,0.6)",
+            zIndex: "100000",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center"
+        });
+
+        const panel = document.createElement("div");
+        Object.assign(panel.style, {
+            background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
+            borderRadius: "12px",
+            boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
+            width: "540px",
+            maxHeight: "70vh",
+            display: "flex",
+            flexDirection: "column",
+            overflow: "hidden"
+        });
+
+        // 头部
+        const header = document.createElement("div");
+        Object.assign(header.style, {
+            padding: "16px 20px",
+            borderBottom: "1px solid #555",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center"
+        });
+        header.innerHTML = `<h3 style="margin:0;color:#fff;font-size:16px;">${t("packsTitle")}</h3>`;
+
+        const closeBtn = document.createElement("button");
+        Object.assign(closeBtn.style, {
+            background: "transparent",
+            border: "none",
+            color: "#888",
+            fontSize: "20px",
+            cursor: "pointer"
+        });
+        closeBtn.innerHTML = "×";
+        closeBtn.onclick = () => overlay.remove();
+        header.appendChild(closeBtn);
+        panel.appendChild(header);
+
+        const hint = document.createElement("div");
+        Object.assign(hint.style, {
+            padding: "10px 20px",
+            color: "#888",
+            fontSize: "12px",
+            borderBottom: "1px solid #444",
+            lineHeight: "1.5"
+        });
+        hint.textContent = t("packsHint");
+        panel.appendChild(hint);
+
+        // 内容区
+        const content = document.createElement("div");
+        Object.assign(content.style, {
+            padding: "16px 20px",
+            overflowY: "auto",
+            flex: "1"
+        });
+
+        packManager.getAll().forEach(pack => {
+            const row = document.createElement("div");
+            Object.assign(row.style, {
+                display: "flex",
+                alignItems: "flex-start",
+                gap: "12px",
+                padding: "12px",
+                background: "#333",
+                borderRadius: "8px",
+                marginBottom: "8px",
+                opacity: pack.enabled && !pack.error ? "1" : "0.6"
+            });
+
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.checked = pack.enabled;
+            checkbox.disabled = !!pack.error;
+            checkbox.style.marginTop = "3px";
+            checkbox.onchange = async () => {
+                checkbox.disabled = true;
+                const ok = await packManager.setEnabled(pack.id, checkbox.checked);
+                if (!ok) {
+                    this.showToast(t("packToggleFailed"), "error");
+                    checkbox.checked = !checkbox.checked;
+                } else {
+                    this.showToast(t(checkbox.checked ? "packEnabled" : "packDisabled", { name: displayPackName(pack.id) }), "success");
+                }
+                checkbox.disabled = false;
+                row.style.opacity = checkbox.checked ? "1" : "0.6";
+            };
+            row.appendChild(checkbox);
+
+            const info = document.createElement("div");
+            Object.assign(info.style, {
+                flex: "1",
+                minWidth: "0"
+            });
+
+            const name = document.createElement("div");
+            Object.assign(name.style, {
+                color: "#fff",
+                fontSize: "13px",
+                fontWeight: "bold",
+                marginBottom: "4px"
+            });
+            name.textContent = [displayPackName(pack.id), pack.version && `v${pack.version}`].filter(Boolean).join(" ");
+            info.appendChild(name);
+
+            const meta = document.createElement("div");
+            Object.assign(meta.style, {
+                color: "#aaa",
+                fontSize: "11px",
+                lineHeight: "1.5"
+            });
+            meta.textContent = [
+                pack.author && t("packAuthor", { author: pack.author }),
+                t("packCounts", { categories: pack.category_count, presets: pack.preset_count }),
+                t(`packSource_${pack.source}`, { id: pack.id })
+            ].filter(Boolean).join(" · ");
+            info.appendChild(meta);
+
+            if (pack.description) {
+                const desc = document.createElement("div");
+                Object.assign(desc.style, {
+                    color: "#888",
+                    fontSize: "11px",
+                    marginTop: "4px"
+                });
+                desc.textContent = pack.description;
+                info.appendChild(desc);
+            }
+
+            if (pack.error) {
+                const error = document.createElement("div");
+                Object.assign(error.style, {
+                    color: "#e74c3c",
+                    fontSize: "11px",
+                    marginTop: "4px",
+                    wordBreak: "break-word"
+                });
+                error.textContent = t("packLoadError", { error: pack.error });
+                info.appendChild(error);
+            } else if (pack.issue_count) {
+                const issues = document.createElement("div");
+                Object.assign(issues.style, {
+                    color: "#e6a23c",
+                    fontSize: "11px",
+                    marginTop: "4px",
+                    cursor: "pointer",
+                    textDecoration: "underline"
+                });
+                issues.textContent = t("packIssueCount", { n: pack.issue_count });
+                issues.onclick = () => {
+                    overlay.remove();
+                    this.showDiagnosticsDialog();
+                };
+                info.appendChild(issues);
+            }
+
+            row.appendChild(info);
+            content.appendChild(row);
+        });
+
+        panel.appendChild(content);
+
+        // 底部
+        const footer = document.createElement("div");
+        Object.assign(footer.style, {
+            padding: "12px 20px",
+            borderTop: "1px solid #555",
+            display: "flex",
+            justifyContent: "flex-end"
+        });
+
+        const closeFooterBtn = document.createElement("button");
+        Object.assign(closeFooterBtn.style, {
+            background: "#555",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px"
+        });
+        closeFooterBtn.textContent = t("close");
+        closeFooterBtn.onclick = () => overlay.remove();
+        footer.appendChild(closeFooterBtn);
+
+        panel.appendChild(footer);
+        overlay.appendChild(panel);
+
+        overlay.onclick = (e) => {
+            if (e.target === overlay) overlay.remove();
+        };
+
+        document.body.appendChild(overlay);
+    }
+
+    // ========================================
+    // 预设数据诊断
+    // ========================================
+
+    diagnosticsAction() {
+        return { label: t("viewDetails"), onClick: () => this.showDiagnosticsDialog() };
+    }
+
+    showDiagnosticsToast() {
+        this.showToast(t("diagnosticsFound", { n: presetsManager.issues.length }), "warning", this.diagnosticsAction());
+    }
+
+    // 按预设包分组列出问题：级别、JSON 路径、说明
+    async showDiagnosticsDialog() {
+        await presetsManager.loadDiagnostics();
+        const issues = presetsManager.issues;
+
+        const overlay = document.createElement("div");
+        Object.assign(overlay.style, {
+            position: "fixed",
+            top: "0",
+            left: "0",
+            right: "0",
+            bottom: "0",
+            background: "rgba(0,0,0,0.6)",
+            zIndex: "100000",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center"
+        });
+
+        const panel = document.createElement("div");
+        Object.assign(panel.style, {
+            background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
+            borderRadius: "12px",
+            boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
+            width: "640px",
+            maxHeight: "70vh",
+            display: "flex",
+            flexDirection: "column",
+            overflow: "hidden"
+        });
+
+        // 头部
+        const header = document.createElement("div");
+        Object.assign(header.style, {
+            padding: "16px 20px",
+            borderBottom: "1px solid #555",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center"
+        });
+        header.innerHTML = `<h3 style="margin:0;color:#fff;font-size:16px;">${t("diagnosticsTitle")}</h3>`;
+
+        const closeBtn = document.createElement("button");
+        Object.assign(closeBtn.style, {
+            background: "transparent",
+            border: "none",
+            color: "#888",
+            fontSize: "20px",
+            cursor: "pointer"
+        });
+        closeBtn.innerHTML = "×";
+        closeBtn.onclick = () => overlay.remove();
+        header.appendChild(closeBtn);
+        panel.appendChild(header);
+
+        const hint = document.createElement("div");
+        Object.assign(hint.style, {
+            padding: "10px 20px",
+            color: "#888",
+            fontSize: "12px",
+            borderBottom: "1px solid #444",
+            lineHeight: "1.5"
+        });
+        hint.textContent = t("diagnosticsHint");
+        panel.appendChild(hint);
+
+        // 内容区
+        const content = document.createElement("div");
+        Object.assign(content.style, {
+            padding: "16px 20px",
+            overflowY: "auto",
+            flex: "1"
+        });
+
+        if (issues.length === 0) {
+            const empty = document.createElement("div");
+            Object.assign(empty.style, {
+                color: "#8c8",
+                fontSize: "13px",
+                textAlign: "center",
+                padding: "20px"
+            });
+            empty.textContent = t("diagnosticsNone");
+            content.appendChild(empty);
+        }
+
+        const byPack = new Map();
+        issues.forEach(issue => {
+            if (!byPack.has(issue.pack)) byPack.set(issue.pack, []);
+            byPack.get(issue.pack).push(issue);
+        });
+
+        byPack.forEach((packIssues, packId) => {
+            const title = document.createElement("div");
+            Object.assign(title.style, {
+                color: "#fff",
+                fontSize: "13px",
+                fontWeight: "bold",
+                margin: "4px 0 8px"
+            });
+            title.textContent = `${displayPackName(packId)} (${packIssues.length})`;
+            content.appendChild(title);
+
+            packIssues.forEach(issue => {
+                const row = document.createElement("div");
+                Object.assign(row.style, {
+                    display: "flex",
+                    alignItems: "flex-start",
+                    gap: "10px",
+                    padding: "8px 12px",
+                    background: "#333",
+                    borderRadius: "6px",
+                    marginBottom: "6px"
+                });
+
+                const icon = document.createElement("span");
+                icon.textContent = issue.level === "error" ? "❌" : "⚠️";
+                row.appendChild(icon);
+
+                const info = document.createElement("div");
+                Object.assign(info.style, {
+                    flex: "1",
+                    minWidth: "0"
+                });
+
+                const path = document.createElement("div");
+                Object.assign(path.style, {
+                    color: "#9cdcfe",
+                    fontSize: "12px",
+                    fontFamily: "monospace",
+                    wordBreak: "break-all"
+                });
+                path.textContent = issue.path;
+                info.appendChild(path);
+
+                const message = document.createElement("div");
+                Object.assign(message.style, {
+                    color: "#ccc",
+                    fontSize: "12px",
+                    marginTop: "2px",
+                    wordBreak: "break-word"
+                });
+                message.textContent = `${issue.message} — ${t(`diagnosticsLevel_${issue.level}`)}`;
+                info.appendChild(message);
+
+                row.appendChild(info);
+                content.appendChild(row);
+            });
+        });
+
+        panel.appendChild(content);
+
+        // 底部
+        const footer = document.createElement("div");
+        Object.assign(footer.style, {
+            padding: "12px 20px",
+            borderTop: "1px solid #555",
+            display: "flex",
+            justifyContent: "flex-end"
+        });
+
+        const closeFooterBtn = document.createElement("button");
+        Object.assign(closeFooterBtn.style, {
+            background: "#555",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px"
+        });
+        closeFooterBtn.textContent = t("close");
+        closeFooterBtn.onclick = () => overlay.remove();
+        footer.appendChild(closeFooterBtn);
+
+        panel.appendChild(footer);
+        overlay.appendChild(panel);
+
+        overlay.onclick = (e) => {
+            if (e.target === overlay) overlay.remove();
+        };
+
+        document.body.appendChild(overlay);
+    }
+
+    // ========================================
+    // 内置预设库编辑器
+    // ========================================
+
+    // 树形列出 分类 → 分组 → 预设，每项可上移、下移、编辑、删除；修改即写回服务端
+    async showLibraryEditor() {
+        await libraryManager.load();
+
+        if (!this.libraryExpanded) this.libraryExpanded = new Set();
+        const expanded = this.libraryExpanded;
+
+        const overlay = document.createElement("div");
+        Object.assign(overlay.style, {
+            position: "fixed",
+            top: "0",
+            left: "0",
+            right: "0",
+            bottom: "0",
+            background: "rgba(0,0,0,0.6)",
+            zIndex: "100000",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center"
+        });
+
+        const panel = document.createElement("div");
+        Object.assign(panel.style, {
+            background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
+            borderRadius: "12px",
+            boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
+            width: "640px",
+            maxHeight: "80vh",
+            display: "flex",
+            flexDirection: "column",
+            overflow: "hidden"
+        });
+
+        // 头部
+        const header = document.createElement("div");
+        Object.assign(header.style, {
+            padding: "16px 20px",
+            borderBottom: "1px solid #555",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center"
+        });
+        header.innerHTML = `<h3 style="margin:0;color:#fff;font-size:16px;">${t("libraryTitle")}</h3>`;
+
+        const closeBtn = document.createElement("button");
+        Object.assign(closeBtn.style, {
+            background: "transparent",
+            border: "none",
+            color: "#888",
+            fontSize: "20px",
+            cursor: "pointer"
+        });
+        closeBtn.innerHTML = "×";
+        closeBtn.onclick = () => overlay.remove();
+        header.appendChild(closeBtn);
+        panel.appendChild(header);
+
+        const hint = document.createElement("div");
+        Object.assign(hint.style, {
+            padding: "10px 20px",
+            color: "#888",
+            fontSize: "12px",
+            borderBottom: "1px solid #444"
+        });
+        hint.textContent = t("libraryHint");
+        panel.appendChild(hint);
+
+        // 内容区
+        const content = document.createElement("div");
+        Object.assign(content.style, {
+            padding: "12px 20px",
+            overflowY: "auto",
+            flex: "1"
+        });
+        panel.appendChild(content);
+
+        // 执行一次修改：失败时提示服务端的错误信息，成功后重新渲染
+        const run = async (request) => {
+            const result = await request;
+            if (result !== true) {
+                this.showToast(t("librarySaveFailed", { error: result }), "error");
+            }
+            render();
+        };
+
+        // 删除按钮需要点两次确认
+        const createDeleteButton = (onConfirm) => {
+            const btn = this.createSmallButton("✕", "#7a2d2d", () => {
+                if (btn.dataset.armed) {
+                    onConfirm();
+                    return;
+                }
+                btn.dataset.armed = "1";
+                btn.textContent = t("libraryConfirmDelete");
+            });
+            btn.title = t("delete");
+            return btn;
+        };
+
+        const createRow = (depth, label, meta, buttons, onToggle = null, isOpen = false) => {
+            const row = document.createElement("div");
+            Object.assign(row.style, {
+                display: "flex",
+                alignItems: "center",
+                gap: "6px",
+                padding: "6px 8px",
+                paddingLeft: `${8 + depth * 20}px`,
+                borderRadius: "4px",
+                fontSize: "13px",
+                color: depth === 2 ? "#ccc" : "#fff"
+            });
+
+            const toggle = document.createElement("span");
+            Object.assign(toggle.style, {
+                width: "12px",
+                fontSize: "10px",
+                color: "#888",
+                cursor: onToggle ? "pointer" : "default"
+            });
+            toggle.textContent = onToggle ? (isOpen ? "▼" : "▶") : "";
+            row.appendChild(toggle);
+
+            const text = document.createElement("span");
+            Object.assign(text.style, {
+                flex: "1",
+                minWidth: "0",
+                overflow: "hidden",
+                textOverflow: "ellipsis",
+                whiteSpace: "nowrap",
+                cursor: onToggle ? "pointer" : "default",
+                fontWeight: depth === 0 ? "bold" : "normal"
+            });
+            text.textContent = label;
+            row.appendChild(text);
+
+            if (meta) {
+                const metaSpan = document.createElement("span");
+                Object.assign(metaSpan.style, {
+                    color: "#888",
+                    fontSize: "11px",
+                    whiteSpace: "nowrap"
+                });
+                metaSpan.textContent = meta;
+                row.appendChild(metaSpan);
+            }
+
+            if (onToggle) {
+                toggle.onclick = onToggle;
+                text.onclick = onToggle;
+            }
+            buttons.forEach(btn => row.appendChild(btn));
+
+            row.onmouseenter = () => row.style.background = "#333";
+            row.onmouseleave = () => row.style.background = "transparent";
+            content.appendChild(row);
+        };
+
+        // 同级列表中的通用按钮：上移、下移、编辑、删除
+        const itemButtons = (path, count, onEdit) => {
+            const index = path[path.length - 1];
+            return [
+                this.createSmallButton("↑", "#555", () => run(libraryManager.move(path, index - 1)), index === 0),
+                this.createSmallButton("↓", "#555", () => run(libraryManager.move(path, index + 1)), index === count - 1),
+                this.createSmallButton("✎", "#3a6ea5", onEdit),
+                createDeleteButton(() => run(libraryManager.remove(path)))
+            ];
+        };
+
+        const render = () => {
+            content.innerHTML = "";
+            const presets = libraryManager.data;
+
+            if (presets.length === 0) {
+                content.innerHTML = `<p style="color:#888;text-align:center;margin:40px 0;">${t("libraryEmpty")}</p>`;
+            }
+
+            presets.forEach((category, ci) => {
+                const catKey = `c${ci}`;
+                const catOpen = expanded.has(catKey);
+                const groups = Array.isArray(category.groups) ? category.groups : null;
+                const toggleCat = () => {
+                    catOpen ? expanded.delete(catKey) : expanded.add(catKey);
+                    render();
+                };
+
+                const catButtons = itemButtons([ci], presets.length, () => {
+                    this.showLibraryItemDialog("category", category, async (data) => {
+                        const oldKeys = (groups || []).map(g => getGroupKey(category, g));
+                        const result = await libraryManager.update([ci], data);
+                        if (result === true) {
+                            const renamed = libraryManager.data[ci];
+                            (renamed.groups || []).forEach((g, gi) => tierManager.renameGroupKey(oldKeys[gi], getGroupKey(renamed, g)));
+                        }
+                        return result;
+                    }, render);
+                });
+                if (groups) {
+                    catButtons.unshift(this.createSmallButton(t("libraryAddGroup"), "#2d7a2d", () => {
+                        expanded.add(catKey);
+                        this.showLibraryItemDialog("group", null, (data) => libraryManager.create([ci], data), render);
+                    }));
+                }
+                createRow(0, displayCategoryName(category), groups ? t("libraryGroupCount", { n: groups.length }) : t("libraryLegacyCategory"), catButtons, groups ? toggleCat : null, catOpen);
+
+                if (!catOpen || !groups) return;
+
+                groups.forEach((group, gi) => {
+                    const groupKey = `g${ci}-${gi}`;
+                    const groupOpen = expanded.has(groupKey);
+                    const items = Array.isArray(group.presets) ? group.presets : [];
+                    const toggleGroup = () => {
+                        groupOpen ? expanded.delete(groupKey) : expanded.add(groupKey);
+                        render();
+                    };
+
+                    const groupButtons = [
+                        this.createSmallButton(t("libraryAddPreset"), "#2d7a2d", () => {
+                            expanded.add(groupKey);
+                            this.showLibraryItemDialog("preset", null, (data) => libraryManager.create([ci, gi], data), render);
+                        }),
+                        ...itemButtons([ci, gi], groups.length, () => {
+                            this.showLibraryItemDialog("group", group, async (data) => {
+                                const oldKey = getGroupKey(category, group);
+                                const result = await libraryManager.update([ci, gi], data);
+                                if (result === true) {
+                                    const renamed = libraryManager.data[ci];
+                                    tierManager.renameGroupKey(oldKey, getGroupKey(renamed, renamed.groups[gi]));
+                                }
+                                return result;
+                            }, render);
+                        })
+                    ];
+                    const meta = [
+                        t("libraryTierMeta", { tier: group.tier ?? "-" }),
+                        group.exclusive ? t("libraryExclusive") : "",
+                        group.camera_movement ? "🎥" : "",
+                        t("libraryPresetCount", { n: items.length })
+                    ].filter(Boolean).join(" · ");
+                    createRow(1, displayGroupName(group), meta, groupButtons, toggleGroup, groupOpen);
+
+                    if (!groupOpen) return;
+
+                    items.forEach((preset, pi) => {
+                        createRow(2, displayPresetName(preset.sub_category), "", itemButtons([ci, gi, pi], items.length, () => {
+                            this.showLibraryItemDialog("preset", preset, (data) => libraryManager.update([ci, gi, pi], data), render);
+                        }));
+                    });
+                });
+            });
+        };
+        render();
+
+        // 底部
+        const footer = document.createElement("div");
+        Object.assign(footer.style, {
+            padding: "12px 20px",
+            borderTop: "1px solid #555",
+            display: "flex",
+            justifyContent: "space-between"
+        });
+
+        const addCategoryBtn = document.createElement("button");
+        Object.assign(addCategoryBtn.style, {
+            background: "#2d7a2d",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px"
+        });
+        addCategoryBtn.textContent = t("libraryAddCategory");
+        addCategoryBtn.onclick = () => {
+            this.showLibraryItemDialog("category", null, (data) => libraryManager.create([], data), render);
+        };
+        footer.appendChild(addCategoryBtn);
+
+        const closeFooterBtn = document.createElement("button");
+        Object.assign(closeFooterBtn.style, {
+            background: "#555",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px"
+        });
+        closeFooterBtn.textContent = t("close");
+        closeFooterBtn.onclick = () => overlay.remove();
+        footer.appendChild(closeFooterBtn);
+
+        panel.appendChild(footer);
+        overlay.appendChild(panel);
+
+        overlay.onclick = (e) => {
+            if (e.target === overlay) overlay.remove();
+        };
+
+        document.body.appendChild(overlay);
+    }
+
+    // 预设库条目编辑弹窗；item 为 null 时新建
+    // onSave(data) 返回 true 或错误信息；保存后调用 onDone 刷新列表（失败时数据可能已重新读取）
+    showLibraryItemDialog(level, item, onSave, onDone) {
+        const isEdit = !!item;
+
+        // 各层级的字段：key, 标签, 类型（text / textarea / tier / checkbox）, 是否必填
+        const fields = {
+            category: [
+                { key: "category", label: t("libraryFieldCategory"), type: "text", required: true },
+                { key: "category_en", label: t("libraryFieldEnglishName"), type: "text" }
+            ],
+            group: [
+                { key: "name", label: t("libraryFieldGroup"), type: "text", required: true },
+                { key: "name_en", label: t("libraryFieldEnglishName"), type: "text" },
+                { key: "tier", label: t("libraryFieldTier"), type: "tier", required: true },
+                { key: "exclusive", label: t("libraryFieldExclusive"), type: "checkbox" },
+                { key: "camera_movement", label: t("libraryFieldCamera"), type: "checkbox" },
+                { key: "negative_value", label: t("negativeLabel"), type: "textarea" }
+            ],
+            preset: [
+                { key: "sub_category", label: t("presetName"), type: "text", required: true },
+                { key: "prompt_value", label: t("promptContent"), type: "textarea", required: true },
+                { key: "negative_value", label: t("negativeLabel"), type: "textarea" },
+                { key: "image", label: t("libraryFieldImage"), type: "text" }
+            ]
+        }[level];
+
+        const overlay = document.createElement("div");
+        Object.assign(overlay.style, {
+            position: "fixed",
+            top: "0",
+            left: "0",
+            right: "0",
+            bottom: "0",
+            background: "rgba(0,0,0,0.6)",
+            zIndex: "100001",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center"
+        });
+
+        const panel = document.createElement("div");
+        Object.assign(panel.style, {
+            background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
+            borderRadius: "12px",
+            boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
+            width: "460px",
+            maxHeight: "80vh",
+            overflowY: "auto",
+            padding: "20px",
+            display: "flex",
+            flexDirection: "column",
+            gap: "8px",
+            boxSizing: "border-box"
+        });
+
+        const title = document.createElement("h3");
+        Object.assign(title.style, {
+            margin: "0 0 4px",
+            color: "#fff",
+            fontSize: "16px"
+        });
+        title.textContent = t(isEdit ? "libraryEditTitle" : "libraryNewTitle", { level: t(`libraryLevel_${level}`) });
+        panel.appendChild(title);
+
+        const inputStyle = {
+            padding: "8px 10px",
+            background: "#2a2a2a",
+            border: "1px solid #555",
+            borderRadius: "6px",
+            color: "#fff",
+            fontSize: "13px"
+        };
+
+        const inputs = {};
+        fields.forEach(field => {
+            if (field.type === "checkbox") {
+                const row = document.createElement("label");
+                Object.assign(row.style, {
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "8px",
+                    color: "#ccc",
+                    fontSize: "13px",
+                    cursor: "pointer"
+                });
+                const checkbox = document.createElement("input");
+                checkbox.type = "checkbox";
+                checkbox.checked = !!item?.[field.key];
+                row.appendChild(checkbox);
+                row.appendChild(document.createTextNode(field.label));
+                panel.appendChild(row);
+                inputs[field.key] = checkbox;
+                return;
+            }
+
+            const label = document.createElement("label");
+            Object.assign(label.style, { color: "#aaa", fontSize: "13px" });
+            label.textContent = field.required ? `${field.label} *` : field.label;
+            panel.appendChild(label);
+
+            let input;
+            if (field.type === "tier") {
+                // 数据中只能使用内置层级 1-7；自定义层级通过「排序层级」中的分组覆盖设置
+                input = document.createElement("select");
+                BUILTIN_TIER_IDS.forEach(id => {
+                    const option = document.createElement("option");
+                    option.value = id;
+                    option.textContent = displayTierName({ id, name: "" });
+                    input.appendChild(option);
+                });
+                input.value = String(item?.tier ?? DEFAULT_FALLBACK_TIER);
+            } else if (field.type === "textarea") {
+                input = document.createElement("textarea");
+                Object.assign(input.style, {
+                    minHeight: field.required ? "90px" : "50px",
+                    resize: "vertical",
+                    fontFamily: "monospace"
+                });
+                input.value = item?.[field.key] || "";
+            } else {
+                input = document.createElement("input");
+                input.value = item?.[field.key] || "";
+            }
+            Object.assign(input.style, inputStyle);
+            panel.appendChild(input);
+            inputs[field.key] = input;
+        });
+
+        // 按钮组
+        const buttons = document.createElement("div");
+        Object.assign(buttons.style, {
+            display: "flex",
+            justifyContent: "flex-end",
+            gap: "10px",
+            marginTop: "8px"
+        });
+
+        const cancelBtn = document.createElement("button");
+        Object.assign(cancelBtn.style, {
+            background: "#555",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px"
+        });
+        cancelBtn.textContent = t("cancel");
+        cancelBtn.onclick = () => overlay.remove();
+
+        const saveBtn = document.createElement("button");
+        Object.assign(saveBtn.style, {
+            background: "linear-gradient(135deg, #5ab0ff, #3a6ea5)",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px",
+            fontWeight: "bold"
+        });
+        saveBtn.textContent = isEdit ? t("saveChanges") : t("libraryCreate");
+        saveBtn.onclick = async () => {
+            const data = {};
+            for (const field of fields) {
+                const input = inputs[field.key];
+                if (field.type === "checkbox") {
+                    data[field.key] = input.checked;
+                    continue;
+                }
+                if (field.type === "tier") {
+                    data[field.key] = parseInt(input.value, 10);
+                    continue;
+                }
+                const value = input.value.trim();
+                if (field.required && !value) {
+                    this.showToast(t("libraryFieldRequired", { field: field.label }), "warning");
+                    return;
+                }
+                // 编辑时清空可选字段即删除该字段
+                if (value || isEdit) data[field.key] = value || null;
+            }
+
+            saveBtn.disabled = true;
+            const result = await onSave(data);
+            saveBtn.disabled = false;
+            if (result !== true) {
+                this.showToast(t("librarySaveFailed", { error: result }), "error");
+                // 数据可能已重新读取（文件在别处被修改），刷新后面的列表
+                onDone?.();
+                return;
+            }
+            overlay.remove();
+            this.showToast(t("librarySaved"), "success");
+            onDone?.();
+        };
+
+        buttons.appendChild(cancelBtn);
+        buttons.appendChild(saveBtn);
+        panel.appendChild(buttons);
+        overlay.appendChild(panel);
+
+        overlay.onclick = (e) => {
+            if (e.target === overlay) overlay.remove();
+        };
+
+        document.body.appendChild(overlay);
+        inputs[fields[0].key].focus();
+    }
+
+    // ========================================
+    // Composer 节点 - 分类预设多选弹窗
+    // ========================================
+
+    // 勾选结果以 JSON 数组写回分类输入 widget；互斥分组只能选一项，排序方案不使用运镜时运镜预设不可选
+    showComposerPicker(node, category, widget) {
+        const profile = profileManager.resolveForNode(node);
+        const groups = Array.isArray(category.groups) ? category.groups : [{ ...category, name: "" }];
+        const categoryPresets = groups.flatMap(group => group.presets || []);
+
+        // 预设 ID -> { id, value }；旧版本保存的预设值换成对应的预设，数据中已不存在的选择以原来的值为键保留
+        const selected = new Map();
+        parseComposerSelection(widget.value).forEach(entry => {
+            const preset = categoryPresets.find(p => p.id === entry.id) || categoryPresets.find(p => p.prompt_value === entry.value);
+            if (preset) {
+                selected.set(preset.id, { id: preset.id, value: preset.prompt_value });
+            } else {
+                selected.set(entry.id || entry.value, entry);
+            }
+        });
+
+        const overlay = document.createElement("div");
+        Object.assign(overlay.style, {
+            position: "fixed",
+            top: "0",
+            left: "0",
+            right: "0",
+            bottom: "0",
+            background: "rgba(0,0,0,0.6)",
+            zIndex: "100000",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center"
+        });
+
+        const panel = document.createElement("div");
+        Object.assign(panel.style, {
+            background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
+            borderRadius: "12px",
+            boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
+            width: "480px",
+            maxHeight: "80vh",
+            display: "flex",
+            flexDirection: "column",
+            overflow: "hidden"
+        });
+
+        // 头部
+        const header = document.createElement("div");
+        Object.assign(header.style, {
+            padding: "16px 20px",
+            borderBottom: "1px solid #555",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center"
+        });
+        const title = document.createElement("h3");
+        Object.assign(title.style, {
+            margin: "0",
+            color: "#fff",
+            fontSize: "16px"
+        });
+        title.textContent = displayCategoryName(category);
+        header.appendChild(title);
+
+        const closeBtn = document.createElement("button");
+        Object.assign(closeBtn.style, {
+            background: "transparent",
+            border: "none",
+            color: "#888",
+            fontSize: "20px",
+            cursor: "pointer"
+        });
+        closeBtn.innerHTML = "×";
+        closeBtn.onclick = () => overlay.remove();
+        header.appendChild(closeBtn);
+        panel.appendChild(header);
+
+        // 内容区：按分组列出预设
+        const content = document.createElement("div");
+        Object.assign(content.style, {
+            padding: "12px 20px",
+            overflowY: "auto",
+            flex: "1"
+        });
+
+        const render = () => {
+            content.innerHTML = "";
+            groups.forEach(group => {
+                if (group.name) {
+                    const groupName = displayGroupName(group);
+                    const groupTitle = document.createElement("div");
+                    Object.assign(groupTitle.style, {
+                        color: "#5ab0ff",
+                        fontSize: "12px",
+                        fontWeight: "bold",
+                        margin: "10px 0 4px"
+                    });
+                    groupTitle.textContent = group.exclusive ? t("exclusiveGroup", { name: groupName }) : groupName;
+                    content.appendChild(groupTitle);
+                }
+
+                (group.presets || []).forEach(preset => {
+                    const value = preset.prompt_value;
+                    const blocked = isCameraBlocked(value, profile);
+
+                    const row = document.createElement("label");
+                    Object.assign(row.style, {
+                        display: "flex",
+                        alignItems: "center",
+                        gap: "8px",
+                        padding: "5px 8px",
+                        borderRadius: "4px",
+                        fontSize: "13px",
+                        color: blocked ? "#666" : "#ccc",
+                        cursor: blocked ? "not-allowed" : "pointer"
+                    });
+                    if (blocked) row.title = t("cameraNotAllowed", { profile: displayProfileName(profile) });
+
+                    const checkbox = document.createElement("input");
+                    checkbox.type = "checkbox";
+                    checkbox.checked = selected.has(preset.id);
+                    checkbox.disabled = blocked;
+                    checkbox.onchange = () => {
+                        if (checkbox.checked) {
+                            // 互斥分组：取消同组其他选项
+                            if (group.exclusive) {
+                                group.presets.forEach(p => selected.delete(p.id));
+                            }
+                            selected.set(preset.id, { id: preset.id, value });
+                        } else {
+                            selected.delete(preset.id);
+                        }
+                        render();
+                    };
+                    row.appendChild(checkbox);
+
+                    const name = document.createElement("span");
+                    name.textContent = displayPresetName(preset.sub_category);
+                    row.appendChild(name);
+
+                    row.onmouseenter = () => row.style.background = "#333";
+                    row.onmouseleave = () => row.style.background = "transparent";
+                    content.appendChild(row);
+                });
+            });
+        };
+        render();
+        panel.appendChild(content);
+
+        // 底部
+        const footer = document.createElement("div");
+        Object.assign(footer.style, {
+            padding: "12px 20px",
+            borderTop: "1px solid #555",
+            display: "flex",
+            justifyContent: "space-between"
+        });
+
+        const clearBtn = document.createElement("button");
+        Object.assign(clearBtn.style, {
+            background: "#555",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px"
+        });
+        clearBtn.textContent = t("composerClear");
+        clearBtn.onclick = () => {
+            selected.clear();
+            render();
+        };
+        footer.appendChild(clearBtn);
+
+        const applyBtn = document.createElement("button");
+        Object.assign(applyBtn.style, {
+            background: "linear-gradient(135deg, #5ab0ff, #3a6ea5)",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px",
+            fontWeight: "bold"
+        });
+        applyBtn.textContent = t("composerApply");
+        applyBtn.onclick = () => {
+            // 按数据中的顺序保存；数据中已不存在的选择原样保留
+            const entries = categoryPresets.filter(p => selected.has(p.id)).map(p => ({ id: p.id, value: p.prompt_value }));
+            selected.forEach((entry, key) => {
+                if (!categoryPresets.some(p => p.id === key)) entries.push(entry);
+            });
+            widget.value = entries.length > 0 ? JSON.stringify(entries) : COMPOSER_NONE;
+            if (widget.callback) {
+                widget.callback(widget.value);
+            }
+            saveComposerSelections(node);
+            refreshComposerLabels(node);
+            app.graph.setDirtyCanvas(true, true);
+            overlay.remove();
+        };
+        footer.appendChild(applyBtn);
+
+        panel.appendChild(footer);
+        overlay.appendChild(panel);
+
+        overlay.onclick = (e) => {
+            if (e.target === overlay) overlay.remove();
+        };
+
+        document.body.appendChild(overlay);
+    }
+
+    // ========================================
+    // 收藏 / 最近使用 子菜单与使用统计弹窗
+    // ========================================
+
+    // entries: getSearchEntries() 格式的预设条目
+    showPresetListSubMenu(parentItem, entries, emptyText) {
+        this.hideSubMenu();
+
+        const submenu = document.createElement("div");
+        Object.assign(submenu.style, {
+            position: "fixed",
+            background: "linear-gradient(180deg, #383838, #2e2e2e)",
+            border: "1px solid #555",
+            borderRadius: "10px",
+            boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+            zIndex: "99996",
+            minWidth: "280px",
+            maxHeight: "400px",
+            overflowY: "auto",
+            padding: "8px 0",
+            opacity: "0",
+            transform: "translateX(10px)",
+            transition: "opacity 0.15s, transform 0.15s"
+        });
+
+        if (entries.length === 0) {
+            const empty = document.createElement("div");
+            Object.assign(empty.style, {
+                padding: "10px 16px",
+                fontSize: "12px",
+                color: "#888"
+            });
+            empty.textContent = emptyText;
+            submenu.appendChild(empty);
+        } else {
+            entries.forEach(entry => {
+                const item = this.createPresetItem({
+                    sub_category: entry.name,
+                    prompt_value: entry.value,
+                    image: entry.image,
+                    pack: entry.pack,
+                    isCustomPreset: entry.isCustomPreset
+                });
+                submenu.appendChild(item);
+            });
+        }
+
+        submenu.onmouseenter = () => this.clearHideTimeout();
+        submenu.onmouseleave = (e) => this.scheduleHideMenu(e);
+
+        document.body.appendChild(submenu);
+
+        const menuRect = this.mainMenu.getBoundingClientRect();
+        const itemRect = parentItem.getBoundingClientRect();
+        let x = menuRect.left - 290;
+        let y = itemRect.top - 8;
+
+        if (x < 10) x = menuRect.right + 10;
+        if (y + 300 > window.innerHeight) y = window.innerHeight - 310;
+        if (y < 10) y = 10;
+
+        submenu.style.left = x + "px";
+        submenu.style.top = y + "px";
+
+        requestAnimationFrame(() => {
+            submenu.style.opacity = "1";
+            submenu.style.transform = "translateX(0)";
+        });
+
+        this.subMenu = submenu;
+    }
+
+    // 使用统计：按使用次数列出预设，可切换收藏、重置计数
+    showUsageStatsDialog() {
+        const overlay = document.createElement("div");
+        Object.assign(overlay.style, {
+            position: "fixed",
+            top: "0",
+            left: "0",
+            right: "0",
+            bottom: "0",
+            background: "rgba(0,0,0,0.6)",
+            zIndex: "100000",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center"
+        });
+
+        const panel = document.createElement("div");
+        Object.assign(panel.style, {
+            background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
+            borderRadius: "12px",
+            boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
+            width: "520px",
+            maxHeight: "70vh",
+            display: "flex",
+            flexDirection: "column",
+            overflow: "hidden"
+        });
+
+        // 头部
+        const header = document.createElement("div");
+        Object.assign(header.style, {
+            padding: "16px 20px",
+            borderBottom: "1px solid #555",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center"
+        });
+        header.innerHTML = `<h3 style="margin:0;color:#fff;font-size:16px;">${t("usageStatsTitle")}</h3>`;
+
+        const closeBtn = document.createElement("button");
+        Object.assign(closeBtn.style, {
+            background: "transparent",
+            border: "none",
+            color: "#888",
+            fontSize: "20px",
+            cursor: "pointer"
+        });
+        closeBtn.innerHTML = "×";
+        closeBtn.onclick = () => overlay.remove();
+        header.appendChild(closeBtn);
+        panel.appendChild(header);
+
+        // 内容区
+        const content = document.createElement("div");
+        Object.assign(content.style, {
+            padding: "16px 20px",
+            overflowY: "auto",
+            flex: "1"
+        });
+
+        const stats = usageManager.getStats();
+
+        if (stats.length === 0) {
+            content.innerHTML = `<p style="color:#888;text-align:center;margin:40px 0;">${t("noUsageStats")}</p>`;
+        } else {
+            stats.forEach(stat => {
+                const row = document.createElement("div");
+                Object.assign(row.style, {
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "12px",
+                    padding: "10px 12px",
+                    background: "#333",
+                    borderRadius: "8px",
+                    marginBottom: "8px"
+                });
+
+                const star = document.createElement("span");
+                Object.assign(star.style, {
+                    cursor: "pointer",
+                    fontSize: "16px",
+                    flexShrink: "0"
+                });
+                const paintStar = () => {
+                    const favorite = usageManager.isFavorite(stat.value);
+                    star.textContent = favorite ? "★" : "☆";
+                    star.style.color = favorite ? "#f1c40f" : "#777";
+                    star.title = favorite ? t("unfavorite") : t("favorite");
+                };
+                paintStar();
+                star.onclick = () => {
+                    usageManager.toggleFavorite(stat.value);
+                    paintStar();
+                };
+
+                const info = document.createElement("div");
+                Object.assign(info.style, {
+                    flex: "1",
+                    minWidth: "0"
+                });
+
+                const name = document.createElement("div");
+                Object.assign(name.style, {
+                    color: "#fff",
+                    fontSize: "13px",
+                    marginBottom: "2px"
+                });
+                name.textContent = stat.isCustomPreset ? stat.name : displayPresetName(stat.name);
+                info.appendChild(name);
+
+                const path = document.createElement("div");
+                Object.assign(path.style, {
+                    color: "#888",
+                    fontSize: "11px"
+                });
+                path.textContent = t("usageLastUsed", {
+                    path: displayEntryPath(stat),
+                    time: new Date(stat.last).toLocaleString()
+                });
+                info.appendChild(path);
+
+                const count = document.createElement("div");
+                Object.assign(count.style, {
+                    color: "#5ab0ff",
+                    fontSize: "13px",
+                    fontWeight: "bold",
+                    flexShrink: "0"
+                });
+                count.textContent = t("usageCount", { n: stat.count });
+
+                row.appendChild(star);
+                row.appendChild(info);
+                row.appendChild(count);
+                content.appendChild(row);
+            });
+        }
+
+        panel.appendChild(content);
+
+        // 底部
+        const footer = document.createElement("div");
+        Object.assign(footer.style, {
+            padding: "12px 20px",
+            borderTop: "1px solid #555",
+            display: "flex",
+            justifyContent: "space-between"
+        });
+
+        const resetBtn = document.createElement("button");
+        Object.assign(resetBtn.style, {
+            background: "#7a2d2d",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: stats.length === 0 ? "default" : "pointer",
+            fontSize: "13px",
+            opacity: stats.length === 0 ? "0.5" : "1"
+        });
+        resetBtn.textContent = t("resetUsageCounts");
+        resetBtn.disabled = stats.length === 0;
+        resetBtn.onclick = async () => {
+            overlay.remove();
+            await usageManager.resetCounters();
+            this.showToast(t("usageCountsReset"), "success");
+            this.showUsageStatsDialog();
+        };
+        footer.appendChild(resetBtn);
+
+        const closeFooterBtn = document.createElement("button");
+        Object.assign(closeFooterBtn.style, {
+            background: "#555",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px"
+        });
+        closeFooterBtn.textContent = t("close");
+        closeFooterBtn.onclick = () => overlay.remove();
+        footer.appendChild(closeFooterBtn);
+
+        panel.appendChild(footer);
+        overlay.appendChild(panel);
+
+        overlay.onclick = (e) => {
+            if (e.target === overlay) overlay.remove();
+        };
+
+        document.body.appendChild(overlay);
+    }
+
+    // ========================================
+    // 组合预设子菜单与弹窗
+    // ========================================
+
+    showBundleSubMenu(parentItem) {
+        this.hideSubMenu();
+
+        const bundles = bundlesManager.getAll();
+
+        const submenu = document.createElement("div");
+        Object.assign(submenu.style, {
+            position: "fixed",
+            background: "linear-gradient(180deg, #383838, #2e2e2e)",
+            border: "1px solid #555",
+            borderRadius: "10px",
+            boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+            zIndex: "99996",
+            minWidth: "280px",
+            maxHeight: "400px",
+            overflowY: "auto",
+            padding: "8px 0",
+            opacity: "0",
+            transform: "translateX(10px)",
+            transition: "opacity 0.15s, transform 0.15s"
+        });
+
+        if (bundles.length > 0) {
+            bundles.forEach(bundle => {
+                const item = document.createElement("div");
+                Object.assign(item.style, {
+                    padding: "10px 16px",
+                    cursor: "pointer",
+                    fontSize: "13px",
+                    color: "#ccc",
+                    borderLeft: "3px solid #e67e22",
+                    transition: "all 0.12s",
+                    display: "flex",
+                    justifyContent: "space-between",
+                    gap: "12px"
+                });
+                item.innerHTML = `<span></span><span style="opacity:0.5;font-size:11px;">${t("bundleItemCount", { n: bundle.items.length })}</span>`;
+                item.firstChild.textContent = bundle.name;
+
+                item.onmouseenter = () => {
+                    item.style.background = "linear-gradient(90deg, #e67e22, transparent)";
+                    item.style.color = "#fff";
+                    item.style.paddingLeft = "20px";
+                };
+                item.onmouseleave = () => {
+                    item.style.background = "transparent";
+                    item.style.color = "#ccc";
+                    item.style.paddingLeft = "16px";
+                };
+
+                item.onclick = () => {
+                    this.applyBundle(bundle);
+                    this.hideAllMenus();
+                };
+
+                submenu.appendChild(item);
+            });
+
+            const divider = document.createElement("div");
+            Object.assign(divider.style, {
+                height: "1px",
+                background: "#555",
+                margin: "8px 12px"
+            });
+            submenu.appendChild(divider);
+        }
+
+        // 新建组合 按钮
+        const addItem = document.createElement("div");
+        Object.assign(addItem.style, {
+            padding: "10px 16px",
+            cursor: "pointer",
+            fontSize: "13px",
+            color: "#5ab0ff",
+            transition: "all 0.12s"
+        });
+        addItem.innerHTML = t("newBundle");
+        addItem.onmouseenter = () => {
+            addItem.style.background = "rgba(90, 176, 255, 0.2)";
+            addItem.style.paddingLeft = "20px";
+        };
+        addItem.onmouseleave = () => {
+            addItem.style.background = "transparent";
+            addItem.style.paddingLeft = "16px";
+        };
+        addItem.onclick = () => {
+            this.hideAllMenus();
+            this.showBundleEditDialog();
+        };
+        submenu.appendChild(addItem);
+
+        // 管理组合 按钮
+        if (bundles.length > 0) {
+            const manageItem = document.createElement("div");
+            Object.assign(manageItem.style, {
+                padding: "10px 16px",
+                cursor: "pointer",
+                fontSize: "13px",
+                color: "#888",
                 transition: "all 0.12s"
             });
-            manageItem.innerHTML = "✏️ 管理自定义预设";
-            manageItem.onmouseenter = () => {
-                manageItem.style.background = "rgba(136, 136, 136, 0.2)";
-                manageItem.style.paddingLeft = "20px";
-            };
-            manageItem.onmouseleave = () => {
-                manageItem.style.background = "transparent";
-                manageItem.style.paddingLeft = "16px";
+            manageItem.innerHTML = t("manageBundles");
+            manageItem.onmouseenter = () => {
+                manageItem.style.background = "rgba(136, 136, 136, 0.2)";
+                manageItem.style.paddingLeft = "20px";
+            };
+            manageItem.onmouseleave = () => {
+                manageItem.style.background = "transparent";
+                manageItem.style.paddingLeft = "16px";
+            };
+            manageItem.onclick = () => {
+                this.hideAllMenus();
+                this.showManageBundlesDialog();
+            };
+            submenu.appendChild(manageItem);
+        }
+
+        submenu.onmouseenter = () => this.clearHideTimeout();
+        submenu.onmouseleave = (e) => this.scheduleHideMenu(e);
+
+        document.body.appendChild(submenu);
+
+        const menuRect = this.mainMenu.getBoundingClientRect();
+        const itemRect = parentItem.getBoundingClientRect();
+        let x = menuRect.left - 290;
+        let y = itemRect.top - 8;
+
+        if (x < 10) x = menuRect.right + 10;
+        if (y + 300 > window.innerHeight) y = window.innerHeight - 310;
+        if (y < 10) y = 10;
+
+        submenu.style.left = x + "px";
+        submenu.style.top = y + "px";
+
+        requestAnimationFrame(() => {
+            submenu.style.opacity = "1";
+            submenu.style.transform = "translateX(0)";
+        });
+
+        this.subMenu = submenu;
+    }
+
+    // 新建/编辑组合弹窗
+    showBundleEditDialog(editIndex = -1) {
+        const isEdit = editIndex >= 0;
+        const editing = isEdit ? bundlesManager.getAll()[editIndex] : null;
+        const selected = editing ? editing.items.map(item => ({ ...item })) : [];
+
+        const overlay = document.createElement("div");
+        Object.assign(overlay.style, {
+            position: "fixed",
+            top: "0",
+            left: "0",
+            right: "0",
+            bottom: "0",
+            background: "rgba(0,0,0,0.6)",
+            zIndex: "100000",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center"
+        });
+
+        const panel = document.createElement("div");
+        Object.assign(panel.style, {
+            background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
+            borderRadius: "12px",
+            boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
+            width: "560px",
+            maxHeight: "80vh",
+            padding: "20px",
+            display: "flex",
+            flexDirection: "column",
+            gap: "12px",
+            boxSizing: "border-box"
+        });
+
+        const title = document.createElement("h3");
+        Object.assign(title.style, {
+            margin: "0",
+            color: "#fff",
+            fontSize: "16px"
+        });
+        title.textContent = isEdit ? t("editBundleTitle") : t("newBundleTitle");
+        panel.appendChild(title);
+
+        const nameInput = document.createElement("input");
+        Object.assign(nameInput.style, {
+            padding: "10px",
+            background: "#2a2a2a",
+            border: "1px solid #555",
+            borderRadius: "6px",
+            color: "#fff",
+            fontSize: "14px"
+        });
+        nameInput.placeholder = t("bundleNamePlaceholder");
+        nameInput.value = editing ? editing.name : "";
+        panel.appendChild(nameInput);
+
+        // 已选成员
+        const selectedLabel = document.createElement("label");
+        Object.assign(selectedLabel.style, { color: "#aaa", fontSize: "13px" });
+        panel.appendChild(selectedLabel);
+
+        const selectedBox = document.createElement("div");
+        Object.assign(selectedBox.style, {
+            display: "flex",
+            flexWrap: "wrap",
+            gap: "6px",
+            minHeight: "32px",
+            padding: "8px",
+            background: "#2a2a2a",
+            border: "1px solid #555",
+            borderRadius: "6px"
+        });
+        panel.appendChild(selectedBox);
+
+        // 候选预设（可搜索）
+        const searchInput = document.createElement("input");
+        Object.assign(searchInput.style, {
+            padding: "8px 10px",
+            background: "#2a2a2a",
+            border: "1px solid #555",
+            borderRadius: "6px",
+            color: "#fff",
+            fontSize: "13px"
+        });
+        searchInput.placeholder = t("bundleSearchPlaceholder");
+        panel.appendChild(searchInput);
+
+        const candidates = document.createElement("div");
+        Object.assign(candidates.style, {
+            overflowY: "auto",
+            flex: "1",
+            minHeight: "160px",
+            maxHeight: "280px",
+            background: "#2e2e2e",
+            borderRadius: "6px"
+        });
+        panel.appendChild(candidates);
+
+        const isSelected = (entry) => selected.some(item => entry.isCustomPreset
+            ? item.source === "custom" && item.value === entry.value
+            : item.source === "builtin" && (item.id ? item.id === entry.id : item.value === entry.value)
+        );
+
+        const renderSelected = () => {
+            selectedLabel.textContent = t("bundleSelected", { n: selected.length });
+            selectedBox.innerHTML = "";
+            if (selected.length === 0) {
+                selectedBox.innerHTML = `<span style="color:#666;font-size:12px;">${t("bundleSelectedEmpty")}</span>`;
+                return;
+            }
+            selected.forEach((item, i) => {
+                const chip = document.createElement("span");
+                Object.assign(chip.style, {
+                    background: item.source === "custom" ? "#5b3a6b" : "#3a5a85",
+                    color: "#fff",
+                    padding: "3px 8px",
+                    borderRadius: "4px",
+                    fontSize: "12px",
+                    cursor: "pointer"
+                });
+                chip.textContent = `${item.name} ×`;
+                chip.title = t("clickToRemove");
+                chip.onclick = () => {
+                    selected.splice(i, 1);
+                    renderSelected();
+                    renderCandidates();
+                };
+                selectedBox.appendChild(chip);
+            });
+        };
+
+        const renderCandidates = () => {
+            const query = searchInput.value.trim();
+            const entries = query ? searchPresets(query, 100) : getSearchEntries();
+            candidates.innerHTML = "";
+
+            entries.forEach(entry => {
+                const row = document.createElement("div");
+                const checked = isSelected(entry);
+                Object.assign(row.style, {
+                    padding: "7px 12px",
+                    cursor: "pointer",
+                    fontSize: "12px",
+                    color: checked ? "#666" : "#ccc",
+                    display: "flex",
+                    justifyContent: "space-between",
+                    gap: "10px"
+                });
+                row.innerHTML = `<span></span><span style="opacity:0.5;white-space:nowrap;"></span>`;
+                row.firstChild.textContent = `${checked ? "✓ " : ""}${entry.isCustomPreset ? entry.name : displayPresetName(entry.name)}`;
+                row.lastChild.textContent = displayEntryPath(entry, true);
+
+                row.onmouseenter = () => row.style.background = "#3a3a3a";
+                row.onmouseleave = () => row.style.background = "transparent";
+                row.onclick = () => {
+                    if (checked) return;
+                    selected.push({
+                        source: entry.isCustomPreset ? "custom" : "builtin",
+                        ...(entry.isCustomPreset ? {} : { id: entry.id }),
+                        name: entry.name,
+                        value: entry.value
+                    });
+                    renderSelected();
+                    renderCandidates();
+                };
+                candidates.appendChild(row);
+            });
+        };
+
+        searchInput.oninput = renderCandidates;
+
+        // 按钮组
+        const buttons = document.createElement("div");
+        Object.assign(buttons.style, {
+            display: "flex",
+            justifyContent: "flex-end",
+            gap: "10px",
+            marginTop: "4px"
+        });
+
+        const cancelBtn = document.createElement("button");
+        Object.assign(cancelBtn.style, {
+            background: "#555",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px"
+        });
+        cancelBtn.textContent = t("cancel");
+        cancelBtn.onclick = () => overlay.remove();
+
+        const saveBtn = document.createElement("button");
+        Object.assign(saveBtn.style, {
+            background: "linear-gradient(135deg, #e67e22, #b8621a)",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px",
+            fontWeight: "bold"
+        });
+        saveBtn.textContent = isEdit ? t("saveChanges") : t("createBundle");
+        saveBtn.onclick = () => {
+            const name = nameInput.value.trim();
+            if (!name || selected.length === 0) {
+                this.showToast(t("bundleNeedsNameAndItems"), "warning");
+                return;
+            }
+
+            if (isEdit) {
+                bundlesManager.update(editIndex, name, selected);
+                this.showToast(t("bundleUpdated"), "success");
+            } else {
+                bundlesManager.add(name, selected);
+                this.showToast(t("bundleCreated"), "success");
+            }
+            overlay.remove();
+        };
+
+        buttons.appendChild(cancelBtn);
+        buttons.appendChild(saveBtn);
+        panel.appendChild(buttons);
+
+        overlay.appendChild(panel);
+        overlay.onclick = (e) => {
+            if (e.target === overlay) overlay.remove();
+        };
+
+        document.body.appendChild(overlay);
+        renderSelected();
+        renderCandidates();
+        nameInput.focus();
+    }
+
+    // 管理组合弹窗
+    showManageBundlesDialog() {
+        const overlay = document.createElement("div");
+        Object.assign(overlay.style, {
+            position: "fixed",
+            top: "0",
+            left: "0",
+            right: "0",
+            bottom: "0",
+            background: "rgba(0,0,0,0.6)",
+            zIndex: "100000",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center"
+        });
+
+        const panel = document.createElement("div");
+        Object.assign(panel.style, {
+            background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
+            borderRadius: "12px",
+            boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
+            width: "500px",
+            maxHeight: "70vh",
+            display: "flex",
+            flexDirection: "column",
+            overflow: "hidden"
+        });
+
+        // 头部
+        const header = document.createElement("div");
+        Object.assign(header.style, {
+            padding: "16px 20px",
+            borderBottom: "1px solid #555",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center"
+        });
+        header.innerHTML = `<h3 style="margin:0;color:#fff;font-size:16px;">${t("manageBundlesTitle")}</h3>`;
+
+        const closeBtn = document.createElement("button");
+        Object.assign(closeBtn.style, {
+            background: "transparent",
+            border: "none",
+            color: "#888",
+            fontSize: "20px",
+            cursor: "pointer"
+        });
+        closeBtn.innerHTML = "×";
+        closeBtn.onclick = () => overlay.remove();
+        header.appendChild(closeBtn);
+        panel.appendChild(header);
+
+        // 内容区
+        const content = document.createElement("div");
+        Object.assign(content.style, {
+            padding: "16px 20px",
+            overflowY: "auto",
+            flex: "1"
+        });
+
+        const bundles = bundlesManager.getAll();
+
+        if (bundles.length === 0) {
+            content.innerHTML = `<p style="color:#888;text-align:center;margin:40px 0;">${t("noBundles")}</p>`;
+        } else {
+            bundles.forEach((bundle, index) => {
+                const row = document.createElement("div");
+                Object.assign(row.style, {
+                    display: "flex",
+                    alignItems: "flex-start",
+                    gap: "12px",
+                    padding: "12px",
+                    background: "#333",
+                    borderRadius: "8px",
+                    marginBottom: "8px"
+                });
+
+                const info = document.createElement("div");
+                Object.assign(info.style, {
+                    flex: "1",
+                    minWidth: "0"
+                });
+
+                const name = document.createElement("div");
+                Object.assign(name.style, {
+                    color: "#e67e22",
+                    fontSize: "13px",
+                    fontWeight: "bold",
+                    marginBottom: "4px"
+                });
+                name.textContent = bundle.name;
+                info.appendChild(name);
+
+                const members = document.createElement("div");
+                Object.assign(members.style, {
+                    color: "#aaa",
+                    fontSize: "11px",
+                    wordBreak: "break-word",
+                    lineHeight: "1.4"
+                });
+                members.textContent = bundle.items.map(item => item.name).join(" + ");
+                info.appendChild(members);
+
+                const btnGroup = document.createElement("div");
+                Object.assign(btnGroup.style, {
+                    display: "flex",
+                    gap: "6px",
+                    flexShrink: "0"
+                });
+
+                const editBtn = document.createElement("button");
+                Object.assign(editBtn.style, {
+                    background: "#3a6ea5",
+                    border: "none",
+                    color: "white",
+                    padding: "4px 10px",
+                    borderRadius: "4px",
+                    cursor: "pointer",
+                    fontSize: "11px"
+                });
+                editBtn.textContent = t("edit");
+                editBtn.onclick = () => {
+                    overlay.remove();
+                    this.showBundleEditDialog(index);
+                };
+
+                const delBtn = document.createElement("button");
+                Object.assign(delBtn.style, {
+                    background: "#7a2d2d",
+                    border: "none",
+                    color: "white",
+                    padding: "4px 10px",
+                    borderRadius: "4px",
+                    cursor: "pointer",
+                    fontSize: "11px"
+                });
+                delBtn.textContent = t("delete");
+                delBtn.onclick = () => {
+                    overlay.remove();
+                    bundlesManager.remove(index);
+                    this.showToast(t("deleted"), "success");
+                    this.showManageBundlesDialog();
+                };
+
+                btnGroup.appendChild(editBtn);
+                btnGroup.appendChild(delBtn);
+
+                row.appendChild(info);
+                row.appendChild(btnGroup);
+                content.appendChild(row);
+            });
+        }
+
+        panel.appendChild(content);
+
+        // 底部
+        const footer = document.createElement("div");
+        Object.assign(footer.style, {
+            padding: "12px 20px",
+            borderTop: "1px solid #555",
+            display: "flex",
+            justifyContent: "flex-end"
+        });
+
+        const closeFooterBtn = document.createElement("button");
+        Object.assign(closeFooterBtn.style, {
+            background: "#555",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px"
+        });
+        closeFooterBtn.textContent = t("close");
+        closeFooterBtn.onclick = () => overlay.remove();
+        footer.appendChild(closeFooterBtn);
+
+        panel.appendChild(footer);
+        overlay.appendChild(panel);
+
+        overlay.onclick = (e) => {
+            if (e.target === overlay) overlay.remove();
+        };
+
+        document.body.appendChild(overlay);
+    }
+
+    // 添加自定义预设弹窗
+    showAddCustomPresetDialog(editIndex = -1, editName = "", editValue = "", editNegative = "") {
+        const isEdit = editIndex >= 0;
+
+        const overlay = document.createElement("div");
+        Object.assign(overlay.style, {
+            position: "fixed",
+            top: "0",
+            left: "0",
+            right: "0",
+            bottom: "0",
+            background: "rgba(0,0,0,0.6)",
+            zIndex: "100000",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center"
+        });
+
+        const panel = document.createElement("div");
+        Object.assign(panel.style, {
+            background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
+            borderRadius: "12px",
+            boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
+            width: "450px",
+            padding: "20px",
+            display: "flex",
+            flexDirection: "column",
+            gap: "16px"
+        });
+
+        // 标题
+        const title = document.createElement("h3");
+        Object.assign(title.style, {
+            margin: "0",
+            color: "#fff",
+            fontSize: "16px"
+        });
+        title.textContent = isEdit ? t("editCustomTitle") : t("addCustomTitle");
+        panel.appendChild(title);
+
+        // 名称输入
+        const nameLabel = document.createElement("label");
+        Object.assign(nameLabel.style, { color: "#aaa", fontSize: "13px" });
+        nameLabel.textContent = t("presetName");
+        panel.appendChild(nameLabel);
+
+        const nameInput = document.createElement("input");
+        Object.assign(nameInput.style, {
+            padding: "10px",
+            background: "#2a2a2a",
+            border: "1px solid #555",
+            borderRadius: "6px",
+            color: "#fff",
+            fontSize: "14px"
+        });
+        nameInput.placeholder = t("presetNamePlaceholder");
+        nameInput.value = editName;
+        panel.appendChild(nameInput);
+
+        // 内容输入
+        const valueLabel = document.createElement("label");
+        Object.assign(valueLabel.style, { color: "#aaa", fontSize: "13px" });
+        valueLabel.textContent = t("promptContent");
+        panel.appendChild(valueLabel);
+
+        const valueInput = document.createElement("textarea");
+        Object.assign(valueInput.style, {
+            padding: "10px",
+            background: "#2a2a2a",
+            border: "1px solid #555",
+            borderRadius: "6px",
+            color: "#fff",
+            fontSize: "13px",
+            minHeight: "100px",
+            resize: "vertical",
+            fontFamily: "monospace"
+        });
+        valueInput.placeholder = t("promptPlaceholder");
+        valueInput.value = editValue;
+        panel.appendChild(valueInput);
+
+        // 负向提示词输入（可选）
+        const negativeLabel = document.createElement("label");
+        Object.assign(negativeLabel.style, { color: "#aaa", fontSize: "13px" });
+        negativeLabel.textContent = t("negativeLabel");
+        panel.appendChild(negativeLabel);
+
+        const negativeInput = document.createElement("textarea");
+        Object.assign(negativeInput.style, {
+            padding: "10px",
+            background: "#2a2a2a",
+            border: "1px solid #555",
+            borderRadius: "6px",
+            color: "#fff",
+            fontSize: "13px",
+            minHeight: "50px",
+            resize: "vertical",
+            fontFamily: "monospace"
+        });
+        negativeInput.placeholder = t("negativePlaceholder");
+        negativeInput.value = editNegative;
+        panel.appendChild(negativeInput);
+
+        // 按钮组
+        const buttons = document.createElement("div");
+        Object.assign(buttons.style, {
+            display: "flex",
+            justifyContent: "flex-end",
+            gap: "10px",
+            marginTop: "8px"
+        });
+
+        const cancelBtn = document.createElement("button");
+        Object.assign(cancelBtn.style, {
+            background: "#555",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px"
+        });
+        cancelBtn.textContent = t("cancel");
+        cancelBtn.onclick = () => overlay.remove();
+
+        const saveBtn = document.createElement("button");
+        Object.assign(saveBtn.style, {
+            background: "linear-gradient(135deg, #9b59b6, #8e44ad)",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px",
+            fontWeight: "bold"
+        });
+        saveBtn.textContent = isEdit ? t("saveChanges") : t("addPreset");
+        saveBtn.onclick = () => {
+            const name = nameInput.value.trim();
+            const value = valueInput.value.trim();
+            const negative = negativeInput.value.trim();
+
+            if (!name || !value) {
+                this.showToast(t("presetNeedsNameAndValue"), "warning");
+                return;
+            }
+
+            if (isEdit) {
+                customPresetsManager.update(editIndex, name, value, negative);
+                this.showToast(t("presetUpdated"), "success");
+            } else {
+                customPresetsManager.add(name, value, negative);
+                this.showToast(t("presetAdded"), "success");
+            }
+            overlay.remove();
+        };
+
+        buttons.appendChild(cancelBtn);
+        buttons.appendChild(saveBtn);
+        panel.appendChild(buttons);
+
+        overlay.appendChild(panel);
+        overlay.onclick = (e) => {
+            if (e.target === overlay) overlay.remove();
+        };
+
+        document.body.appendChild(overlay);
+        nameInput.focus();
+    }
+
+    // 管理自定义预设弹窗
+    showManageCustomPresetsDialog() {
+        const overlay = document.createElement("div");
+        Object.assign(overlay.style, {
+            position: "fixed",
+            top: "0",
+            left: "0",
+            right: "0",
+            bottom: "0",
+            background: "rgba(0,0,0,0.6)",
+            zIndex: "100000",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center"
+        });
+
+        const panel = document.createElement("div");
+        Object.assign(panel.style, {
+            background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
+            borderRadius: "12px",
+            boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
+            width: "500px",
+            maxHeight: "70vh",
+            display: "flex",
+            flexDirection: "column",
+            overflow: "hidden"
+        });
+
+        // 头部
+        const header = document.createElement("div");
+        Object.assign(header.style, {
+            padding: "16px 20px",
+            borderBottom: "1px solid #555",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center"
+        });
+        header.innerHTML = `<h3 style="margin:0;color:#fff;font-size:16px;">${t("manageCustomPresets")}</h3>`;
+
+        const closeBtn = document.createElement("button");
+        Object.assign(closeBtn.style, {
+            background: "transparent",
+            border: "none",
+            color: "#888",
+            fontSize: "20px",
+            cursor: "pointer"
+        });
+        closeBtn.innerHTML = "×";
+        closeBtn.onclick = () => overlay.remove();
+        header.appendChild(closeBtn);
+        panel.appendChild(header);
+
+        // 内容区
+        const content = document.createElement("div");
+        Object.assign(content.style, {
+            padding: "16px 20px",
+            overflowY: "auto",
+            flex: "1"
+        });
+
+        const customPresets = customPresetsManager.getAll();
+
+        if (customPresets.length === 0) {
+            content.innerHTML = `<p style="color:#888;text-align:center;margin:40px 0;">${t("noCustomPresets")}</p>`;
+        } else {
+            customPresets.forEach((preset, index) => {
+                const row = document.createElement("div");
+                Object.assign(row.style, {
+                    display: "flex",
+                    alignItems: "flex-start",
+                    gap: "12px",
+                    padding: "12px",
+                    background: "#333",
+                    borderRadius: "8px",
+                    marginBottom: "8px"
+                });
+
+                const info = document.createElement("div");
+                Object.assign(info.style, {
+                    flex: "1",
+                    minWidth: "0"
+                });
+
+                const name = document.createElement("div");
+                Object.assign(name.style, {
+                    color: "#9b59b6",
+                    fontSize: "13px",
+                    fontWeight: "bold",
+                    marginBottom: "4px"
+                });
+                name.textContent = preset.name;
+                info.appendChild(name);
+
+                const value = document.createElement("div");
+                Object.assign(value.style, {
+                    color: "#aaa",
+                    fontSize: "11px",
+                    wordBreak: "break-word",
+                    lineHeight: "1.4"
+                });
+                value.textContent = preset.value.length > 80 ? preset.value.substring(0, 80) + "..." : preset.value;
+                info.appendChild(value);
+
+                const btnGroup = document.createElement("div");
+                Object.assign(btnGroup.style, {
+                    display: "flex",
+                    gap: "6px",
+                    flexShrink: "0"
+                });
+
+                const editBtn = document.createElement("button");
+                Object.assign(editBtn.style, {
+                    background: "#3a6ea5",
+                    border: "none",
+                    color: "white",
+                    padding: "4px 10px",
+                    borderRadius: "4px",
+                    cursor: "pointer",
+                    fontSize: "11px"
+                });
+                editBtn.textContent = t("edit");
+                editBtn.onclick = () => {
+                    overlay.remove();
+                    this.showAddCustomPresetDialog(index, preset.name, preset.value, preset.negative || "");
+                };
+
+                const delBtn = document.createElement("button");
+                Object.assign(delBtn.style, {
+                    background: "#7a2d2d",
+                    border: "none",
+                    color: "white",
+                    padding: "4px 10px",
+                    borderRadius: "4px",
+                    cursor: "pointer",
+                    fontSize: "11px"
+                });
+                delBtn.textContent = t("delete");
+                delBtn.onclick = () => {
+                    customPresetsManager.remove(index);
+                    row.style.opacity = "0.3";
+                    row.style.pointerEvents = "none";
+                    this.showToast(t("deleted"), "success");
+                };
+
+                btnGroup.appendChild(editBtn);
+                btnGroup.appendChild(delBtn);
+
+                row.appendChild(info);
+                row.appendChild(btnGroup);
+                content.appendChild(row);
+            });
+        }
+
+        panel.appendChild(content);
+
+        // 底部（左侧为导入/导出）
+        const footer = document.createElement("div");
+        Object.assign(footer.style, {
+            padding: "12px 20px",
+            borderTop: "1px solid #555",
+            display: "flex",
+            justifyContent: "space-between"
+        });
+        footer.appendChild(this.createLibraryButtons(overlay));
+
+        const closeFooterBtn = document.createElement("button");
+        Object.assign(closeFooterBtn.style, {
+            background: "#555",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px"
+        });
+        closeFooterBtn.textContent = t("close");
+        closeFooterBtn.onclick = () => overlay.remove();
+        footer.appendChild(closeFooterBtn);
+
+        panel.appendChild(footer);
+        overlay.appendChild(panel);
+
+        overlay.onclick = (e) => {
+            if (e.target === overlay) overlay.remove();
+        };
+
+        document.body.appendChild(overlay);
+    }
+
+    // ========================================
+    // 预设库导入/导出
+    // ========================================
+
+    // 导入/导出按钮组（用于自定义预设管理和设置面板底部）
+    createLibraryButtons(parentOverlay) {
+        const group = document.createElement("div");
+        Object.assign(group.style, {
+            display: "flex",
+            gap: "8px"
+        });
+
+        const makeBtn = (label, onClick) => {
+            const btn = document.createElement("button");
+            Object.assign(btn.style, {
+                background: "#3a5a85",
+                border: "none",
+                color: "white",
+                padding: "8px 12px",
+                borderRadius: "6px",
+                cursor: "pointer",
+                fontSize: "12px"
+            });
+            btn.textContent = label;
+            btn.onclick = onClick;
+            return btn;
+        };
+
+        group.appendChild(makeBtn(t("exportLibrary"), () => this.exportLibrary()));
+        group.appendChild(makeBtn(t("importLibrary"), () => {
+            parentOverlay.remove();
+            this.importLibrary();
+        }));
+        return group;
+    }
+
+    exportLibrary() {
+        const data = buildLibraryExport();
+        const blob = new Blob([JSON.stringify(data, null, 4)], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = `prompt_presets_library_${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+        this.showToast(t("exported", { presets: data.customPresets.length, bundles: data.bundles.length }), "success");
+    }
+
+    // 选择文件并校验，通过后显示差异预览
+    importLibrary() {
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = ".json,application/json";
+        input.onchange = async () => {
+            const file = input.files?.[0];
+            if (!file) return;
+
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (e) {
+                this.showToast(t("invalidJsonFile"), "error");
+                return;
+            }
+
+            const { errors, library } = validateLibrary(data);
+            if (errors.length > 0) {
+                console.error("[PromptPresets] Import validation failed:", errors);
+                this.showToast(errors.length > 1 ? t("importFailedMore", { error: errors[0], n: errors.length }) : t("importFailed", { error: errors[0] }), "error");
+                return;
+            }
+            this.showImportPreviewDialog(library);
+        };
+        input.click();
+    }
+
+    // 导入差异预览：选择合并或替换
+    showImportPreviewDialog(library) {
+        const presetDiff = diffByName(customPresetsManager.getAll(), library.customPresets);
+        const bundleDiff = diffByName(bundlesManager.getAll(), library.bundles);
+        const newWhitelist = library.widgetConfig.whitelist.filter(n => !widgetConfigManager.getWhitelist().includes(n));
+        const newBlacklist = library.widgetConfig.blacklist.filter(n => !widgetConfigManager.getBlacklist().includes(n));
+
+        const overlay = document.createElement("div");
+        Object.assign(overlay.style, {
+            position: "fixed",
+            top: "0",
+            left: "0",
+            right: "0",
+            bottom: "0",
+            background: "rgba(0,0,0,0.6)",
+            zIndex: "100000",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center"
+        });
+
+        const panel = document.createElement("div");
+        Object.assign(panel.style, {
+            background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
+            borderRadius: "12px",
+            boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
+            width: "520px",
+            maxHeight: "80vh",
+            display: "flex",
+            flexDirection: "column",
+            overflow: "hidden"
+        });
+
+        // 头部
+        const header = document.createElement("div");
+        Object.assign(header.style, {
+            padding: "16px 20px",
+            borderBottom: "1px solid #555"
+        });
+        header.innerHTML = `<h3 style="margin:0;color:#fff;font-size:16px;">${t("importPreviewTitle")}</h3>`;
+        panel.appendChild(header);
+
+        // 内容区
+        const content = document.createElement("div");
+        Object.assign(content.style, {
+            padding: "16px 20px",
+            overflowY: "auto",
+            flex: "1",
+            color: "#ccc",
+            fontSize: "13px"
+        });
+
+        const addSection = (title, diff) => {
+            const section = document.createElement("div");
+            section.style.marginBottom = "14px";
+
+            const heading = document.createElement("div");
+            Object.assign(heading.style, {
+                color: "#fff",
+                fontWeight: "bold",
+                marginBottom: "6px"
+            });
+            heading.textContent = title;
+            section.appendChild(heading);
+
+            const lines = [
+                ...diff.added.map(item => ({ mark: t("diffAdded"), color: "#6c6", name: item.name })),
+                ...diff.changed.map(item => ({ mark: t("diffChanged"), color: "#e6b450", name: item.name })),
+                ...diff.unchanged.map(item => ({ mark: t("diffUnchanged"), color: "#777", name: item.name }))
+            ];
+            if (lines.length === 0) {
+                lines.push({ mark: t("diffNone"), color: "#777", name: "" });
+            }
+            lines.forEach(line => {
+                const row = document.createElement("div");
+                Object.assign(row.style, {
+                    fontSize: "12px",
+                    padding: "2px 0"
+                });
+                row.innerHTML = `<span style="color:${line.color};display:inline-block;min-width:80px;">${line.mark}</span><span></span>`;
+                row.lastChild.textContent = line.name;
+                section.appendChild(row);
+            });
+            content.appendChild(section);
+        };
+
+        addSection(t("importCustomSection", { n: library.customPresets.length }), presetDiff);
+        addSection(t("importBundleSection", { n: library.bundles.length }), bundleDiff);
+
+        const widgetInfo = document.createElement("div");
+        Object.assign(widgetInfo.style, {
+            fontSize: "12px",
+            color: "#aaa"
+        });
+        widgetInfo.innerHTML = `<div style="color:#fff;font-weight:bold;margin-bottom:6px;">${t("importWidgetSection")}</div>`;
+        const widgetLine = document.createElement("div");
+        widgetLine.textContent = t("importWidgetSummary", { white: newWhitelist.length, black: newBlacklist.length });
+        widgetInfo.appendChild(widgetLine);
+        content.appendChild(widgetInfo);
+
+        const modeHint = document.createElement("p");
+        Object.assign(modeHint.style, {
+            color: "#888",
+            fontSize: "12px",
+            marginTop: "16px",
+            lineHeight: "1.5"
+        });
+        modeHint.innerHTML = t("importModeHint");
+        content.appendChild(modeHint);
+
+        panel.appendChild(content);
+
+        // 底部
+        const footer = document.createElement("div");
+        Object.assign(footer.style, {
+            padding: "12px 20px",
+            borderTop: "1px solid #555",
+            display: "flex",
+            justifyContent: "flex-end",
+            gap: "10px"
+        });
+
+        const makeBtn = (label, background, onClick) => {
+            const btn = document.createElement("button");
+            Object.assign(btn.style, {
+                background,
+                border: "none",
+                color: "white",
+                padding: "8px 16px",
+                borderRadius: "6px",
+                cursor: "pointer",
+                fontSize: "13px"
+            });
+            btn.textContent = label;
+            btn.onclick = onClick;
+            return btn;
+        };
+
+        footer.appendChild(makeBtn(t("cancel"), "#555", () => overlay.remove()));
+        footer.appendChild(makeBtn(t("replace"), "#7a2d2d", () => {
+            overlay.remove();
+            this.applyImportedLibrary(library, "replace");
+        }));
+        footer.appendChild(makeBtn(t("merge"), "linear-gradient(135deg, #2d7a2d, #1d5a1d)", () => {
+            overlay.remove();
+            this.applyImportedLibrary(library, "merge");
+        }));
+
+        panel.appendChild(footer);
+        overlay.appendChild(panel);
+
+        overlay.onclick = (e) => {
+            if (e.target === overlay) overlay.remove();
+        };
+
+        document.body.appendChild(overlay);
+    }
+
+    async applyImportedLibrary(library, mode) {
+        const union = (a, b) => [...a, ...b.filter(n => !a.includes(n))];
+
+        if (mode === "replace") {
+            customPresetsManager.presets = [...library.customPresets];
+            bundlesManager.bundles = [...library.bundles];
+            widgetConfigManager.config = {
+                whitelist: [...library.widgetConfig.whitelist],
+                blacklist: [...library.widgetConfig.blacklist]
             };
-            manageItem.onclick = () => {
-                this.hideAllMenus();
-                this.showManageCustomPresetsDialog();
+        } else {
+            customPresetsManager.presets = mergeByName(customPresetsManager.getAll(), library.customPresets);
+            bundlesManager.bundles = mergeByName(bundlesManager.getAll(), library.bundles);
+            widgetConfigManager.config = {
+                whitelist: union(widgetConfigManager.getWhitelist(), library.widgetConfig.whitelist),
+                blacklist: union(widgetConfigManager.getBlacklist(), library.widgetConfig.blacklist)
             };
-            submenu.appendChild(manageItem);
         }
+        widgetConfigManager.save();
 
-        submenu.onmouseenter = () => this.clearHideTimeout();
-        submenu.onmouseleave = (e) => this.scheduleHideMenu(e);
+        const results = await Promise.all([customPresetsManager.save(), bundlesManager.save()]);
+        if (results.every(Boolean)) {
+            this.showToast(mode === "replace" ? t("importReplaced") : t("importMerged"), "success");
+        } else {
+            this.showToast(t("importSaveFailed"), "error");
+        }
+    }
 
-        document.body.appendChild(submenu);
+    // ========================================
+    // 管理面板
+    // ========================================
 
-        const menuRect = this.mainMenu.getBoundingClientRect();
-        const itemRect = parentItem.getBoundingClientRect();
-        let x = menuRect.left - 290;
-        let y = itemRect.top - 8;
+    showManagePanel() {
+        if (this.managePanel) {
+            this.managePanel.remove();
+        }
 
-        if (x < 10) x = menuRect.right + 10;
-        if (y + 300 > window.innerHeight) y = window.innerHeight - 310;
-        if (y < 10) y = 10;
+        const result = this.getTargetNode();
+        if (result.error === "no_selection") {
+            this.showToast(t("selectNodeFirst"), "warning");
+            return;
+        }
+        if (result.error === "no_text_widget") {
+            this.showToast(t("nodeHasNoTextWidget"), "warning");
+            return;
+        }
+        if (result.error === "all_blacklisted") {
+            this.showToast(t("allWidgetsBlacklisted"), "warning");
+            return;
+        }
 
-        submenu.style.left = x + "px";
-        submenu.style.top = y + "px";
+        const targetNode = result.node;
+        const promptWidget = getPromptWidget(targetNode);
+        if (!promptWidget) {
+            this.showToast(t("promptWidgetNotFound"), "warning");
+            return;
+        }
+
+        const promptText = promptWidget.value || "";
+        const nodeId = targetNode.id;
+
+        // 获取添加历史和智能检测结果
+        const detected = presetsManager.detectPresetsInPrompt(promptText, nodeId, promptWidget.name);
+        const history = presetsManager.getHistory(nodeId, promptWidget.name);
+
+        // 检测用户自定义预设
+        const customPresets = customPresetsManager.getAll();
+        const detectedCustom = [];
+        customPresets.forEach(preset => {
+            // 只识别完整的片段：短的自定义预设（如 "red"）不匹配 "red cat"
+            const actualValue = [markValue(preset.value), preset.value].find(value => findValueSpan(promptText, value));
+            if (actualValue) {
+                detectedCustom.push({
+                    name: preset.name,
+                    value: preset.value,
+                    actualValue: actualValue,
+                    isCustomPreset: true
+                });
+            }
+        });
+
+        // 合并去重
+        const itemsMap = new Map();
+
+        // 历史记录优先（包含自定义名称的）
+        history.forEach(historyItem => {
+            if (findValueSpan(promptText, historyItem.value)) {
+                itemsMap.set(historyItem.value, {
+                    value: historyItem.value,
+                    originalValue: historyItem.value,
+                    customName: historyItem.customName,
+                    source: "history"
+                });
+            }
+        });
+
+        // 智能检测的预设（如果不在历史中才添加）
+        // 获取历史中所有的值，用于检查包含关系
+        const historyValues = history.map(h => h.value);
+
+        detected.forEach(preset => {
+            // 使用 actualValue（带【】标记的值）作为 key
+            const valueKey = preset.actualValue || preset.value;
+
+            // 跳过已经在 itemsMap 中的
+            if (itemsMap.has(valueKey)) {
+                // 补充名称信息（如果历史中的项没有自定义名称）
+                const item = itemsMap.get(valueKey);
+                if (!item.customName) {
+                    item.name = preset.name;
+                    item.category = preset.category;
+                }
+                return;
+            }
+
+            // 跳过：如果预设值是历史中某个自定义值中的一个片段
+            // 这处理了用户编辑预设（添加/修改文本）后，原始预设仍被检测到的问题
+            const isSubstringOfHistory = historyValues.some(histVal =>
+                histVal !== valueKey && findValueSpan(histVal, valueKey)
+            );
+            if (isSubstringOfHistory) {
+                return; // 跳过这个预设，因为它是某个自定义预设的子串
+            }
+
+            itemsMap.set(valueKey, {
+                value: valueKey,
+                originalValue: valueKey,
+                name: preset.name,
+                category: preset.category,
+                source: "detected"
+            });
+        });
+
+        // 处理用户自定义预设
+        detectedCustom.forEach(preset => {
+            const valueKey = preset.actualValue || preset.value;
+
+            if (itemsMap.has(valueKey)) {
+                // 补充名称信息
+                const item = itemsMap.get(valueKey);
+                if (!item.name) {
+                    item.name = preset.name;
+                    item.isCustomPreset = true;
+                }
+                return;
+            }
 
-        requestAnimationFrame(() => {
-            submenu.style.opacity = "1";
-            submenu.style.transform = "translateX(0)";
+            itemsMap.set(valueKey, {
+                value: valueKey,
+                originalValue: valueKey,
+                name: preset.name,
+                isCustomPreset: true,
+                source: "detected"
+            });
         });
 
-        this.subMenu = submenu;
-    }
-
-    // 添加自定义预设弹窗
-    showAddCustomPresetDialog(editIndex = -1, editName = "", editValue = "") {
-        const isEdit = editIndex >= 0;
+        const items = Array.from(itemsMap.values());
 
+        // 创建面板
         const overlay = document.createElement("div");
         Object.assign(overlay.style, {
             position: "fixed",
@@ -1133,75 +6802,403 @@ class PromptPresetsUI {
             background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
             borderRadius: "12px",
             boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
-            width: "450px",
-            padding: "20px",
+            width: "600px",
+            maxHeight: "80vh",
             display: "flex",
             flexDirection: "column",
-            gap: "16px"
+            overflow: "hidden"
         });
 
-        // 标题
-        const title = document.createElement("h3");
-        Object.assign(title.style, {
-            margin: "0",
-            color: "#fff",
-            fontSize: "16px"
+        // 头部
+        const header = document.createElement("div");
+        Object.assign(header.style, {
+            padding: "16px 20px",
+            borderBottom: "1px solid #555",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center"
         });
-        title.textContent = isEdit ? "✏️ 编辑自定义预设" : "✨ 添加自定义预设";
-        panel.appendChild(title);
+        header.innerHTML = `<h3 style="margin:0;color:#fff;font-size:16px;">${t("manageTitle")}</h3>`;
 
-        // 名称输入
-        const nameLabel = document.createElement("label");
-        Object.assign(nameLabel.style, { color: "#aaa", fontSize: "13px" });
-        nameLabel.textContent = "预设名称";
-        panel.appendChild(nameLabel);
+        const closeBtn = document.createElement("button");
+        Object.assign(closeBtn.style, {
+            background: "transparent",
+            border: "none",
+            color: "#888",
+            fontSize: "20px",
+            cursor: "pointer"
+        });
+        closeBtn.innerHTML = "×";
+        closeBtn.onclick = () => overlay.remove();
+        header.appendChild(closeBtn);
+        panel.appendChild(header);
 
-        const nameInput = document.createElement("input");
-        Object.assign(nameInput.style, {
-            padding: "10px",
-            background: "#2a2a2a",
-            border: "1px solid #555",
-            borderRadius: "6px",
-            color: "#fff",
-            fontSize: "14px"
+        // 内容区
+        const content = document.createElement("div");
+        Object.assign(content.style, {
+            padding: "16px 20px",
+            overflowY: "auto",
+            flex: "1"
         });
-        nameInput.placeholder = "例如：我的风格";
-        nameInput.value = editName;
-        panel.appendChild(nameInput);
 
-        // 内容输入
-        const valueLabel = document.createElement("label");
-        Object.assign(valueLabel.style, { color: "#aaa", fontSize: "13px" });
-        valueLabel.textContent = "提示词内容";
-        panel.appendChild(valueLabel);
+        const editedItems = [];
 
-        const valueInput = document.createElement("textarea");
-        Object.assign(valueInput.style, {
-            padding: "10px",
+        if (items.length === 0) {
+            content.innerHTML = `<p style="color:#888;text-align:center;margin:40px 0;">${t("noneDetected")}</p>`;
+        } else {
+            const hint = document.createElement("p");
+            Object.assign(hint.style, {
+                color: "#888",
+                fontSize: "12px",
+                marginBottom: "12px"
+            });
+            hint.textContent = t("detectedHint", { n: items.length });
+            content.appendChild(hint);
+
+            items.forEach((item, index) => {
+                const row = document.createElement("div");
+                Object.assign(row.style, {
+                    padding: "12px",
+                    background: "#333",
+                    borderRadius: "8px",
+                    marginBottom: "10px"
+                });
+
+                // 标题行
+                const titleRow = document.createElement("div");
+                Object.assign(titleRow.style, {
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    marginBottom: "8px"
+                });
+
+                const nameLabel = document.createElement("span");
+                Object.assign(nameLabel.style, {
+                    color: "#5ab0ff",
+                    fontSize: "13px",
+                    fontWeight: "bold"
+                });
+                nameLabel.textContent = item.customName || (item.isCustomPreset ? item.name : displayPresetName(item.name)) || t("presetFallbackName", { n: index + 1 });
+                titleRow.appendChild(nameLabel);
+
+                const delBtn = document.createElement("button");
+                Object.assign(delBtn.style, {
+                    background: "#7a2d2d",
+                    border: "none",
+                    color: "white",
+                    padding: "4px 10px",
+                    borderRadius: "4px",
+                    cursor: "pointer",
+                    fontSize: "11px"
+                });
+                delBtn.textContent = t("deleteWithIcon");
+                delBtn.onmouseenter = () => delBtn.style.background = "#9a3d3d";
+                delBtn.onmouseleave = () => delBtn.style.background = "#7a2d2d";
+                delBtn.onclick = () => {
+                    // 使用当前文本框中的值（用户可能已编辑）
+                    this.removeFromPrompt(promptWidget, item.value, nodeId);
+                    row.style.opacity = "0.3";
+                    row.style.pointerEvents = "none";
+                    item._deleted = true;
+                };
+                titleRow.appendChild(delBtn);
+
+                row.appendChild(titleRow);
+
+                // 权重滑块（仅带标记或无标记模式下由历史跟踪的预设），拖动后原地改写 (【…】:权重)
+                const isMarked = isMarkedValue(item.originalValue) || (getMarkerMode() === "none" && item.source === "history");
+                if (isMarked) {
+                    const weightRow = document.createElement("div");
+                    Object.assign(weightRow.style, {
+                        display: "flex",
+                        alignItems: "center",
+                        gap: "10px",
+                        marginBottom: "8px"
+                    });
+
+                    const weightLabel = document.createElement("span");
+                    Object.assign(weightLabel.style, {
+                        color: "#888",
+                        fontSize: "12px"
+                    });
+                    weightLabel.textContent = t("weight");
+
+                    const currentWeight = findValueSpan(promptText, item.originalValue)?.weight || 1;
+                    const slider = document.createElement("input");
+                    slider.type = "range";
+                    slider.min = "0.1";
+                    slider.max = "2";
+                    slider.step = "0.05";
+                    slider.value = String(currentWeight);
+                    slider.style.flex = "1";
+
+                    const weightValue = document.createElement("span");
+                    Object.assign(weightValue.style, {
+                        color: "#ddd",
+                        fontSize: "12px",
+                        fontFamily: "monospace",
+                        minWidth: "36px",
+                        textAlign: "right"
+                    });
+                    weightValue.textContent = formatWeight(currentWeight);
+
+                    slider.oninput = () => {
+                        weightValue.textContent = formatWeight(parseFloat(slider.value));
+                    };
+                    slider.onchange = () => {
+                        undoManager.begin(targetNode, promptWidget);
+                        try {
+                            promptWidget.value = setSpanWeight(promptWidget.value || "", item.originalValue, parseFloat(slider.value));
+                            if (promptWidget.callback) {
+                                promptWidget.callback(promptWidget.value);
+                            }
+                        } finally {
+                            undoManager.commit(t("opAdjustWeight"));
+                        }
+                        app.graph.setDirtyCanvas(true, true);
+                    };
+
+                    weightRow.appendChild(weightLabel);
+                    weightRow.appendChild(slider);
+                    weightRow.appendChild(weightValue);
+                    row.appendChild(weightRow);
+                }
+
+                // 可编辑文本框
+                const textarea = document.createElement("textarea");
+                Object.assign(textarea.style, {
+                    width: "100%",
+                    minHeight: "60px",
+                    padding: "10px",
+                    background: "#2a2a2a",
+                    border: "1px solid #555",
+                    borderRadius: "6px",
+                    color: "#ddd",
+                    fontSize: "12px",
+                    lineHeight: "1.5",
+                    resize: "vertical",
+                    fontFamily: "monospace",
+                    boxSizing: "border-box"
+                });
+                textarea.value = item.value;
+                textarea.oninput = () => {
+                    item.value = textarea.value;
+                    item._modified = (item.value !== item.originalValue);
+                    // 视觉反馈
+                    if (item._modified) {
+                        textarea.style.borderColor = "#5ab0ff";
+                    } else {
+                        textarea.style.borderColor = "#555";
+                    }
+                };
+                textarea.onfocus = () => {
+                    textarea.style.borderColor = "#5ab0ff";
+                    textarea.style.outline = "none";
+                };
+                textarea.onblur = () => {
+                    if (!item._modified) {
+                        textarea.style.borderColor = "#555";
+                    }
+                };
+
+                row.appendChild(textarea);
+                content.appendChild(row);
+
+                editedItems.push(item);
+            });
+        }
+
+        panel.appendChild(content);
+
+        // 底部
+        const footer = document.createElement("div");
+        Object.assign(footer.style, {
+            padding: "12px 20px",
+            borderTop: "1px solid #555",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            gap: "10px"
+        });
+
+        // 左侧按钮组
+        const leftBtns = document.createElement("div");
+        Object.assign(leftBtns.style, {
+            display: "flex",
+            alignItems: "center",
+            gap: "10px"
+        });
+
+        if (items.length > 0) {
+            const deleteAllBtn = document.createElement("button");
+            Object.assign(deleteAllBtn.style, {
+                background: "#7a2d2d",
+                border: "none",
+                color: "white",
+                padding: "8px 14px",
+                borderRadius: "6px",
+                cursor: "pointer",
+                fontSize: "12px"
+            });
+            deleteAllBtn.textContent = t("deleteAll");
+            deleteAllBtn.onclick = () => {
+                undoManager.begin(targetNode, promptWidget);
+                try {
+                    items.forEach(item => {
+                        if (!item._deleted) {
+                            // 使用当前文本框中的值
+                            this.removeFromPrompt(promptWidget, item.value, nodeId, false);
+                        }
+                    });
+                } finally {
+                    undoManager.commit(t("opDeleteAll"));
+                }
+                this.showToast(t("deletedAll"), "success", this.undoAction());
+                overlay.remove();
+            };
+            leftBtns.appendChild(deleteAllBtn);
+        }
+
+        // 单个节点关闭“提交时移除标记符”
+        if (getMarkerMode() !== "none" && getSetting(SETTING_IDS.stripOnQueue, true)) {
+            const keepLabel = document.createElement("label");
+            Object.assign(keepLabel.style, {
+                display: "flex",
+                alignItems: "center",
+                gap: "6px",
+                color: "#aaa",
+                fontSize: "12px",
+                cursor: "pointer"
+            });
+            keepLabel.title = t("keepMarkersTooltip");
+            const keepCheckbox = document.createElement("input");
+            keepCheckbox.type = "checkbox";
+            keepCheckbox.checked = !!targetNode.properties?.[KEEP_MARKERS_PROPERTY];
+            keepCheckbox.onchange = () => {
+                targetNode.properties = targetNode.properties || {};
+                if (keepCheckbox.checked) {
+                    targetNode.properties[KEEP_MARKERS_PROPERTY] = true;
+                } else {
+                    delete targetNode.properties[KEEP_MARKERS_PROPERTY];
+                }
+                app.graph.setDirtyCanvas(true, true);
+            };
+            keepLabel.appendChild(keepCheckbox);
+            keepLabel.appendChild(document.createTextNode(t("keepMarkers")));
+            leftBtns.appendChild(keepLabel);
+        }
+
+        // 该节点使用的排序方案
+        const profileSelect = document.createElement("select");
+        Object.assign(profileSelect.style, {
+            padding: "6px 8px",
             background: "#2a2a2a",
             border: "1px solid #555",
             borderRadius: "6px",
             color: "#fff",
-            fontSize: "13px",
-            minHeight: "100px",
-            resize: "vertical",
-            fontFamily: "monospace"
+            fontSize: "12px",
+            maxWidth: "180px"
         });
-        valueInput.placeholder = "例如：cinematic lighting, soft shadows, warm tones";
-        valueInput.value = editValue;
-        panel.appendChild(valueInput);
+        profileSelect.title = t("nodeProfileTooltip");
+        const currentProfile = targetNode.properties?.[PROFILE_PROPERTY] || "";
+        [
+            { value: "", text: t("nodeProfileGlobal") },
+            { value: AUTO_PROFILE_ID, text: t("profileAuto") },
+            ...profileManager.getAll().map(p => ({ value: p.id, text: displayProfileName(p) }))
+        ].forEach(option => {
+            const el = document.createElement("option");
+            el.value = option.value;
+            el.textContent = option.text;
+            el.selected = option.value === currentProfile;
+            profileSelect.appendChild(el);
+        });
+        profileSelect.onchange = () => {
+            targetNode.properties = targetNode.properties || {};
+            if (profileSelect.value) {
+                targetNode.properties[PROFILE_PROPERTY] = profileSelect.value;
+            } else {
+                delete targetNode.properties[PROFILE_PROPERTY];
+            }
+            app.graph.setDirtyCanvas(true, true);
+        };
+        leftBtns.appendChild(profileSelect);
 
-        // 按钮组
-        const buttons = document.createElement("div");
-        Object.assign(buttons.style, {
+        footer.appendChild(leftBtns);
+
+        // 右侧按钮组
+        const rightBtns = document.createElement("div");
+        Object.assign(rightBtns.style, {
             display: "flex",
-            justifyContent: "flex-end",
-            gap: "10px",
-            marginTop: "8px"
+            gap: "10px"
         });
 
-        const cancelBtn = document.createElement("button");
-        Object.assign(cancelBtn.style, {
+        if (items.length > 0) {
+            const applyBtn = document.createElement("button");
+            Object.assign(applyBtn.style, {
+                background: "linear-gradient(135deg, #2d7a2d, #1d5a1d)",
+                border: "none",
+                color: "white",
+                padding: "8px 16px",
+                borderRadius: "6px",
+                cursor: "pointer",
+                fontSize: "13px",
+                fontWeight: "bold"
+            });
+            applyBtn.textContent = t("applyChanges");
+            applyBtn.onmouseenter = () => applyBtn.style.background = "linear-gradient(135deg, #3d8a3d, #2d6a2d)";
+            applyBtn.onmouseleave = () => applyBtn.style.background = "linear-gradient(135deg, #2d7a2d, #1d5a1d)";
+            applyBtn.onclick = () => {
+                undoManager.begin(targetNode, promptWidget);
+                let text = promptWidget.value || "";
+                let changeCount = 0;
+                try {
+                    editedItems.forEach(item => {
+                        if (item._deleted) return;
+                        if (item._modified && item.value !== item.originalValue) {
+                            // 替换原始值为编辑后的值（保留权重包裹；清空时连同包裹一起移除）
+                            const found = findValueSpan(text, item.originalValue);
+                            if (found) {
+                                text = replaceSpan(text, found, item.value.trim() ? found.span.replace(item.originalValue, item.value) : "");
+                                changeCount++;
+
+                                // 先删除原始条目
+                                presetsManager.removeFromHistory(nodeId, item.originalValue, promptWidget.name);
+
+                                // 再添加新条目（带自定义名称）
+                                if (item.value.trim()) {
+                                    const customName = presetsManager.nextCustomName(nodeId);
+                                    presetsManager.recordAdded(nodeId, item.value, customName, null, null, promptWidget.name);
+                                    item.customName = customName;
+                                }
+                            }
+                        }
+                    });
+
+                    // 清理多余逗号
+                    text = cleanupSeparators(text);
+
+                    promptWidget.value = text;
+                    if (promptWidget.callback) {
+                        promptWidget.callback(promptWidget.value);
+                    }
+                } finally {
+                    undoManager.commit(t("opApplyChanges"));
+                }
+                app.graph.setDirtyCanvas(true, true);
+
+                if (changeCount > 0) {
+                    this.showToast(t("changesApplied", { n: changeCount }), "success", this.undoAction());
+                } else {
+                    this.showToast(t("noChanges"), "info");
+                }
+                overlay.remove();
+            };
+            rightBtns.appendChild(applyBtn);
+        }
+
+        const closeFooterBtn = document.createElement("button");
+        Object.assign(closeFooterBtn.style, {
             background: "#555",
             border: "none",
             color: "white",
@@ -1210,55 +7207,27 @@ class PromptPresetsUI {
             cursor: "pointer",
             fontSize: "13px"
         });
-        cancelBtn.textContent = "取消";
-        cancelBtn.onclick = () => overlay.remove();
-
-        const saveBtn = document.createElement("button");
-        Object.assign(saveBtn.style, {
-            background: "linear-gradient(135deg, #9b59b6, #8e44ad)",
-            border: "none",
-            color: "white",
-            padding: "8px 16px",
-            borderRadius: "6px",
-            cursor: "pointer",
-            fontSize: "13px",
-            fontWeight: "bold"
-        });
-        saveBtn.textContent = isEdit ? "保存修改" : "添加预设";
-        saveBtn.onclick = () => {
-            const name = nameInput.value.trim();
-            const value = valueInput.value.trim();
-
-            if (!name || !value) {
-                this.showToast("请填写名称和内容", "warning");
-                return;
-            }
-
-            if (isEdit) {
-                customPresetsManager.update(editIndex, name, value);
-                this.showToast("✓ 预设已更新", "success");
-            } else {
-                customPresetsManager.add(name, value);
-                this.showToast("✓ 预设已添加", "success");
-            }
-            overlay.remove();
-        };
-
-        buttons.appendChild(cancelBtn);
-        buttons.appendChild(saveBtn);
-        panel.appendChild(buttons);
+        closeFooterBtn.textContent = t("close");
+        closeFooterBtn.onclick = () => overlay.remove();
+        rightBtns.appendChild(closeFooterBtn);
 
+        footer.appendChild(rightBtns);
+        panel.appendChild(footer);
         overlay.appendChild(panel);
+
         overlay.onclick = (e) => {
             if (e.target === overlay) overlay.remove();
         };
 
         document.body.appendChild(overlay);
-        nameInput.focus();
+        this.managePanel = overlay;
     }
 
-    // 管理自定义预设弹窗
-    showManageCustomPresetsDialog() {
+    // ========================================
+    // 设置面板（白名单/黑名单管理）
+    // ========================================
+
+    showSettingsPanel() {
         const overlay = document.createElement("div");
         Object.assign(overlay.style, {
             position: "fixed",
@@ -1278,8 +7247,8 @@ class PromptPresetsUI {
             background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
             borderRadius: "12px",
             boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
-            width: "500px",
-            maxHeight: "70vh",
+            width: "550px",
+            maxHeight: "80vh",
             display: "flex",
             flexDirection: "column",
             overflow: "hidden"
@@ -1294,7 +7263,7 @@ class PromptPresetsUI {
             justifyContent: "space-between",
             alignItems: "center"
         });
-        header.innerHTML = `<h3 style="margin:0;color:#fff;font-size:16px;">✏️ 管理自定义预设</h3>`;
+        header.innerHTML = `<h3 style="margin:0;color:#fff;font-size:16px;">${t("settingsTitle")}</h3>`;
 
         const closeBtn = document.createElement("button");
         Object.assign(closeBtn.style, {
@@ -1309,6 +7278,45 @@ class PromptPresetsUI {
         header.appendChild(closeBtn);
         panel.appendChild(header);
 
+        // 标签页
+        const tabs = document.createElement("div");
+        Object.assign(tabs.style, {
+            display: "flex",
+            borderBottom: "1px solid #444"
+        });
+
+        let activeTab = "whitelist";
+
+        const createTab = (id, label) => {
+            const tab = document.createElement("button");
+            Object.assign(tab.style, {
+                flex: "1",
+                padding: "12px",
+                background: "transparent",
+                border: "none",
+                color: id === activeTab ? "#5ab0ff" : "#888",
+                fontSize: "13px",
+                cursor: "pointer",
+                borderBottom: id === activeTab ? "2px solid #5ab0ff" : "2px solid transparent",
+                transition: "all 0.15s"
+            });
+            tab.textContent = label;
+            tab.onclick = () => {
+                activeTab = id;
+                renderContent();
+            };
+            return tab;
+        };
+
+        const tabButtons = {
+            whitelist: createTab("whitelist", t("whitelistTab")),
+            blacklist: createTab("blacklist", t("blacklistTab")),
+            tiers: createTab("tiers", t("tiersTab")),
+            profiles: createTab("profiles", t("profilesTab"))
+        };
+        Object.values(tabButtons).forEach(tab => tabs.appendChild(tab));
+        panel.appendChild(tabs);
+
         // 内容区
         const content = document.createElement("div");
         Object.assign(content.style, {
@@ -1316,110 +7324,168 @@ class PromptPresetsUI {
             overflowY: "auto",
             flex: "1"
         });
+        panel.appendChild(content);
 
-        const customPresets = customPresetsManager.getAll();
+        const renderContent = () => {
+            // 更新标签样式
+            Object.entries(tabButtons).forEach(([id, tab]) => {
+                tab.style.color = activeTab === id ? "#5ab0ff" : "#888";
+                tab.style.borderBottom = activeTab === id ? "2px solid #5ab0ff" : "2px solid transparent";
+            });
 
-        if (customPresets.length === 0) {
-            content.innerHTML = `<p style="color:#888;text-align:center;margin:40px 0;">暂无自定义预设</p>`;
-        } else {
-            customPresets.forEach((preset, index) => {
-                const row = document.createElement("div");
-                Object.assign(row.style, {
-                    display: "flex",
-                    alignItems: "flex-start",
-                    gap: "12px",
-                    padding: "12px",
-                    background: "#333",
-                    borderRadius: "8px",
-                    marginBottom: "8px"
-                });
+            content.innerHTML = "";
 
-                const info = document.createElement("div");
-                Object.assign(info.style, {
-                    flex: "1",
-                    minWidth: "0"
-                });
+            if (activeTab === "tiers") {
+                this.renderTierEditor(content, renderContent);
+                return;
+            }
+            if (activeTab === "profiles") {
+                this.renderProfileEditor(content, renderContent);
+                return;
+            }
 
-                const name = document.createElement("div");
-                Object.assign(name.style, {
-                    color: "#9b59b6",
-                    fontSize: "13px",
-                    fontWeight: "bold",
-                    marginBottom: "4px"
-                });
-                name.textContent = preset.name;
-                info.appendChild(name);
+            const isWhitelist = activeTab === "whitelist";
+            const items = isWhitelist ? widgetConfigManager.getWhitelist() : widgetConfigManager.getBlacklist();
+            const builtinNames = BUILTIN_PROMPT_WIDGET_NAMES;
 
-                const value = document.createElement("div");
-                Object.assign(value.style, {
-                    color: "#aaa",
-                    fontSize: "11px",
-                    wordBreak: "break-word",
-                    lineHeight: "1.4"
-                });
-                value.textContent = preset.value.length > 80 ? preset.value.substring(0, 80) + "..." : preset.value;
-                info.appendChild(value);
+            // 说明
+            const desc = document.createElement("p");
+            Object.assign(desc.style, {
+                color: "#aaa",
+                fontSize: "12px",
+                marginBottom: "16px",
+                lineHeight: "1.5"
+            });
+            if (isWhitelist) {
+                desc.innerHTML = t("whitelistDesc", { names: `<code style="background:#444;padding:2px 6px;border-radius:3px;color:#5ab0ff;">${builtinNames.join(", ")}</code>` });
+            } else {
+                desc.innerHTML = t("blacklistDesc");
+            }
+            content.appendChild(desc);
 
-                const btnGroup = document.createElement("div");
-                Object.assign(btnGroup.style, {
-                    display: "flex",
-                    gap: "6px",
-                    flexShrink: "0"
-                });
+            // 添加输入框
+            const addRow = document.createElement("div");
+            Object.assign(addRow.style, {
+                display: "flex",
+                gap: "8px",
+                marginBottom: "16px"
+            });
 
-                const editBtn = document.createElement("button");
-                Object.assign(editBtn.style, {
-                    background: "#3a6ea5",
-                    border: "none",
-                    color: "white",
-                    padding: "4px 10px",
-                    borderRadius: "4px",
-                    cursor: "pointer",
-                    fontSize: "11px"
-                });
-                editBtn.textContent = "编辑";
-                editBtn.onclick = () => {
-                    overlay.remove();
-                    this.showAddCustomPresetDialog(index, preset.name, preset.value);
-                };
+            const input = document.createElement("input");
+            Object.assign(input.style, {
+                flex: "1",
+                padding: "10px",
+                background: "#2a2a2a",
+                border: "1px solid #555",
+                borderRadius: "6px",
+                color: "#fff",
+                fontSize: "13px"
+            });
+            input.placeholder = t("widgetNamePlaceholder");
+
+            const addBtn = document.createElement("button");
+            Object.assign(addBtn.style, {
+                background: isWhitelist ? "linear-gradient(135deg, #3a6ea5, #2a5a85)" : "linear-gradient(135deg, #7a3a3a, #5a2a2a)",
+                border: "none",
+                color: "white",
+                padding: "10px 16px",
+                borderRadius: "6px",
+                cursor: "pointer",
+                fontSize: "13px"
+            });
+            addBtn.textContent = t("add");
+            addBtn.onclick = () => {
+                const name = input.value.trim();
+                if (!name) {
+                    this.showToast(t("enterWidgetName"), "warning");
+                    return;
+                }
+                const success = isWhitelist
+                    ? widgetConfigManager.addToWhitelist(name)
+                    : widgetConfigManager.addToBlacklist(name);
+                if (success) {
+                    this.showToast(isWhitelist ? t("addedToWhitelist") : t("addedToBlacklist"), "success");
+                    input.value = "";
+                    renderContent();
+                } else {
+                    this.showToast(t("nameExists"), "warning");
+                }
+            };
 
-                const delBtn = document.createElement("button");
-                Object.assign(delBtn.style, {
-                    background: "#7a2d2d",
-                    border: "none",
-                    color: "white",
-                    padding: "4px 10px",
-                    borderRadius: "4px",
-                    cursor: "pointer",
-                    fontSize: "11px"
+            addRow.appendChild(input);
+            addRow.appendChild(addBtn);
+            content.appendChild(addRow);
+
+            // 列表
+            if (items.length === 0) {
+                const empty = document.createElement("p");
+                Object.assign(empty.style, {
+                    color: "#666",
+                    textAlign: "center",
+                    padding: "30px 0"
                 });
-                delBtn.textContent = "删除";
-                delBtn.onclick = () => {
-                    customPresetsManager.remove(index);
-                    row.style.opacity = "0.3";
-                    row.style.pointerEvents = "none";
-                    this.showToast("✓ 已删除", "success");
-                };
+                empty.textContent = isWhitelist ? t("whitelistEmpty") : t("blacklistEmpty");
+                content.appendChild(empty);
+            } else {
+                items.forEach((name, index) => {
+                    const row = document.createElement("div");
+                    Object.assign(row.style, {
+                        display: "flex",
+                        alignItems: "center",
+                        justifyContent: "space-between",
+                        padding: "10px 12px",
+                        background: "#333",
+                        borderRadius: "6px",
+                        marginBottom: "6px"
+                    });
 
-                btnGroup.appendChild(editBtn);
-                btnGroup.appendChild(delBtn);
+                    const label = document.createElement("span");
+                    Object.assign(label.style, {
+                        color: isWhitelist ? "#5ab0ff" : "#ff7a7a",
+                        fontSize: "13px",
+                        fontFamily: "monospace"
+                    });
+                    label.textContent = name;
 
-                row.appendChild(info);
-                row.appendChild(btnGroup);
-                content.appendChild(row);
-            });
-        }
+                    const delBtn = document.createElement("button");
+                    Object.assign(delBtn.style, {
+                        background: "#7a2d2d",
+                        border: "none",
+                        color: "white",
+                        padding: "4px 10px",
+                        borderRadius: "4px",
+                        cursor: "pointer",
+                        fontSize: "11px"
+                    });
+                    delBtn.textContent = t("delete");
+                    delBtn.onclick = () => {
+                        const success = isWhitelist
+                            ? widgetConfigManager.removeFromWhitelist(name)
+                            : widgetConfigManager.removeFromBlacklist(name);
+                        if (success) {
+                            this.showToast(t("deleted"), "success");
+                            renderContent();
+                        }
+                    };
 
-        panel.appendChild(content);
+                    row.appendChild(label);
+                    row.appendChild(delBtn);
+                    content.appendChild(row);
+                });
+            }
+        };
 
-        // 底部
+        renderContent();
+
+        // 底部（左侧为导入/导出）
         const footer = document.createElement("div");
         Object.assign(footer.style, {
             padding: "12px 20px",
             borderTop: "1px solid #555",
             display: "flex",
-            justifyContent: "flex-end"
+            justifyContent: "space-between"
         });
+        footer.appendChild(this.createLibraryButtons(overlay));
 
         const closeFooterBtn = document.createElement("button");
         Object.assign(closeFooterBtn.style, {
@@ -1431,7 +7497,7 @@ class PromptPresetsUI {
             cursor: "pointer",
             fontSize: "13px"
         });
-        closeFooterBtn.textContent = "关闭";
+        closeFooterBtn.textContent = t("close");
         closeFooterBtn.onclick = () => overlay.remove();
         footer.appendChild(closeFooterBtn);
 
@@ -1445,137 +7511,448 @@ class PromptPresetsUI {
         document.body.appendChild(overlay);
     }
 
-    // ========================================
-    // 管理面板
-    // ========================================
-
-    showManagePanel() {
-        if (this.managePanel) {
-            this.managePanel.remove();
-        }
+    // 设置面板中的小按钮（上移、下移、删除等）
+    createSmallButton(label, background, onClick, disabled = false) {
+        const btn = document.createElement("button");
+        Object.assign(btn.style, {
+            background,
+            border: "none",
+            color: "white",
+            padding: "4px 8px",
+            borderRadius: "4px",
+            cursor: disabled ? "default" : "pointer",
+            fontSize: "11px",
+            opacity: disabled ? "0.3" : "1"
+        });
+        btn.textContent = label;
+        btn.disabled = disabled;
+        btn.onclick = onClick;
+        return btn;
+    }
 
-        const result = this.getTargetNode();
-        if (result.error === "no_selection") {
-            this.showToast("请先选中一个节点", "warning");
-            return;
-        }
-        if (result.error === "no_text_widget") {
-            this.showToast("选中的节点没有文本输入框", "warning");
-            return;
-        }
-        if (result.error === "all_blacklisted") {
-            this.showToast("选中节点的文本框都在黑名单中", "warning");
-            return;
-        }
+    // 排序层级编辑器：层级的顺序、名称、默认层级，以及各分组的层级覆盖
+    renderTierEditor(content, rerender) {
+        const desc = document.createElement("p");
+        Object.assign(desc.style, {
+            color: "#aaa",
+            fontSize: "12px",
+            marginBottom: "16px",
+            lineHeight: "1.5"
+        });
+        desc.innerHTML = t("tiersDesc");
+        content.appendChild(desc);
+
+        // 层级列表（顺序即排序顺序）
+        const slots = tierManager.getSlots();
+        slots.forEach((slot, index) => {
+            const isUser = slot.id === USER_TIER_ID;
+            const row = document.createElement("div");
+            Object.assign(row.style, {
+                display: "flex",
+                alignItems: "center",
+                gap: "8px",
+                padding: "8px 12px",
+                background: isUser ? "#2d4a2d" : "#333",
+                borderRadius: "6px",
+                marginBottom: "6px"
+            });
 
-        const targetNode = result.node;
-        const promptWidget = getPromptWidget(targetNode);
-        if (!promptWidget) {
-            this.showToast("未找到提示词输入框", "warning");
-            return;
-        }
+            const rank = document.createElement("span");
+            Object.assign(rank.style, {
+                color: "#888",
+                fontSize: "12px",
+                width: "20px"
+            });
+            rank.textContent = index + 1;
+            row.appendChild(rank);
 
-        const promptText = promptWidget.value || "";
-        const nodeId = targetNode.id;
+            const nameInput = document.createElement("input");
+            Object.assign(nameInput.style, {
+                flex: "1",
+                padding: "6px 8px",
+                background: "#2a2a2a",
+                border: "1px solid #555",
+                borderRadius: "4px",
+                color: isUser ? "#7ad67a" : "#fff",
+                fontSize: "13px"
+            });
+            nameInput.value = displayTierName(slot);
+            nameInput.onchange = () => {
+                const name = nameInput.value.trim();
+                // 内置层级清空名称时恢复默认名称
+                if (!name && !tierManager.isBuiltin(slot.id)) {
+                    nameInput.value = displayTierName(slot);
+                    return;
+                }
+                tierManager.renameTier(slot.id, name);
+                rerender();
+            };
+            row.appendChild(nameInput);
+
+            row.appendChild(this.createSmallButton("↑", "#555", () => {
+                tierManager.moveTier(slot.id, -1);
+                rerender();
+            }, index === 0));
+            row.appendChild(this.createSmallButton("↓", "#555", () => {
+                tierManager.moveTier(slot.id, 1);
+                rerender();
+            }, index === slots.length - 1));
+
+            const builtin = tierManager.isBuiltin(slot.id);
+            row.appendChild(this.createSmallButton(t("delete"), "#7a2d2d", () => {
+                if (tierManager.removeTier(slot.id)) {
+                    this.showToast(t("deleted"), "success");
+                    rerender();
+                }
+            }, builtin));
 
-        // 获取添加历史和智能检测结果
-        const history = presetsManager.getHistory(nodeId);
-        const detected = presetsManager.detectPresetsInPrompt(promptText);
+            content.appendChild(row);
+        });
 
-        // 检测用户自定义预设
-        const customPresets = customPresetsManager.getAll();
-        const detectedCustom = [];
-        customPresets.forEach(preset => {
-            const markedValue = `【${preset.value}】`;
-            if (promptText.includes(markedValue) || promptText.includes(preset.value)) {
-                const actualValue = promptText.includes(markedValue) ? markedValue : preset.value;
-                detectedCustom.push({
-                    name: preset.name,
-                    value: preset.value,
-                    actualValue: actualValue,
-                    isCustomPreset: true
-                });
-            }
+        // 添加层级
+        const addRow = document.createElement("div");
+        Object.assign(addRow.style, {
+            display: "flex",
+            gap: "8px",
+            margin: "12px 0 16px"
+        });
+        const addInput = document.createElement("input");
+        Object.assign(addInput.style, {
+            flex: "1",
+            padding: "10px",
+            background: "#2a2a2a",
+            border: "1px solid #555",
+            borderRadius: "6px",
+            color: "#fff",
+            fontSize: "13px"
+        });
+        addInput.placeholder = t("tierNamePlaceholder");
+        const addBtn = document.createElement("button");
+        Object.assign(addBtn.style, {
+            background: "linear-gradient(135deg, #3a6ea5, #2a5a85)",
+            border: "none",
+            color: "white",
+            padding: "10px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px"
         });
+        addBtn.textContent = t("add");
+        addBtn.onclick = () => {
+            const name = addInput.value.trim();
+            if (!name) {
+                this.showToast(t("enterTierName"), "warning");
+                return;
+            }
+            tierManager.addTier(name);
+            this.showToast(t("tierAdded"), "success");
+            rerender();
+        };
+        addRow.appendChild(addInput);
+        addRow.appendChild(addBtn);
+        content.appendChild(addRow);
+
+        const presetSlots = slots.filter(s => s.id !== USER_TIER_ID);
+        const createTierSelect = (value, emptyLabel, onChange) => {
+            const select = document.createElement("select");
+            Object.assign(select.style, {
+                padding: "5px 8px",
+                background: "#2a2a2a",
+                border: "1px solid #555",
+                borderRadius: "4px",
+                color: "#fff",
+                fontSize: "12px",
+                maxWidth: "200px"
+            });
+            const options = emptyLabel ? [{ id: "", label: emptyLabel }] : [];
+            presetSlots.forEach(s => options.push({ id: s.id, label: displayTierName(s) }));
+            options.forEach(option => {
+                const el = document.createElement("option");
+                el.value = option.id;
+                el.textContent = option.label;
+                el.selected = option.id === value;
+                select.appendChild(el);
+            });
+            select.onchange = () => onChange(select.value);
+            return select;
+        };
 
-        // 合并去重
-        const itemsMap = new Map();
+        const sectionTitle = (text) => {
+            const title = document.createElement("div");
+            Object.assign(title.style, {
+                color: "#ddd",
+                fontSize: "13px",
+                fontWeight: "bold",
+                margin: "8px 0"
+            });
+            title.textContent = text;
+            return title;
+        };
 
-        // 历史记录优先（包含自定义名称的）
-        history.forEach(historyItem => {
-            if (promptText.includes(historyItem.value)) {
-                itemsMap.set(historyItem.value, {
-                    value: historyItem.value,
-                    originalValue: historyItem.value,
-                    customName: historyItem.customName,
-                    source: "history"
+        // 默认层级：未设置 tier 的分组和未知预设
+        const defaultRow = document.createElement("div");
+        Object.assign(defaultRow.style, {
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            gap: "10px",
+            color: "#aaa",
+            fontSize: "12px",
+            marginBottom: "16px"
+        });
+        defaultRow.appendChild(document.createTextNode(t("tierDefaultLabel")));
+        defaultRow.appendChild(createTierSelect(tierManager.getDefaultTier(), null, (id) => {
+            tierManager.setDefaultTier(id);
+        }));
+        content.appendChild(defaultRow);
+
+        // 分组层级覆盖
+        content.appendChild(sectionTitle(t("tierGroupsTitle")));
+        const slotName = (id) => {
+            const slot = slots.find(s => s.id === id);
+            return slot ? displayTierName(slot) : id;
+        };
+        (presetsManager.presets || []).forEach(category => {
+            const groups = Array.isArray(category.groups) ? category.groups : [null];
+            groups.forEach(group => {
+                const groupKey = getGroupKey(category, group);
+                const dataTier = group ? group.tier : category.tier;
+                const defaultTier = dataTier != null && dataTier !== "" ? String(dataTier) : tierManager.getDefaultTier();
+
+                const row = document.createElement("div");
+                Object.assign(row.style, {
+                    display: "flex",
+                    alignItems: "center",
+                    justifyContent: "space-between",
+                    gap: "10px",
+                    padding: "6px 12px",
+                    background: tierManager.getGroupOverride(groupKey) ? "#3a3a4a" : "#333",
+                    borderRadius: "6px",
+                    marginBottom: "4px"
                 });
-            }
+                const label = document.createElement("span");
+                Object.assign(label.style, {
+                    color: "#ccc",
+                    fontSize: "12px",
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                    whiteSpace: "nowrap"
+                });
+                label.textContent = [displayCategoryName(category), group && displayGroupName(group)].filter(Boolean).join(" › ");
+                row.appendChild(label);
+                row.appendChild(createTierSelect(
+                    tierManager.getGroupOverride(groupKey),
+                    t("tierGroupDefault", { name: slotName(defaultTier) }),
+                    (id) => {
+                        tierManager.setGroupOverride(groupKey, id);
+                        rerender();
+                    }
+                ));
+                content.appendChild(row);
+            });
         });
 
-        // 智能检测的预设（如果不在历史中才添加）
-        // 获取历史中所有的值，用于检查子串关系
-        const historyValues = history.map(h => h.value);
+        const resetBtn = this.createSmallButton(t("tierReset"), "#555", () => {
+            tierManager.reset();
+            this.showToast(t("tierResetDone"), "success");
+            rerender();
+        });
+        resetBtn.style.marginTop = "12px";
+        resetBtn.style.padding = "8px 14px";
+        content.appendChild(resetBtn);
+    }
 
-        detected.forEach(preset => {
-            // 使用 actualValue（带【】标记的值）作为 key
-            const valueKey = preset.actualValue || preset.value;
+    // 排序方案编辑器：每个方案的层级顺序、分隔符、是否允许运镜和自动识别关键词
+    renderProfileEditor(content, rerender) {
+        const profiles = profileManager.getAll();
+        if (!profileManager.get(this.editingProfileId)) {
+            this.editingProfileId = DEFAULT_PROFILE_ID;
+        }
+        const profile = profileManager.get(this.editingProfileId);
 
-            // 跳过已经在 itemsMap 中的
-            if (itemsMap.has(valueKey)) {
-                // 补充名称信息（如果历史中的项没有自定义名称）
-                const item = itemsMap.get(valueKey);
-                if (!item.customName) {
-                    item.name = preset.name;
-                    item.category = preset.category;
-                }
-                return;
-            }
+        const desc = document.createElement("p");
+        Object.assign(desc.style, {
+            color: "#aaa",
+            fontSize: "12px",
+            marginBottom: "16px",
+            lineHeight: "1.5"
+        });
+        desc.innerHTML = t("profilesDesc");
+        content.appendChild(desc);
 
-            // 跳过：如果预设值是历史中某个自定义值的子串
-            // 这处理了用户编辑预设（添加/修改文本）后，原始预设仍被检测到的问题
-            const isSubstringOfHistory = historyValues.some(histVal =>
-                histVal.includes(preset.value) && histVal !== valueKey
-            );
-            if (isSubstringOfHistory) {
-                return; // 跳过这个预设，因为它是某个自定义预设的子串
+        const inputStyle = {
+            padding: "6px 8px",
+            background: "#2a2a2a",
+            border: "1px solid #555",
+            borderRadius: "4px",
+            color: "#fff",
+            fontSize: "13px"
+        };
+
+        const fieldRow = (label, control) => {
+            const row = document.createElement("div");
+            Object.assign(row.style, {
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "space-between",
+                gap: "10px",
+                color: "#aaa",
+                fontSize: "12px",
+                marginBottom: "10px"
+            });
+            row.appendChild(document.createTextNode(label));
+            row.appendChild(control);
+            content.appendChild(row);
+        };
+
+        // 选择要编辑的方案
+        const topRow = document.createElement("div");
+        Object.assign(topRow.style, {
+            display: "flex",
+            gap: "8px",
+            marginBottom: "16px"
+        });
+        const select = document.createElement("select");
+        Object.assign(select.style, inputStyle, { flex: "1" });
+        profiles.forEach(p => {
+            const option = document.createElement("option");
+            option.value = p.id;
+            option.textContent = displayProfileName(p);
+            option.selected = p.id === profile.id;
+            select.appendChild(option);
+        });
+        select.onchange = () => {
+            this.editingProfileId = select.value;
+            rerender();
+        };
+        topRow.appendChild(select);
+        topRow.appendChild(this.createSmallButton(t("profileNew"), "#3a6ea5", () => {
+            this.editingProfileId = profileManager.add(profile).id;
+            this.showToast(t("profileCreated"), "success");
+            rerender();
+        }));
+        topRow.appendChild(this.createSmallButton(t("delete"), "#7a2d2d", () => {
+            if (profileManager.remove(profile.id)) {
+                this.editingProfileId = DEFAULT_PROFILE_ID;
+                this.showToast(t("deleted"), "success");
+                rerender();
             }
+        }, profile.id === DEFAULT_PROFILE_ID));
+        content.appendChild(topRow);
 
-            itemsMap.set(valueKey, {
-                value: valueKey,
-                originalValue: valueKey,
-                name: preset.name,
-                category: preset.category,
-                source: "detected"
+        // 名称（内置方案留空时使用内置名称）
+        const nameInput = document.createElement("input");
+        Object.assign(nameInput.style, inputStyle, { width: "220px" });
+        nameInput.value = profile.name;
+        nameInput.placeholder = profileManager.isBuiltin(profile.id) ? t(`profile_${profile.id}`) : "";
+        nameInput.onchange = () => {
+            profileManager.update(profile.id, { name: nameInput.value.trim() });
+            rerender();
+        };
+        fieldRow(t("profileName"), nameInput);
+
+        // 分隔符：用 JSON 字符串的形式显示，便于看清空格
+        const separatorInput = document.createElement("input");
+        Object.assign(separatorInput.style, inputStyle, { width: "220px", fontFamily: "monospace" });
+        separatorInput.value = JSON.stringify(profile.separator);
+        separatorInput.onchange = () => {
+            let separator = separatorInput.value;
+            try {
+                const parsed = JSON.parse(separator);
+                if (typeof parsed === "string") separator = parsed;
+            } catch (e) { }
+            if (!separator) separator = ", ";
+            profileManager.update(profile.id, { separator });
+            separatorInput.value = JSON.stringify(separator);
+        };
+        fieldRow(t("profileSeparator"), separatorInput);
+
+        const cameraCheckbox = document.createElement("input");
+        cameraCheckbox.type = "checkbox";
+        cameraCheckbox.checked = profile.allowCamera;
+        cameraCheckbox.onchange = () => profileManager.update(profile.id, { allowCamera: cameraCheckbox.checked });
+        fieldRow(t("profileAllowCamera"), cameraCheckbox);
+
+        const matchInput = document.createElement("input");
+        Object.assign(matchInput.style, inputStyle, { width: "220px" });
+        matchInput.value = profile.match.join(", ");
+        matchInput.placeholder = "sdxl, pony";
+        matchInput.onchange = () => {
+            profileManager.update(profile.id, { match: parseNameList(matchInput.value).map(m => m.toLowerCase()) });
+        };
+        fieldRow(t("profileMatch"), matchInput);
+
+        // 层级顺序：跟随「排序层级」或使用方案自己的顺序
+        const followCheckbox = document.createElement("input");
+        followCheckbox.type = "checkbox";
+        followCheckbox.checked = !profile.order;
+        followCheckbox.onchange = () => {
+            profileManager.update(profile.id, {
+                order: followCheckbox.checked ? null : tierManager.getSlots().map(s => s.id)
+            });
+            rerender();
+        };
+        fieldRow(t("profileFollowTiers"), followCheckbox);
+
+        const order = profileManager.getOrder(profile);
+        order.forEach((tierId, index) => {
+            const slot = tierManager.getSlots().find(s => s.id === tierId);
+            const row = document.createElement("div");
+            Object.assign(row.style, {
+                display: "flex",
+                alignItems: "center",
+                gap: "8px",
+                padding: "6px 12px",
+                background: tierId === USER_TIER_ID ? "#2d4a2d" : "#333",
+                borderRadius: "6px",
+                marginBottom: "4px",
+                opacity: profile.order ? "1" : "0.6"
             });
+            const label = document.createElement("span");
+            Object.assign(label.style, {
+                flex: "1",
+                color: tierId === USER_TIER_ID ? "#7ad67a" : "#ccc",
+                fontSize: "12px"
+            });
+            label.textContent = `${index + 1}. ${slot ? displayTierName(slot) : tierId}`;
+            row.appendChild(label);
+
+            if (profile.order) {
+                const move = (delta) => {
+                    const next = order.slice();
+                    [next[index], next[index + delta]] = [next[index + delta], next[index]];
+                    profileManager.update(profile.id, { order: next });
+                    rerender();
+                };
+                row.appendChild(this.createSmallButton("↑", "#555", () => move(-1), index === 0));
+                row.appendChild(this.createSmallButton("↓", "#555", () => move(1), index === order.length - 1));
+            }
+            content.appendChild(row);
         });
 
-        // 处理用户自定义预设
-        detectedCustom.forEach(preset => {
-            const valueKey = preset.actualValue || preset.value;
+        const resetBtn = this.createSmallButton(t("profileReset"), "#555", () => {
+            profileManager.reset();
+            this.editingProfileId = DEFAULT_PROFILE_ID;
+            this.showToast(t("profileResetDone"), "success");
+            rerender();
+        });
+        resetBtn.style.marginTop = "12px";
+        resetBtn.style.padding = "8px 14px";
+        content.appendChild(resetBtn);
+    }
 
-            if (itemsMap.has(valueKey)) {
-                // 补充名称信息
-                const item = itemsMap.get(valueKey);
-                if (!item.name) {
-                    item.name = preset.name;
-                    item.isCustomPreset = true;
-                }
-                return;
-            }
+    // ========================================
+    // 搜索面板（命令面板式模糊搜索）
+    // ========================================
 
-            itemsMap.set(valueKey, {
-                value: valueKey,
-                originalValue: valueKey,
-                name: preset.name,
-                isCustomPreset: true,
-                source: "detected"
-            });
-        });
+    async showSearchPalette() {
+        if (this.searchPalette) {
+            this.searchPalette.querySelector("input")?.focus();
+            return;
+        }
 
-        const items = Array.from(itemsMap.values());
+        await presetsManager.loadPresets();
 
-        // 创建面板
         const overlay = document.createElement("div");
         Object.assign(overlay.style, {
             position: "fixed",
@@ -1583,11 +7960,12 @@ class PromptPresetsUI {
             left: "0",
             right: "0",
             bottom: "0",
-            background: "rgba(0,0,0,0.6)",
+            background: "rgba(0,0,0,0.4)",
             zIndex: "100000",
             display: "flex",
-            alignItems: "center",
-            justifyContent: "center"
+            alignItems: "flex-start",
+            justifyContent: "center",
+            paddingTop: "12vh"
         });
 
         const panel = document.createElement("div");
@@ -1596,299 +7974,292 @@ class PromptPresetsUI {
             borderRadius: "12px",
             boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
             width: "600px",
-            maxHeight: "80vh",
+            maxHeight: "60vh",
             display: "flex",
             flexDirection: "column",
             overflow: "hidden"
         });
 
-        // 头部
-        const header = document.createElement("div");
-        Object.assign(header.style, {
-            padding: "16px 20px",
+        const input = document.createElement("input");
+        Object.assign(input.style, {
+            padding: "14px 18px",
+            background: "#2a2a2a",
+            border: "none",
             borderBottom: "1px solid #555",
-            display: "flex",
-            justifyContent: "space-between",
-            alignItems: "center"
+            color: "#fff",
+            fontSize: "15px",
+            outline: "none"
         });
-        header.innerHTML = `<h3 style="margin:0;color:#fff;font-size:16px;">📝 管理已添加的预设</h3>`;
+        input.placeholder = t("searchPlaceholder");
+        panel.appendChild(input);
 
-        const closeBtn = document.createElement("button");
-        Object.assign(closeBtn.style, {
-            background: "transparent",
-            border: "none",
-            color: "#888",
-            fontSize: "20px",
-            cursor: "pointer"
+        const list = document.createElement("div");
+        Object.assign(list.style, {
+            overflowY: "auto",
+            flex: "1",
+            padding: "6px 0"
         });
-        closeBtn.innerHTML = "×";
-        closeBtn.onclick = () => overlay.remove();
-        header.appendChild(closeBtn);
-        panel.appendChild(header);
+        panel.appendChild(list);
 
-        // 内容区
-        const content = document.createElement("div");
-        Object.assign(content.style, {
-            padding: "16px 20px",
-            overflowY: "auto",
-            flex: "1"
+        const footer = document.createElement("div");
+        Object.assign(footer.style, {
+            padding: "8px 18px",
+            borderTop: "1px solid #444",
+            color: "#777",
+            fontSize: "11px"
         });
+        footer.textContent = t("searchFooter");
+        panel.appendChild(footer);
 
-        const editedItems = [];
+        let results = [];
+        let activeIndex = 0;
 
-        if (items.length === 0) {
-            content.innerHTML = `<p style="color:#888;text-align:center;margin:40px 0;">未检测到已添加的预设提示词</p>`;
-        } else {
-            const hint = document.createElement("p");
-            Object.assign(hint.style, {
-                color: "#888",
-                fontSize: "12px",
-                marginBottom: "12px"
+        const close = () => {
+            overlay.remove();
+            this.hidePreviewPopup();
+            this.searchPalette = null;
+        };
+
+        const apply = (entry, withWeight = false) => {
+            if (!entry) return;
+            close();
+            if (withWeight) {
+                this.appendWithWeight(entry.value, entry.isCustomPreset ? entry.name : displayPresetName(entry.name));
+            } else {
+                this.appendToPrompt(entry.value);
+            }
+        };
+
+        const updateActive = () => {
+            Array.from(list.children).forEach((row, i) => {
+                const active = i === activeIndex;
+                row.style.background = active ? "linear-gradient(90deg, #3a6ea5, transparent)" : "transparent";
+                row.style.borderLeftColor = active ? "#5ab0ff" : "transparent";
+                if (active) row.scrollIntoView({ block: "nearest" });
             });
-            hint.textContent = `检测到 ${items.length} 个预设提示词，可编辑后点击"应用更改"同步到 prompt：`;
-            content.appendChild(hint);
+        };
 
-            items.forEach((item, index) => {
+        const render = () => {
+            results = searchPresets(input.value);
+            activeIndex = 0;
+            list.innerHTML = "";
+
+            if (!input.value.trim()) {
+                list.innerHTML = `<p style="color:#888;text-align:center;margin:24px 0;font-size:13px;">${t("searchPrompt")}</p>`;
+                return;
+            }
+            if (results.length === 0) {
+                list.innerHTML = `<p style="color:#888;text-align:center;margin:24px 0;font-size:13px;">${t("searchNoResults")}</p>`;
+                return;
+            }
+
+            results.forEach((entry, i) => {
                 const row = document.createElement("div");
                 Object.assign(row.style, {
-                    padding: "12px",
-                    background: "#333",
-                    borderRadius: "8px",
-                    marginBottom: "10px"
-                });
-
-                // 标题行
-                const titleRow = document.createElement("div");
-                Object.assign(titleRow.style, {
-                    display: "flex",
-                    justifyContent: "space-between",
-                    alignItems: "center",
-                    marginBottom: "8px"
+                    padding: "8px 18px",
+                    cursor: "pointer",
+                    borderLeft: "3px solid transparent"
                 });
 
-                const nameLabel = document.createElement("span");
-                Object.assign(nameLabel.style, {
-                    color: "#5ab0ff",
-                    fontSize: "13px",
-                    fontWeight: "bold"
+                const name = document.createElement("div");
+                Object.assign(name.style, {
+                    color: entry.isCustomPreset ? "#c39bd3" : "#fff",
+                    fontSize: "13px"
                 });
-                nameLabel.textContent = item.customName || item.name || `预设 ${index + 1}`;
-                titleRow.appendChild(nameLabel);
+                name.textContent = entry.isCustomPreset ? entry.name : displayPresetName(entry.name);
+                row.appendChild(name);
 
-                const delBtn = document.createElement("button");
-                Object.assign(delBtn.style, {
-                    background: "#7a2d2d",
-                    border: "none",
-                    color: "white",
-                    padding: "4px 10px",
-                    borderRadius: "4px",
-                    cursor: "pointer",
-                    fontSize: "11px"
+                const meta = document.createElement("div");
+                Object.assign(meta.style, {
+                    color: "#888",
+                    fontSize: "11px",
+                    marginTop: "2px",
+                    whiteSpace: "nowrap",
+                    overflow: "hidden",
+                    textOverflow: "ellipsis"
                 });
-                delBtn.textContent = "🗑️ 删除";
-                delBtn.onmouseenter = () => delBtn.style.background = "#9a3d3d";
-                delBtn.onmouseleave = () => delBtn.style.background = "#7a2d2d";
-                delBtn.onclick = () => {
-                    // 使用当前文本框中的值（用户可能已编辑）
-                    this.removeFromPrompt(promptWidget, item.value, nodeId);
-                    row.style.opacity = "0.3";
-                    row.style.pointerEvents = "none";
-                    item._deleted = true;
+                meta.textContent = `${displayEntryPath(entry)} — ${entry.value}`;
+                row.appendChild(meta);
+
+                row.onmouseenter = (e) => {
+                    activeIndex = i;
+                    updateActive();
+                    if (entry.image) {
+                        this.showPreviewPopup(entry.image, e.clientX, e.clientY);
+                    }
                 };
-                titleRow.appendChild(delBtn);
+                row.onmouseleave = () => this.hidePreviewPopup();
+                row.onclick = (e) => apply(entry, e.shiftKey);
 
-                row.appendChild(titleRow);
+                list.appendChild(row);
+            });
+            updateActive();
+        };
 
-                // 可编辑文本框
-                const textarea = document.createElement("textarea");
-                Object.assign(textarea.style, {
-                    width: "100%",
-                    minHeight: "60px",
-                    padding: "10px",
-                    background: "#2a2a2a",
-                    border: "1px solid #555",
-                    borderRadius: "6px",
-                    color: "#ddd",
-                    fontSize: "12px",
-                    lineHeight: "1.5",
-                    resize: "vertical",
-                    fontFamily: "monospace",
-                    boxSizing: "border-box"
-                });
-                textarea.value = item.value;
-                textarea.oninput = () => {
-                    item.value = textarea.value;
-                    item._modified = (item.value !== item.originalValue);
-                    // 视觉反馈
-                    if (item._modified) {
-                        textarea.style.borderColor = "#5ab0ff";
-                    } else {
-                        textarea.style.borderColor = "#555";
-                    }
-                };
-                textarea.onfocus = () => {
-                    textarea.style.borderColor = "#5ab0ff";
-                    textarea.style.outline = "none";
-                };
-                textarea.onblur = () => {
-                    if (!item._modified) {
-                        textarea.style.borderColor = "#555";
-                    }
-                };
+        input.oninput = render;
+        input.onkeydown = (e) => {
+            if (e.key === "ArrowDown") {
+                e.preventDefault();
+                if (results.length) {
+                    activeIndex = (activeIndex + 1) % results.length;
+                    updateActive();
+                }
+            } else if (e.key === "ArrowUp") {
+                e.preventDefault();
+                if (results.length) {
+                    activeIndex = (activeIndex - 1 + results.length) % results.length;
+                    updateActive();
+                }
+            } else if (e.key === "Enter") {
+                e.preventDefault();
+                apply(results[activeIndex], e.shiftKey);
+            } else if (e.key === "Escape") {
+                e.preventDefault();
+                close();
+            }
+            // 阻止按键冒泡到画布快捷键
+            e.stopPropagation();
+        };
 
-                row.appendChild(textarea);
-                content.appendChild(row);
+        overlay.appendChild(panel);
+        overlay.onclick = (e) => {
+            if (e.target === overlay) close();
+        };
 
-                editedItems.push(item);
-            });
+        document.body.appendChild(overlay);
+        this.searchPalette = overlay;
+        render();
+        input.focus();
+    }
+
+    // ========================================
+    // 核心逻辑
+    // ========================================
+
+    // 选中节点的提示词中已添加的预设 ID
+    getSelectedPresetIds() {
+        return getNodePresetIds(this.getSelectedNodes()[0]);
+    }
+
+    getSelectedNodes() {
+        return app.graph._nodes.filter(n => n.is_selected);
+    }
+
+    // node: 指定目标节点（如拖放到的节点）；未指定时只使用用户选中的节点，不自动查找
+    getTargetNode(node = null) {
+        const selectedNodes = node ? [node] : this.getSelectedNodes();
+
+        if (selectedNodes.length === 0) {
+            return { node: null, error: "no_selection" };
         }
 
-        panel.appendChild(content);
+        // 使用第一个选中的节点
+        const targetNode = selectedNodes[0];
 
-        // 底部
-        const footer = document.createElement("div");
-        Object.assign(footer.style, {
-            padding: "12px 20px",
-            borderTop: "1px solid #555",
-            display: "flex",
-            justifyContent: "space-between",
-            alignItems: "center",
-            gap: "10px"
-        });
+        // 检查节点是否有任何文本类 widget（不考虑黑名单）
+        const allTextWidgets = targetNode.widgets?.filter(w => {
+            // 检查是否为文本类型（但不检查黑名单）
+            if (BUILTIN_PROMPT_WIDGET_NAMES.includes(w.name)) return true;
+            if (widgetConfigManager.getWhitelist().includes(w.name)) return true;
+            if (w.type === "customtext") return true;
+            if (w.options?.multiline) return true;
+            return false;
+        }) || [];
 
-        // 左侧按钮组
-        const leftBtns = document.createElement("div");
-        Object.assign(leftBtns.style, {
-            display: "flex",
-            gap: "10px"
-        });
+        if (allTextWidgets.length === 0) {
+            return { node: null, error: "no_text_widget" };
+        }
 
-        if (items.length > 0) {
-            const deleteAllBtn = document.createElement("button");
-            Object.assign(deleteAllBtn.style, {
-                background: "#7a2d2d",
-                border: "none",
-                color: "white",
-                padding: "8px 14px",
-                borderRadius: "6px",
-                cursor: "pointer",
-                fontSize: "12px"
-            });
-            deleteAllBtn.textContent = "删除全部";
-            deleteAllBtn.onclick = () => {
-                items.forEach(item => {
-                    if (!item._deleted) {
-                        // 使用当前文本框中的值
-                        this.removeFromPrompt(promptWidget, item.value, nodeId, false);
-                    }
-                });
-                this.showToast(`已删除全部预设`, "success");
-                overlay.remove();
-            };
-            leftBtns.appendChild(deleteAllBtn);
+        // 检查是否所有文本 widget 都在黑名单中
+        const blacklistedWidgets = allTextWidgets.filter(w =>
+            widgetConfigManager.getBlacklist().includes(w.name)
+        );
+
+        if (blacklistedWidgets.length === allTextWidgets.length) {
+            // 所有文本 widget 都被黑名单排除
+            return { node: targetNode, error: "all_blacklisted", blacklistedNames: blacklistedWidgets.map(w => w.name) };
         }
 
-        footer.appendChild(leftBtns);
+        return { node: targetNode, error: null };
+    }
 
-        // 右侧按钮组
-        const rightBtns = document.createElement("div");
-        Object.assign(rightBtns.style, {
-            display: "flex",
-            gap: "10px"
-        });
+    // 解析目标节点和可用的提示词输入框；失败时提示并返回 null
+    resolveTarget(node = null) {
+        const result = this.getTargetNode(node);
 
-        if (items.length > 0) {
-            const applyBtn = document.createElement("button");
-            Object.assign(applyBtn.style, {
-                background: "linear-gradient(135deg, #2d7a2d, #1d5a1d)",
-                border: "none",
-                color: "white",
-                padding: "8px 16px",
-                borderRadius: "6px",
-                cursor: "pointer",
-                fontSize: "13px",
-                fontWeight: "bold"
-            });
-            applyBtn.textContent = "✓ 应用更改";
-            applyBtn.onmouseenter = () => applyBtn.style.background = "linear-gradient(135deg, #3d8a3d, #2d6a2d)";
-            applyBtn.onmouseleave = () => applyBtn.style.background = "linear-gradient(135deg, #2d7a2d, #1d5a1d)";
-            applyBtn.onclick = () => {
-                let text = promptWidget.value || "";
-                let changeCount = 0;
+        if (result.error === "no_selection") {
+            this.showToast(t("selectPromptNodeFirst"), "warning");
+            return null;
+        }
 
-                editedItems.forEach(item => {
-                    if (item._deleted) return;
-                    if (item._modified && item.value !== item.originalValue) {
-                        // 替换原始值为编辑后的值
-                        if (text.includes(item.originalValue)) {
-                            text = text.replace(item.originalValue, item.value);
-                            changeCount++;
-
-                            // 先删除原始条目
-                            presetsManager.removeFromHistory(nodeId, item.originalValue);
-
-                            // 再添加新条目（带自定义名称）
-                            if (item.value.trim()) {
-                                const counter = (presetsManager.customCounter.get(nodeId) || 0) + 1;
-                                presetsManager.customCounter.set(nodeId, counter);
-                                const customName = `自由预设 ${counter}`;
-                                presetsManager.recordAdded(nodeId, item.value, customName);
-                                item.customName = customName;
-                            }
-                        }
-                    }
-                });
+        if (result.error === "no_text_widget") {
+            this.showToast(t("nodeHasNoTextWidget"), "warning");
+            return null;
+        }
 
-                // 清理多余逗号
-                text = text.replace(/,\s*,/g, ",").replace(/^\s*,\s*/, "").replace(/\s*,\s*$/, "").trim();
+        if (result.error === "all_blacklisted") {
+            const names = result.blacklistedNames.join(", ");
+            this.showToast(t("widgetsBlacklisted", { names }), "warning");
+            return null;
+        }
 
-                promptWidget.value = text;
-                if (promptWidget.callback) {
-                    promptWidget.callback(promptWidget.value);
-                }
-                app.graph.setDirtyCanvas(true, true);
+        const targetNode = result.node;
+        const allPromptWidgets = getAllPromptWidgets(targetNode);
 
-                if (changeCount > 0) {
-                    this.showToast(`✓ 已应用 ${changeCount} 处更改`, "success");
-                } else {
-                    this.showToast("没有需要应用的更改", "info");
-                }
-                overlay.remove();
-            };
-            rightBtns.appendChild(applyBtn);
+        if (allPromptWidgets.length === 0) {
+            this.showToast(t("noUsableWidget"), "warning");
+            return null;
         }
 
-        const closeFooterBtn = document.createElement("button");
-        Object.assign(closeFooterBtn.style, {
-            background: "#555",
-            border: "none",
-            color: "white",
-            padding: "8px 16px",
-            borderRadius: "6px",
-            cursor: "pointer",
-            fontSize: "13px"
-        });
-        closeFooterBtn.textContent = "关闭";
-        closeFooterBtn.onclick = () => overlay.remove();
-        rightBtns.appendChild(closeFooterBtn);
+        return { node: targetNode, widgets: allPromptWidgets };
+    }
 
-        footer.appendChild(rightBtns);
-        panel.appendChild(footer);
-        overlay.appendChild(panel);
+    appendToPrompt(value, targetWidget = null, weight = 1) {
+        if (!value) return;
 
-        overlay.onclick = (e) => {
-            if (e.target === overlay) overlay.remove();
-        };
+        // 多选节点时进入批量模式；一次批量添加只计一次使用
+        if (!targetWidget && this.getSelectedNodes().length > 1) {
+            let recorded = false;
+            this.runBatch((node, widget) => {
+                this.doAppendToWidget(widget, value, node.id, { weight, notify: false });
+                if (!recorded) {
+                    usageManager.record(value);
+                    recorded = true;
+                }
+            }, t("batchLabelPreset"));
+            return;
+        }
 
-        document.body.appendChild(overlay);
-        this.managePanel = overlay;
+        const target = this.resolveTarget();
+        if (!target) return;
+        this.appendToTarget(target, value, targetWidget, weight);
     }
 
-    // ========================================
-    // 设置面板（白名单/黑名单管理）
-    // ========================================
+    // 添加到已解析的目标节点（resolveTarget 的结果）
+    appendToTarget(target, value, targetWidget = null, weight = 1) {
+        // 如果有多个输入框且没有指定目标，弹出选择对话框
+        if (target.widgets.length > 1 && !targetWidget) {
+            this.showWidgetSelectionDialog(target.node, target.widgets, value, (widget) => {
+                if (this.doAppendToWidget(widget, value, target.node.id, { weight })) {
+                    usageManager.record(value);
+                }
+            });
+            return;
+        }
 
-    showSettingsPanel() {
+        const promptWidget = targetWidget || target.widgets[0];
+        if (this.doAppendToWidget(promptWidget, value, target.node.id, { weight })) {
+            usageManager.record(value);
+        }
+    }
+
+    // 按指定权重添加：先弹出权重选择，再添加
+    appendWithWeight(value, label = "") {
+        this.showWeightDialog(label, 1.2, (weight) => this.appendToPrompt(value, null, weight));
+    }
+
+    // 权重选择弹窗
+    showWeightDialog(label, initialWeight, onConfirm) {
         const overlay = document.createElement("div");
         Object.assign(overlay.style, {
             position: "fixed",
@@ -1907,236 +8278,69 @@ class PromptPresetsUI {
         Object.assign(panel.style, {
             background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
             borderRadius: "12px",
-            boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
-            width: "550px",
-            maxHeight: "80vh",
-            display: "flex",
-            flexDirection: "column",
-            overflow: "hidden"
-        });
-
-        // 头部
-        const header = document.createElement("div");
-        Object.assign(header.style, {
-            padding: "16px 20px",
-            borderBottom: "1px solid #555",
-            display: "flex",
-            justifyContent: "space-between",
-            alignItems: "center"
-        });
-        header.innerHTML = `<h3 style="margin:0;color:#fff;font-size:16px;">⚙️ Widget 配置设置</h3>`;
-
-        const closeBtn = document.createElement("button");
-        Object.assign(closeBtn.style, {
-            background: "transparent",
-            border: "none",
-            color: "#888",
-            fontSize: "20px",
-            cursor: "pointer"
-        });
-        closeBtn.innerHTML = "×";
-        closeBtn.onclick = () => overlay.remove();
-        header.appendChild(closeBtn);
-        panel.appendChild(header);
-
-        // 标签页
-        const tabs = document.createElement("div");
-        Object.assign(tabs.style, {
-            display: "flex",
-            borderBottom: "1px solid #444"
-        });
-
-        let activeTab = "whitelist";
-
-        const createTab = (id, label) => {
-            const tab = document.createElement("button");
-            Object.assign(tab.style, {
-                flex: "1",
-                padding: "12px",
-                background: "transparent",
-                border: "none",
-                color: id === activeTab ? "#5ab0ff" : "#888",
-                fontSize: "13px",
-                cursor: "pointer",
-                borderBottom: id === activeTab ? "2px solid #5ab0ff" : "2px solid transparent",
-                transition: "all 0.15s"
-            });
-            tab.textContent = label;
-            tab.onclick = () => {
-                activeTab = id;
-                renderContent();
-            };
-            return tab;
-        };
-
-        const whitelistTab = createTab("whitelist", "📋 白名单");
-        const blacklistTab = createTab("blacklist", "🚫 黑名单");
-        tabs.appendChild(whitelistTab);
-        tabs.appendChild(blacklistTab);
-        panel.appendChild(tabs);
-
-        // 内容区
-        const content = document.createElement("div");
-        Object.assign(content.style, {
-            padding: "16px 20px",
-            overflowY: "auto",
-            flex: "1"
-        });
-        panel.appendChild(content);
-
-        const renderContent = () => {
-            // 更新标签样式
-            whitelistTab.style.color = activeTab === "whitelist" ? "#5ab0ff" : "#888";
-            whitelistTab.style.borderBottom = activeTab === "whitelist" ? "2px solid #5ab0ff" : "2px solid transparent";
-            blacklistTab.style.color = activeTab === "blacklist" ? "#5ab0ff" : "#888";
-            blacklistTab.style.borderBottom = activeTab === "blacklist" ? "2px solid #5ab0ff" : "2px solid transparent";
-
-            content.innerHTML = "";
-
-            const isWhitelist = activeTab === "whitelist";
-            const items = isWhitelist ? widgetConfigManager.getWhitelist() : widgetConfigManager.getBlacklist();
-            const builtinNames = BUILTIN_PROMPT_WIDGET_NAMES;
-
-            // 说明
-            const desc = document.createElement("p");
-            Object.assign(desc.style, {
-                color: "#aaa",
-                fontSize: "12px",
-                marginBottom: "16px",
-                lineHeight: "1.5"
-            });
-            if (isWhitelist) {
-                desc.innerHTML = `<b>白名单</b>：额外识别为提示词输入框的 widget 名称。<br>内置白名单：<code style="background:#444;padding:2px 6px;border-radius:3px;color:#5ab0ff;">${builtinNames.join(", ")}</code>`;
-            } else {
-                desc.innerHTML = `<b>黑名单</b>：排除这些 widget，即使它们符合提示词输入框的条件也不会被识别。`;
-            }
-            content.appendChild(desc);
-
-            // 添加输入框
-            const addRow = document.createElement("div");
-            Object.assign(addRow.style, {
-                display: "flex",
-                gap: "8px",
-                marginBottom: "16px"
-            });
-
-            const input = document.createElement("input");
-            Object.assign(input.style, {
-                flex: "1",
-                padding: "10px",
-                background: "#2a2a2a",
-                border: "1px solid #555",
-                borderRadius: "6px",
-                color: "#fff",
-                fontSize: "13px"
-            });
-            input.placeholder = "输入 widget 名称...";
-
-            const addBtn = document.createElement("button");
-            Object.assign(addBtn.style, {
-                background: isWhitelist ? "linear-gradient(135deg, #3a6ea5, #2a5a85)" : "linear-gradient(135deg, #7a3a3a, #5a2a2a)",
-                border: "none",
-                color: "white",
-                padding: "10px 16px",
-                borderRadius: "6px",
-                cursor: "pointer",
-                fontSize: "13px"
-            });
-            addBtn.textContent = "添加";
-            addBtn.onclick = () => {
-                const name = input.value.trim();
-                if (!name) {
-                    this.showToast("请输入 widget 名称", "warning");
-                    return;
-                }
-                const success = isWhitelist
-                    ? widgetConfigManager.addToWhitelist(name)
-                    : widgetConfigManager.addToBlacklist(name);
-                if (success) {
-                    this.showToast(`✓ 已添加到${isWhitelist ? "白" : "黑"}名单`, "success");
-                    input.value = "";
-                    renderContent();
-                } else {
-                    this.showToast("该名称已存在", "warning");
-                }
-            };
-
-            addRow.appendChild(input);
-            addRow.appendChild(addBtn);
-            content.appendChild(addRow);
-
-            // 列表
-            if (items.length === 0) {
-                const empty = document.createElement("p");
-                Object.assign(empty.style, {
-                    color: "#666",
-                    textAlign: "center",
-                    padding: "30px 0"
-                });
-                empty.textContent = `暂无自定义${isWhitelist ? "白" : "黑"}名单项`;
-                content.appendChild(empty);
-            } else {
-                items.forEach((name, index) => {
-                    const row = document.createElement("div");
-                    Object.assign(row.style, {
-                        display: "flex",
-                        alignItems: "center",
-                        justifyContent: "space-between",
-                        padding: "10px 12px",
-                        background: "#333",
-                        borderRadius: "6px",
-                        marginBottom: "6px"
-                    });
+            boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
+            width: "360px",
+            padding: "20px",
+            display: "flex",
+            flexDirection: "column",
+            gap: "14px"
+        });
 
-                    const label = document.createElement("span");
-                    Object.assign(label.style, {
-                        color: isWhitelist ? "#5ab0ff" : "#ff7a7a",
-                        fontSize: "13px",
-                        fontFamily: "monospace"
-                    });
-                    label.textContent = name;
+        const title = document.createElement("h3");
+        Object.assign(title.style, {
+            margin: "0",
+            color: "#fff",
+            fontSize: "16px"
+        });
+        title.textContent = t("weightDialogTitle");
+        panel.appendChild(title);
 
-                    const delBtn = document.createElement("button");
-                    Object.assign(delBtn.style, {
-                        background: "#7a2d2d",
-                        border: "none",
-                        color: "white",
-                        padding: "4px 10px",
-                        borderRadius: "4px",
-                        cursor: "pointer",
-                        fontSize: "11px"
-                    });
-                    delBtn.textContent = "删除";
-                    delBtn.onclick = () => {
-                        const success = isWhitelist
-                            ? widgetConfigManager.removeFromWhitelist(name)
-                            : widgetConfigManager.removeFromBlacklist(name);
-                        if (success) {
-                            this.showToast("✓ 已删除", "success");
-                            renderContent();
-                        }
-                    };
+        if (label) {
+            const name = document.createElement("div");
+            Object.assign(name.style, { color: "#5ab0ff", fontSize: "13px" });
+            name.textContent = label;
+            panel.appendChild(name);
+        }
 
-                    row.appendChild(label);
-                    row.appendChild(delBtn);
-                    content.appendChild(row);
-                });
-            }
-        };
+        const row = document.createElement("div");
+        Object.assign(row.style, {
+            display: "flex",
+            alignItems: "center",
+            gap: "12px"
+        });
 
-        renderContent();
+        const slider = document.createElement("input");
+        slider.type = "range";
+        slider.min = "0.1";
+        slider.max = "2";
+        slider.step = "0.05";
+        slider.value = String(initialWeight);
+        slider.style.flex = "1";
 
-        // 底部
-        const footer = document.createElement("div");
-        Object.assign(footer.style, {
-            padding: "12px 20px",
-            borderTop: "1px solid #555",
+        const valueLabel = document.createElement("span");
+        Object.assign(valueLabel.style, {
+            color: "#fff",
+            fontSize: "14px",
+            fontFamily: "monospace",
+            minWidth: "40px",
+            textAlign: "right"
+        });
+        valueLabel.textContent = formatWeight(initialWeight);
+        slider.oninput = () => valueLabel.textContent = formatWeight(parseFloat(slider.value));
+
+        row.appendChild(slider);
+        row.appendChild(valueLabel);
+        panel.appendChild(row);
+
+        const buttons = document.createElement("div");
+        Object.assign(buttons.style, {
             display: "flex",
-            justifyContent: "flex-end"
+            justifyContent: "flex-end",
+            gap: "10px"
         });
 
-        const closeFooterBtn = document.createElement("button");
-        Object.assign(closeFooterBtn.style, {
+        const cancelBtn = document.createElement("button");
+        Object.assign(cancelBtn.style, {
             background: "#555",
             border: "none",
             color: "white",
@@ -2145,136 +8349,396 @@ class PromptPresetsUI {
             cursor: "pointer",
             fontSize: "13px"
         });
-        closeFooterBtn.textContent = "关闭";
-        closeFooterBtn.onclick = () => overlay.remove();
-        footer.appendChild(closeFooterBtn);
+        cancelBtn.textContent = t("cancel");
+        cancelBtn.onclick = () => overlay.remove();
 
-        panel.appendChild(footer);
-        overlay.appendChild(panel);
+        const okBtn = document.createElement("button");
+        Object.assign(okBtn.style, {
+            background: "linear-gradient(135deg, #3a6ea5, #2a5a85)",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px",
+            fontWeight: "bold"
+        });
+        okBtn.textContent = t("add");
+        okBtn.onclick = () => {
+            overlay.remove();
+            onConfirm(parseFloat(slider.value));
+        };
+
+        buttons.appendChild(cancelBtn);
+        buttons.appendChild(okBtn);
+        panel.appendChild(buttons);
 
+        overlay.appendChild(panel);
         overlay.onclick = (e) => {
             if (e.target === overlay) overlay.remove();
         };
 
         document.body.appendChild(overlay);
+        slider.focus();
     }
 
-    // ========================================
-    // 核心逻辑
-    // ========================================
+    // 应用组合：逐个插入成员预设，最后只排序一次
+    applyBundle(bundle) {
+        const { values, missing } = bundlesManager.resolveItems(bundle);
+        if (values.length === 0) {
+            this.showToast(t("bundleAllMissing"), "warning");
+            return;
+        }
+
+        // 多选节点时进入批量模式
+        if (this.getSelectedNodes().length > 1) {
+            this.runBatch((node, widget) => this.insertBundle(node, widget, bundle, values), t("bundleLabel", { name: bundle.name }));
+            return;
+        }
 
-    getTargetNode() {
-        // 只使用用户选中的节点，不自动查找
-        const selectedNodes = app.graph._nodes.filter(n => n.is_selected);
+        const target = this.resolveTarget();
+        if (!target) return;
 
-        if (selectedNodes.length === 0) {
-            return { node: null, error: "no_selection" };
+        const applyTo = (widget) => {
+            const skipped = this.insertBundle(target.node, widget, bundle, values);
+            let suffix = missing > 0 ? t("bundleMissingSuffix", { n: missing }) : "";
+            if (skipped > 0) suffix += t("bundleCameraSkippedSuffix", { n: skipped });
+            this.showToast(t("bundleApplied", { name: bundle.name, n: values.length - skipped, suffix }), "success", this.undoAction());
+        };
+
+        if (target.widgets.length > 1) {
+            this.showWidgetSelectionDialog(target.node, target.widgets, null, applyTo);
+            return;
         }
 
-        // 使用第一个选中的节点
-        const targetNode = selectedNodes[0];
+        applyTo(target.widgets[0]);
+    }
 
-        // 检查节点是否有任何文本类 widget（不考虑黑名单）
-        const allTextWidgets = targetNode.widgets?.filter(w => {
-            // 检查是否为文本类型（但不检查黑名单）
-            if (BUILTIN_PROMPT_WIDGET_NAMES.includes(w.name)) return true;
-            if (widgetConfigManager.getWhitelist().includes(w.name)) return true;
-            if (w.type === "customtext") return true;
-            if (w.options?.multiline) return true;
-            return false;
-        }) || [];
+    // 把组合成员写入指定输入框（作为一次可撤销的操作）；返回因排序方案不使用运镜而跳过的数量
+    insertBundle(node, widget, bundle, values) {
+        const profile = profileManager.resolveForNode(node);
+        const allowed = values.filter(value => !isCameraBlocked(value, profile));
 
-        if (allTextWidgets.length === 0) {
-            return { node: null, error: "no_text_widget" };
+        undoManager.begin(node, widget);
+        try {
+            allowed.forEach(value => {
+                this.doAppendToWidget(widget, value, node.id, { reorder: false, notify: false });
+            });
+            if (getSetting(SETTING_IDS.autoReorder, true)) {
+                widget.value = reorderPromptByTier(widget.value, presetsManager.getTracked(node.id, widget.name), profile);
+            }
+            if (widget.callback) {
+                widget.callback(widget.value);
+            }
+        } finally {
+            undoManager.commit(t("opApplyBundle", { name: bundle.name }));
         }
+        app.graph.setDirtyCanvas(true, true);
+        return values.length - allowed.length;
+    }
 
-        // 检查是否所有文本 widget 都在黑名单中
-        const blacklistedWidgets = allTextWidgets.filter(w =>
-            widgetConfigManager.getBlacklist().includes(w.name)
-        );
+    // 实际执行添加操作
+    // options.reorder: 是否作为最后一步按 Tier 重排（受 自动排序 设置控制）；options.notify: 是否提示（批量添加时关闭，由调用方统一处理）
+    // options.weight: 插入权重，非 1 时写成 (【value】:weight)
+    // 成功写入时返回 true
+    doAppendToWidget(promptWidget, value, nodeId, options = {}) {
+        const { reorder = true, notify = true, weight = 1 } = options;
+
+        const node = app.graph.getNodeById(nodeId);
+        const profile = profileManager.resolveForNode(node);
+
+        // 排序方案不使用运镜预设（如静态图模型）；批量添加时抛出，由调用方计入失败
+        if (isCameraBlocked(value, profile)) {
+            const message = t("cameraNotAllowed", { profile: displayProfileName(profile) });
+            if (!notify) throw new Error(message);
+            this.showToast(message, "warning");
+            return;
+        }
 
-        if (blacklistedWidgets.length === allTextWidgets.length) {
-            // 所有文本 widget 都被黑名单排除
-            return { node: targetNode, error: "all_blacklisted", blacklistedNames: blacklistedWidgets.map(w => w.name) };
+        // 用标记符包裹预设值，便于识别（无标记模式下原样插入，靠历史记录跟踪）；历史中只记录不含权重的标记值
+        const markedValue = markValue(value);
+        const insertedValue = wrapWithWeight(markedValue, weight);
+
+        const autoReorder = getSetting(SETTING_IDS.autoReorder, true);
+        if (node) undoManager.begin(node, promptWidget);
+        let conflicts = [];
+        try {
+            // 互斥分组：先移除同组中已存在的其他预设
+            conflicts = findExclusiveConflicts(promptWidget.value || "", value, presetsManager.getTracked(nodeId, promptWidget.name));
+            conflicts.forEach(conflict => {
+                this.removeFromPrompt(promptWidget, markValue(conflict), nodeId, false);
+            });
+
+            const currentValue = promptWidget.value || "";
+
+            if (currentValue.trim() === "") {
+                promptWidget.value = insertedValue;
+            } else {
+                promptWidget.value = currentValue.trimEnd();
+                if (!promptWidget.value.endsWith(",")) {
+                    promptWidget.value += ", ";
+                } else {
+                    promptWidget.value += " ";
+                }
+                promptWidget.value += insertedValue;
+            }
+
+            // 负向伴随值：写入配对的负向输入框
+            const negative = this.appendNegative(promptWidget, value, nodeId);
+
+            // 记录添加历史（存储带标记的值和预设 ID）
+            presetsManager.recordAdded(nodeId, markedValue, null, negative, resolvePresetId(value), promptWidget.name);
+
+            if (reorder) {
+                // 按 Tier 重排提示词顺序
+                if (autoReorder) {
+                    promptWidget.value = reorderPromptByTier(promptWidget.value, presetsManager.getTracked(nodeId, promptWidget.name), profile);
+                }
+
+                if (promptWidget.callback) {
+                    promptWidget.callback(promptWidget.value);
+                }
+            }
+        } finally {
+            if (node) undoManager.commit(t("opAddPreset"));
         }
+        if (!reorder) return true;
 
-        return { node: targetNode, error: null };
+        app.graph.setDirtyCanvas(true, true);
+        if (notify) {
+            const message = conflicts.length > 0
+                ? t("presetAddedReplaced", { n: conflicts.length })
+                : autoReorder ? t("presetAddedSorted") : t("presetAddedPlain");
+            this.showToast(message, "success", this.undoAction());
+        }
+        return true;
     }
 
-    appendToPrompt(value, targetWidget = null) {
-        if (!value) return;
+    // 多输入框选择对话框
+    // onSelect: 可选回调，传入时由调用方处理选中的 widget（如应用组合）
+    showWidgetSelectionDialog(node, widgets, presetValue, onSelect = null) {
+        const overlay = document.createElement("div");
+        Object.assign(overlay.style, {
+            position: "fixed",
+            top: "0",
+            left: "0",
+            right: "0",
+            bottom: "0",
+            background: "rgba(0,0,0,0.6)",
+            zIndex: "100000",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center"
+        });
 
-        const result = this.getTargetNode();
+        const panel = document.createElement("div");
+        Object.assign(panel.style, {
+            background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
+            borderRadius: "12px",
+            boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
+            width: "450px",
+            maxHeight: "70vh",
+            display: "flex",
+            flexDirection: "column",
+            overflow: "hidden"
+        });
 
-        if (result.error === "no_selection") {
-            this.showToast("请先选中一个有文本输入框的节点", "warning");
-            return;
-        }
+        // 头部
+        const header = document.createElement("div");
+        Object.assign(header.style, {
+            padding: "16px 20px",
+            borderBottom: "1px solid #555",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center"
+        });
+        header.innerHTML = `<h3 style="margin:0;color:#fff;font-size:16px;">${t("selectWidgetTitle")}</h3>`;
+
+        const closeBtn = document.createElement("button");
+        Object.assign(closeBtn.style, {
+            background: "transparent",
+            border: "none",
+            color: "#888",
+            fontSize: "20px",
+            cursor: "pointer"
+        });
+        closeBtn.innerHTML = "×";
+        closeBtn.onclick = () => overlay.remove();
+        header.appendChild(closeBtn);
+        panel.appendChild(header);
+
+        // 提示
+        const hint = document.createElement("div");
+        Object.assign(hint.style, {
+            padding: "12px 20px",
+            color: "#aaa",
+            fontSize: "13px",
+            borderBottom: "1px solid #444"
+        });
+        hint.innerHTML = t("selectWidgetHint", { node: `<b style="color:#5ab0ff"></b>` });
+        hint.querySelector("b").textContent = node.title || node.type;
+        panel.appendChild(hint);
+
+        // 选项列表
+        const content = document.createElement("div");
+        Object.assign(content.style, {
+            padding: "12px 20px",
+            overflowY: "auto",
+            flex: "1"
+        });
+
+        widgets.forEach((widget, index) => {
+            const option = document.createElement("div");
+            Object.assign(option.style, {
+                padding: "12px 16px",
+                background: "#333",
+                borderRadius: "8px",
+                marginBottom: "8px",
+                cursor: "pointer",
+                border: "2px solid transparent",
+                transition: "all 0.15s"
+            });
+
+            // 输入框内容包含预设包提供的提示词，只作为文本写入
+            const preview = (widget.value || "").substring(0, 50);
+            option.innerHTML = `
+                <div style="display:flex;align-items:center;gap:10px;">
+                    <span style="background:#4a6ea5;color:white;padding:2px 8px;border-radius:4px;font-size:11px;"></span>
+                    <span style="color:#ccc;font-size:13px;"></span>
+                </div>
+                <div style="color:#888;font-size:11px;margin-top:6px;word-break:break-word;"></div>
+            `;
+            const [nameSpan, typeSpan] = option.querySelectorAll("span");
+            nameSpan.textContent = widget.name;
+            typeSpan.textContent = widget.type || "text";
+            const previewBox = option.lastElementChild;
+            if (preview) {
+                previewBox.textContent = preview + (widget.value?.length > 50 ? "..." : "");
+            } else {
+                const empty = document.createElement("i");
+                empty.textContent = t("empty");
+                previewBox.appendChild(empty);
+            }
+
+            option.onmouseenter = () => {
+                option.style.background = "#3a3a3a";
+                option.style.borderColor = "#5ab0ff";
+            };
+            option.onmouseleave = () => {
+                option.style.background = "#333";
+                option.style.borderColor = "transparent";
+            };
+
+            option.onclick = () => {
+                overlay.remove();
+                if (onSelect) {
+                    onSelect(widget);
+                } else {
+                    this.doAppendToWidget(widget, presetValue, node.id);
+                }
+            };
 
-        if (result.error === "no_text_widget") {
-            this.showToast("选中的节点没有文本输入框", "warning");
-            return;
-        }
+            content.appendChild(option);
+        });
 
-        if (result.error === "all_blacklisted") {
-            const names = result.blacklistedNames.join(", ");
-            this.showToast(`选中节点的文本框 [${names}] 在黑名单中，无法添加预设`, "warning");
-            return;
-        }
+        panel.appendChild(content);
+        overlay.appendChild(panel);
 
-        const targetNode = result.node;
-        const allPromptWidgets = getAllPromptWidgets(targetNode);
+        overlay.onclick = (e) => {
+            if (e.target === overlay) overlay.remove();
+        };
 
-        if (allPromptWidgets.length === 0) {
-            this.showToast("未找到可用的提示词输入框", "warning");
-            return;
-        }
+        document.body.appendChild(overlay);
+    }
 
-        // 如果有多个输入框且没有指定目标，弹出选择对话框
-        if (allPromptWidgets.length > 1 && !targetWidget) {
-            this.showWidgetSelectionDialog(targetNode, allPromptWidgets, value);
-            return;
-        }
+    // ========================================
+    // 批量模式（多个选中节点）
+    // ========================================
 
-        const promptWidget = targetWidget || allPromptWidgets[0];
-        this.doAppendToWidget(promptWidget, value, targetNode.id);
+    // 收集所有选中节点中可用的提示词输入框；不可用的节点附带原因
+    getBatchTargets() {
+        const targets = [];
+        const skipped = [];
+        this.getSelectedNodes().forEach(node => {
+            const widgets = getAllPromptWidgets(node);
+            if (widgets.length > 0) {
+                targets.push({ node, widgets });
+                return;
+            }
+            const hasTextWidget = node.widgets?.some(w =>
+                BUILTIN_PROMPT_WIDGET_NAMES.includes(w.name) || w.type === "customtext" || w.options?.multiline
+            );
+            skipped.push({ node, reason: hasTextWidget ? t("reasonBlacklisted") : t("reasonNoTextWidget") });
+        });
+        return { targets, skipped };
     }
 
-    // 实际执行添加操作
-    doAppendToWidget(promptWidget, value, nodeId) {
-        // 用【】包裹预设值，便于识别
-        const markedValue = `【${value}】`;
+    // 对所有选中节点执行 applyFn(node, widget)；有多个输入框的节点先让用户选择
+    runBatch(applyFn, label) {
+        const { targets, skipped } = this.getBatchTargets();
+        if (targets.length === 0) {
+            this.showToast(t("batchNoTargets"), "warning");
+            return;
+        }
 
-        const currentValue = promptWidget.value || "";
+        const execute = (selection) => {
+            const succeeded = [];
+            const failed = skipped.map(({ node, reason }) => ({ node, reason }));
 
-        if (currentValue.trim() === "") {
-            promptWidget.value = markedValue;
-        } else {
-            promptWidget.value = currentValue.trimEnd();
-            if (!promptWidget.value.endsWith(",")) {
-                promptWidget.value += ", ";
-            } else {
-                promptWidget.value += " ";
+            // 整个批量操作记为一条撤销记录
+            undoManager.beginBatch(selection.flatMap(({ node, widgets }) => widgets.map(widget => ({ node, widget }))));
+            let undoId = null;
+            try {
+                selection.forEach(({ node, widgets }) => {
+                    if (widgets.length === 0) {
+                        failed.push({ node, reason: t("reasonNoWidgetChosen") });
+                        return;
+                    }
+                    // 节点中途失败时恢复该节点已写入的部分
+                    const before = undoManager.snapshot(widgets.flatMap(widget => undoManager.getTargets(node, widget)));
+                    try {
+                        widgets.forEach(widget => applyFn(node, widget));
+                        succeeded.push(node);
+                    } catch (e) {
+                        console.error("[PromptPresets] Batch apply failed:", node.id, e);
+                        undoManager.restore(before);
+                        failed.push({ node, reason: e.message || t("reasonFailed") });
+                    }
+                });
+            } finally {
+                undoId = undoManager.commit(label);
             }
-            promptWidget.value += markedValue;
-        }
 
-        // 按 Tier 重排提示词顺序
-        promptWidget.value = reorderPromptByTier(promptWidget.value);
+            app.graph.setDirtyCanvas(true, true);
 
-        // 记录添加历史（存储带标记的值）
-        presetsManager.recordAdded(nodeId, markedValue);
+            const nodeName = (node) => `${node.title || node.type} #${node.id}`;
+            let message = t("batchSummary", { label, n: succeeded.length });
+            if (failed.length > 0) {
+                const list = failed.map(f => t("batchFailureItem", { node: nodeName(f.node), reason: f.reason })).join(t("listSeparator"));
+                message += t("batchFailures", { n: failed.length, list });
+            }
+            const undoAll = {
+                label: t("undo"),
+                onClick: () => {
+                    if (undoId !== null && undoManager.undoEntry(undoId) !== null) {
+                        this.showToast(t("batchUndone", { n: succeeded.length }), "info");
+                    } else {
+                        this.showToast(t("batchUndoStale"), "warning");
+                    }
+                }
+            };
+            this.showToast(message, failed.length > 0 ? "warning" : "success", undoId !== null ? undoAll : null);
+        };
 
-        if (promptWidget.callback) {
-            promptWidget.callback(promptWidget.value);
+        if (targets.some(t => t.widgets.length > 1)) {
+            this.showBatchWidgetSelectionDialog(targets, execute);
+        } else {
+            execute(targets);
         }
-
-        app.graph.setDirtyCanvas(true, true);
-        this.showToast("✓ 已添加提示词（已按优先级排序）", "success");
     }
 
-    // 多输入框选择对话框
-    showWidgetSelectionDialog(node, widgets, presetValue) {
+    // 批量模式的输入框选择：为每个有多个输入框的节点勾选目标（默认第一个）
+    showBatchWidgetSelectionDialog(targets, onConfirm) {
         const overlay = document.createElement("div");
         Object.assign(overlay.style, {
             position: "fixed",
@@ -2294,8 +8758,8 @@ class PromptPresetsUI {
             background: "linear-gradient(180deg, #3a3a3a, #2a2a2a)",
             borderRadius: "12px",
             boxShadow: "0 12px 40px rgba(0,0,0,0.6)",
-            width: "450px",
-            maxHeight: "70vh",
+            width: "480px",
+            maxHeight: "75vh",
             display: "flex",
             flexDirection: "column",
             overflow: "hidden"
@@ -2310,7 +8774,7 @@ class PromptPresetsUI {
             justifyContent: "space-between",
             alignItems: "center"
         });
-        header.innerHTML = `<h3 style="margin:0;color:#fff;font-size:16px;">🎯 选择目标输入框</h3>`;
+        header.innerHTML = `<h3 style="margin:0;color:#fff;font-size:16px;">${t("batchSelectTitle")}</h3>`;
 
         const closeBtn = document.createElement("button");
         Object.assign(closeBtn.style, {
@@ -2325,18 +8789,7 @@ class PromptPresetsUI {
         header.appendChild(closeBtn);
         panel.appendChild(header);
 
-        // 提示
-        const hint = document.createElement("div");
-        Object.assign(hint.style, {
-            padding: "12px 20px",
-            color: "#aaa",
-            fontSize: "13px",
-            borderBottom: "1px solid #444"
-        });
-        hint.innerHTML = `节点 <b style="color:#5ab0ff">${node.title || node.type}</b> 有多个文本输入框，请选择要添加预设的目标：`;
-        panel.appendChild(hint);
-
-        // 选项列表
+        // 内容区
         const content = document.createElement("div");
         Object.assign(content.style, {
             padding: "12px 20px",
@@ -2344,47 +8797,109 @@ class PromptPresetsUI {
             flex: "1"
         });
 
-        widgets.forEach((widget, index) => {
-            const option = document.createElement("div");
-            Object.assign(option.style, {
-                padding: "12px 16px",
+        // 每个节点的勾选状态：node.id -> Set(widget)
+        const chosen = new Map();
+
+        targets.forEach(({ node, widgets }) => {
+            chosen.set(node.id, new Set([widgets[0]]));
+
+            const block = document.createElement("div");
+            Object.assign(block.style, {
+                padding: "10px 12px",
                 background: "#333",
                 borderRadius: "8px",
-                marginBottom: "8px",
-                cursor: "pointer",
-                border: "2px solid transparent",
-                transition: "all 0.15s"
+                marginBottom: "8px"
             });
 
-            const preview = (widget.value || "").substring(0, 50);
-            option.innerHTML = `
-                <div style="display:flex;align-items:center;gap:10px;">
-                    <span style="background:#4a6ea5;color:white;padding:2px 8px;border-radius:4px;font-size:11px;">${widget.name}</span>
-                    <span style="color:#ccc;font-size:13px;">${widget.type || "text"}</span>
-                </div>
-                <div style="color:#888;font-size:11px;margin-top:6px;word-break:break-word;">
-                    ${preview ? preview + (widget.value?.length > 50 ? "..." : "") : "<i>（空）</i>"}
-                </div>
-            `;
-
-            option.onmouseenter = () => {
-                option.style.background = "#3a3a3a";
-                option.style.borderColor = "#5ab0ff";
-            };
-            option.onmouseleave = () => {
-                option.style.background = "#333";
-                option.style.borderColor = "transparent";
-            };
+            const title = document.createElement("div");
+            Object.assign(title.style, {
+                color: "#5ab0ff",
+                fontSize: "13px",
+                fontWeight: "bold",
+                marginBottom: widgets.length > 1 ? "6px" : "0"
+            });
+            title.textContent = `${node.title || node.type} #${node.id}` + (widgets.length > 1 ? "" : ` → ${widgets[0].name}`);
+            block.appendChild(title);
 
-            option.onclick = () => {
-                overlay.remove();
-                this.doAppendToWidget(widget, presetValue, node.id);
-            };
+            if (widgets.length > 1) {
+                widgets.forEach((widget, index) => {
+                    const label = document.createElement("label");
+                    Object.assign(label.style, {
+                        display: "flex",
+                        alignItems: "center",
+                        gap: "8px",
+                        color: "#ccc",
+                        fontSize: "12px",
+                        padding: "3px 0",
+                        cursor: "pointer"
+                    });
+                    const checkbox = document.createElement("input");
+                    checkbox.type = "checkbox";
+                    checkbox.checked = index === 0;
+                    checkbox.onchange = () => {
+                        const set = chosen.get(node.id);
+                        if (checkbox.checked) set.add(widget); else set.delete(widget);
+                    };
+                    const text = document.createElement("span");
+                    const preview = (widget.value || "").substring(0, 40);
+                    text.textContent = `${widget.name}${preview ? ` — ${preview}${widget.value.length > 40 ? "..." : ""}` : t("empty")}`;
+                    label.appendChild(checkbox);
+                    label.appendChild(text);
+                    block.appendChild(label);
+                });
+            }
 
-            content.appendChild(option);
+            content.appendChild(block);
         });
 
         panel.appendChild(content);
+
+        // 底部
+        const footer = document.createElement("div");
+        Object.assign(footer.style, {
+            padding: "12px 20px",
+            borderTop: "1px solid #555",
+            display: "flex",
+            justifyContent: "flex-end",
+            gap: "10px"
+        });
+
+        const cancelBtn = document.createElement("button");
+        Object.assign(cancelBtn.style, {
+            background: "#555",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px"
+        });
+        cancelBtn.textContent = t("cancel");
+        cancelBtn.onclick = () => overlay.remove();
+
+        const okBtn = document.createElement("button");
+        Object.assign(okBtn.style, {
+            background: "linear-gradient(135deg, #3a6ea5, #2a5a85)",
+            border: "none",
+            color: "white",
+            padding: "8px 16px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px",
+            fontWeight: "bold"
+        });
+        okBtn.textContent = t("addToNodes", { n: targets.length });
+        okBtn.onclick = () => {
+            overlay.remove();
+            onConfirm(targets.map(({ node, widgets }) => ({
+                node,
+                widgets: widgets.filter(w => chosen.get(node.id).has(w))
+            })));
+        };
+
+        footer.appendChild(cancelBtn);
+        footer.appendChild(okBtn);
+        panel.appendChild(footer);
         overlay.appendChild(panel);
 
         overlay.onclick = (e) => {
@@ -2394,47 +8909,129 @@ class PromptPresetsUI {
         document.body.appendChild(overlay);
     }
 
-    removeFromPrompt(promptWidget, value, nodeId, showNotify = true) {
-        if (!value || !promptWidget) return;
+    // 将预设的负向提示词追加到配对的负向输入框；返回记录用的位置信息或 null
+    appendNegative(promptWidget, value, nodeId) {
+        const negativeValue = getPresetNegative(value);
+        if (!negativeValue) return null;
+
+        const node = app.graph.getNodeById(nodeId);
+        const target = findNegativeWidget(node, promptWidget);
+        if (!target) return null;
+
+        const markedNegative = markValue(negativeValue);
+        const location = { nodeId: target.node.id, widget: target.widget.name, value: markedNegative };
+        const current = (target.widget.value || "").trimEnd();
+        if (findValueSpan(current, markedNegative)) {
+            // 已存在则不重复添加；由其他预设写入的与其共同持有，用户自己输入的不记录（删除预设时不会移除）
+            return countNegativeOwners(location) > 0 ? location : null;
+        }
 
-        let text = promptWidget.value || "";
+        if (current === "") {
+            target.widget.value = markedNegative;
+        } else {
+            target.widget.value = current + (current.endsWith(",") ? " " : ", ") + markedNegative;
+        }
+        if (target.widget.callback) {
+            target.widget.callback(target.widget.value);
+        }
 
-        // 尝试多种匹配模式
-        const patterns = [
-            value + ", ",
-            ", " + value,
-            value
-        ];
+        return location;
+    }
 
-        let removed = false;
-        for (const pattern of patterns) {
-            if (text.includes(pattern)) {
-                text = text.replace(pattern, "");
-                removed = true;
-                break;
+    // 移除预设对应的负向提示词：优先使用历史记录中的位置，否则按预设数据重新查找
+    // 仍有其他预设持有同一段负向提示词时保留
+    removeNegative(promptWidget, value, nodeId) {
+        const historyItem = presetsManager.getHistory(nodeId, promptWidget.name).find(h => h.value === value);
+        let target = null;
+        let negativeValue = null;
+
+        if (historyItem?.negative) {
+            const negNode = app.graph.getNodeById(historyItem.negative.nodeId);
+            const widget = negNode?.widgets?.find(w => w.name === historyItem.negative.widget);
+            if (widget) target = { node: negNode, widget };
+            negativeValue = historyItem.negative.value;
+        } else {
+            const rawValue = unmarkValue(value);
+            const negative = getPresetNegative(rawValue, historyItem?.id);
+            if (negative) {
+                target = findNegativeWidget(app.graph.getNodeById(nodeId), promptWidget);
+                negativeValue = markValue(negative);
             }
         }
 
-        // 清理多余的逗号和空格
-        text = text.replace(/,\s*,/g, ",").replace(/^\s*,\s*/, "").replace(/\s*,\s*$/, "").trim();
+        if (!target || !negativeValue) return;
+        const location = { nodeId: target.node.id, widget: target.widget.name, value: negativeValue };
+        if (countNegativeOwners(location, historyItem) > 0) return;
 
-        promptWidget.value = text;
+        const { text, removed } = removePresetSpan(target.widget.value || "", negativeValue);
+        if (!removed) return;
+        target.widget.value = text;
+        if (target.widget.callback) {
+            target.widget.callback(target.widget.value);
+        }
+    }
 
-        // 从历史中移除
-        presetsManager.removeFromHistory(nodeId, value);
+    removeFromPrompt(promptWidget, value, nodeId, showNotify = true) {
+        if (!value || !promptWidget) return;
 
-        if (promptWidget.callback) {
-            promptWidget.callback(promptWidget.value);
-        }
+        const node = app.graph.getNodeById(nodeId);
+        if (node) undoManager.begin(node, promptWidget);
+        try {
+            // 先移除负向伴随值（需要用到历史记录）
+            this.removeNegative(promptWidget, value, nodeId);
 
+            // 带权重的预设需要连同 (…:1.2) 包裹一起移除
+            const { text } = removePresetSpan(promptWidget.value || "", value);
+            promptWidget.value = text;
+
+            // 从历史中移除
+            presetsManager.removeFromHistory(nodeId, value, promptWidget.name);
+
+            if (promptWidget.callback) {
+                promptWidget.callback(promptWidget.value);
+            }
+        } finally {
+            if (node) undoManager.commit(t("opDeletePreset"));
+        }
         app.graph.setDirtyCanvas(true, true);
 
         if (showNotify) {
-            this.showToast("✓ 已删除", "success");
+            this.showToast(t("deleted"), "success", this.undoAction());
+        }
+    }
+
+    // 撤销/重做最近一次预设操作；选中了节点时只针对该节点
+    undo() {
+        const selected = app.graph._nodes.find(n => n.is_selected);
+        const label = undoManager.undo(selected && undoManager.findKey("undo", selected.id) ? selected.id : null);
+        if (label) {
+            this.showToast(t("undone", { label }), "info", this.redoAction());
+        } else {
+            this.showToast(t("nothingToUndo"), "info");
         }
     }
 
-    showToast(message, type = "info") {
+    redo() {
+        const selected = app.graph._nodes.find(n => n.is_selected);
+        const label = undoManager.redo(selected && undoManager.findKey("redo", selected.id) ? selected.id : null);
+        if (label) {
+            this.showToast(t("redone", { label }), "info", this.undoAction());
+        } else {
+            this.showToast(t("nothingToRedo"), "info");
+        }
+    }
+
+    // 提示条上的撤销/重做按钮
+    undoAction() {
+        return { label: t("undo"), onClick: () => this.undo() };
+    }
+
+    redoAction() {
+        return { label: t("redo"), onClick: () => this.redo() };
+    }
+
+    // action: 可选的提示条按钮 { label, onClick }
+    showToast(message, type = "info", action = null) {
         const existing = document.querySelector(".prompt-presets-toast");
         if (existing) existing.remove();
 
@@ -2464,6 +9061,32 @@ class PromptPresetsUI {
             transition: "opacity 0.2s, transform 0.2s"
         });
         toast.textContent = message;
+
+        if (action) {
+            Object.assign(toast.style, {
+                display: "flex",
+                alignItems: "center",
+                gap: "12px"
+            });
+            const actionBtn = document.createElement("button");
+            Object.assign(actionBtn.style, {
+                background: "rgba(255,255,255,0.2)",
+                border: "none",
+                color: "white",
+                padding: "3px 10px",
+                borderRadius: "4px",
+                cursor: "pointer",
+                fontSize: "12px",
+                fontWeight: "bold"
+            });
+            actionBtn.textContent = action.label;
+            actionBtn.onclick = () => {
+                toast.remove();
+                action.onClick();
+            };
+            toast.appendChild(actionBtn);
+        }
+
         document.body.appendChild(toast);
 
         requestAnimationFrame(() => {
@@ -2471,11 +9094,12 @@ class PromptPresetsUI {
             toast.style.transform = "translateY(0)";
         });
 
+        // 带按钮的提示条停留更久，方便点击
         setTimeout(() => {
             toast.style.opacity = "0";
             toast.style.transform = "translateY(10px)";
             setTimeout(() => toast.remove(), 200);
-        }, 2000);
+        }, action ? 5000 : 2000);
     }
 
     scheduleHideMenu(e) {
@@ -2487,7 +9111,7 @@ class PromptPresetsUI {
             if (!isOnButton && !isOnMenu && !isOnSubmenu) {
                 this.hideAllMenus();
             }
-        }, 150);
+        }, getSetting(SETTING_IDS.hideDelay, DEFAULT_HIDE_DELAY));
     }
 
     clearHideTimeout() {
@@ -2526,7 +9150,8 @@ class PromptPresetsUI {
             transition: "opacity 0.15s, transform 0.15s"
         });
 
-        const previewUrl = `/prompt_presets/preview/${encodeURIComponent(filename)}`;
+        const version = presetsManager.version ? `?v=${presetsManager.version}` : "";
+        const previewUrl = `/prompt_presets/preview/${encodeURIComponent(filename)}${version}`;
         const ext = filename.split('.').pop().toLowerCase();
         const isVideo = ['mp4', 'webm'].includes(ext);
 
@@ -2559,7 +9184,7 @@ class PromptPresetsUI {
             img.alt = filename;
             img.onerror = () => {
                 img.style.display = "none";
-                popup.innerHTML = `<p style="color:#888;padding:20px;text-align:center;">预览加载失败</p>`;
+                popup.innerHTML = `<p style="color:#888;padding:20px;text-align:center;">${t("previewFailed")}</p>`;
             };
             popup.appendChild(img);
         }
@@ -2638,6 +9263,255 @@ class PromptPresetsUI {
     }
 }
 
+// ========================================
+// 提交时移除标记 - 输入框保留【】，发送给模型的提示词不含标记
+// ========================================
+
+// 就地处理 graphToPrompt 的 output：{ [nodeId]: { inputs: { [name]: value } } }
+function stripMarkersFromPromptOutput(output) {
+    if (!output || !getSetting(SETTING_IDS.stripOnQueue, true)) return;
+
+    for (const [id, entry] of Object.entries(output)) {
+        const node = app.graph.getNodeById(id);
+        if (!node || !entry?.inputs || node.properties?.[KEEP_MARKERS_PROPERTY]) continue;
+
+        getAllPromptWidgets(node).forEach(widget => {
+            const value = entry.inputs[widget.name];
+            if (typeof value === "string") {
+                entry.inputs[widget.name] = stripPresetMarkers(value);
+            }
+        });
+    }
+}
+
+// 包装 app.graphToPrompt：队列提交和导出 API 格式都经过这里，输入框中的文本保持不变
+function installQueueHook() {
+    const originalGraphToPrompt = app.graphToPrompt;
+    if (typeof originalGraphToPrompt !== "function") return;
+
+    app.graphToPrompt = async function (...args) {
+        try {
+            syncComposerOrdering();
+        } catch (e) {
+            console.error("[PromptPresets] Failed to sync composer ordering:", e);
+        }
+        const result = await originalGraphToPrompt.apply(this, args);
+        try {
+            stripMarkersFromPromptOutput(result?.output);
+        } catch (e) {
+            console.error("[PromptPresets] Failed to strip preset markers:", e);
+        }
+        return result;
+    };
+}
+
+// ========================================
+// Prompt Preset Composer 节点 - 分类输入替换为选择按钮，提交时写入排序方案
+// ========================================
+
+const COMPOSER_NODE_TYPE = "PromptPresetComposer";
+const COMPOSER_SUBJECT_INPUT = "subject";
+const COMPOSER_ORDERING_INPUT = "ordering";
+// 分类输入未选择任何预设时的值（与 __init__.py 的 COMPOSER_NONE 一致）
+const COMPOSER_NONE = "none";
+// 节点属性：输入名 -> 所选预设，按名称保存；工作流的 widgets_values 按位置保存，分类增删后会错位
+const COMPOSER_SELECTIONS_PROPERTY = "prompt_presets_selections";
+
+// 分类对应的输入名（与 __init__.py 的 category_input_name 同规则）
+function getComposerInputName(category, index, taken) {
+    const source = category.category_en || category.category || "";
+    let name = String(source).toLowerCase().replace(/[^0-9a-z]+/g, "_").replace(/^_+|_+$/g, "") || `category_${index + 1}`;
+    if (taken.has(name) || name === COMPOSER_SUBJECT_INPUT || name === COMPOSER_ORDERING_INPUT) {
+        name = `${name}_${index + 1}`;
+    }
+    return name;
+}
+
+// 输入名 -> 分类
+function getComposerCategories() {
+    const map = new Map();
+    const taken = new Set();
+    (presetsManager.presets || []).forEach((category, index) => {
+        const name = getComposerInputName(category, index, taken);
+        taken.add(name);
+        map.set(name, category);
+    });
+    return map;
+}
+
+// 分类输入中保存的是所选预设的 JSON 数组 [{ id, value }]（与 __init__.py 的 parse_selection 同规则），返回 [{ id, value }]
+// 旧版本保存的预设值字符串和逐行填写的纯文本没有 id；"none" 表示未选择
+function parseComposerSelection(text) {
+    if (!text || !String(text).trim() || String(text).trim() === COMPOSER_NONE) return [];
+    try {
+        const data = JSON.parse(text);
+        if (Array.isArray(data)) {
+            return data.flatMap(item => {
+                if (typeof item === "string" && item) return [{ id: null, value: item }];
+                if (item && typeof item.value === "string") return [{ id: typeof item.id === "string" ? item.id : null, value: item.value }];
+                return [];
+            });
+        }
+    } catch (e) {
+        // 纯文本
+    }
+    return String(text).split("\n").map(line => line.trim()).filter(Boolean).map(value => ({ id: null, value }));
+}
+
+// 节点使用的层级顺序与分隔符（排序方案 + 排序层级中的分组覆盖）
+function getComposerOrdering(node) {
+    const profile = profileManager.resolveForNode(node);
+    return {
+        order: profileManager.getOrder(profile),
+        separator: profile.separator,
+        allow_camera: profile.allowCamera,
+        default_tier: tierManager.getDefaultTier(),
+        group_tiers: tierManager.config.groupOverrides
+    };
+}
+
+// 提交前把当前的排序设置写入每个 Composer 节点的 ordering 输入
+function syncComposerOrdering() {
+    (app.graph?._nodes || []).forEach(node => {
+        if (node.type !== COMPOSER_NODE_TYPE) return;
+        const widget = node.widgets?.find(w => w.name === COMPOSER_ORDERING_INPUT);
+        if (widget) widget.value = JSON.stringify(getComposerOrdering(node));
+    });
+}
+
+// 分类输入（不含 subject、ordering 和按钮）
+function getComposerInputWidgets(node) {
+    return (node.widgets || []).filter(w =>
+        w.name !== COMPOSER_SUBJECT_INPUT && w.name !== COMPOSER_ORDERING_INPUT && w.type !== "button"
+    );
+}
+
+// 把各分类的选择按输入名写入节点属性
+function saveComposerSelections(node) {
+    const selections = {};
+    getComposerInputWidgets(node).forEach(widget => {
+        if (parseComposerSelection(widget.value).length > 0) selections[widget.name] = widget.value;
+    });
+    node.properties = node.properties || {};
+    node.properties[COMPOSER_SELECTIONS_PROPERTY] = selections;
+}
+
+// 加载工作流后按输入名恢复选择；当前已不存在的分类忽略，旧工作流没有该属性时保留按位置恢复的值
+function restoreComposerSelections(node) {
+    const selections = node.properties?.[COMPOSER_SELECTIONS_PROPERTY];
+    if (!selections || typeof selections !== "object") return;
+    getComposerInputWidgets(node).forEach(widget => {
+        widget.value = typeof selections[widget.name] === "string" ? selections[widget.name] : COMPOSER_NONE;
+    });
+}
+
+// 更新分类按钮上的已选数量
+function refreshComposerLabels(node) {
+    const categories = getComposerCategories();
+    (node.widgets || []).forEach(button => {
+        if (!button.composerInput) return;
+        const widget = node.widgets.find(w => w.name === button.composerInput);
+        const category = categories.get(button.composerInput);
+        const name = category ? displayCategoryName(category) : button.composerInput;
+        const n = parseComposerSelection(widget?.value).length;
+        button.label = n > 0 ? t("composerButton", { category: name, n }) : t("composerButtonEmpty", { category: name });
+    });
+}
+
+// 隐藏分类输入和 ordering 输入，为每个分类添加一个打开选择弹窗的按钮
+function setupComposerNode(node) {
+    const inputs = [];
+    (node.widgets || []).forEach(widget => {
+        if (widget.name === COMPOSER_SUBJECT_INPUT || widget.type === "button") return;
+        widget.type = "prompt_presets_hidden";
+        widget.hidden = true;
+        widget.computeSize = () => [0, -4];
+        if (widget.name !== COMPOSER_ORDERING_INPUT) inputs.push(widget);
+    });
+
+    inputs.forEach(widget => {
+        const button = node.addWidget("button", `${widget.name}_picker`, null, () => {
+            const category = getComposerCategories().get(widget.name);
+            if (!presetsUI || !category) return;
+            presetsUI.showComposerPicker(node, category, widget);
+        });
+        // 按钮不写入工作流和提交的 inputs
+        button.composerInput = widget.name;
+        button.serialize = false;
+        button.options = { ...button.options, serialize: false };
+    });
+
+    refreshComposerLabels(node);
+    node.setSize([Math.max(node.size[0], 320), node.computeSize()[1]]);
+}
+
+// ========================================
+// 节点右键菜单 - 直接对右键的节点应用预设
+// ========================================
+
+// setup 中创建的界面实例，右键菜单借用它的添加流程
+let presetsUI = null;
+
+function buildPresetMenuOption(node, preset, appliedIds) {
+    const name = displayPresetName(preset.sub_category);
+    const active = appliedIds.has(preset.id);
+    return {
+        content: active ? `● ${name}` : name,
+        callback: () => {
+            const target = presetsUI.resolveTarget(node);
+            if (target) presetsUI.appendToTarget(target, preset.prompt_value);
+        }
+    };
+}
+
+// 生成 "Prompt Presets ▸" 菜单项：分类 → 分组 → 预设；节点没有提示词输入框时返回 null
+function buildNodeMenuOption(node) {
+    const widgets = getAllPromptWidgets(node);
+    const presets = presetsManager.presets;
+    if (!presetsUI || widgets.length === 0 || !presets?.length) return null;
+
+    // 互斥分组中标记当前已添加的选项
+    const appliedIds = getNodePresetIds(node);
+    const none = new Set();
+
+    const categoryOptions = presets.map(cat => {
+        let options = [];
+        if (Array.isArray(cat.groups)) {
+            options = cat.groups.map(group => {
+                const groupName = displayGroupName(group);
+                return {
+                    content: group.exclusive ? t("exclusiveGroup", { name: groupName }) : groupName,
+                    has_submenu: true,
+                    submenu: {
+                        options: (group.presets || []).map(preset =>
+                            buildPresetMenuOption(node, preset, group.exclusive ? appliedIds : none)
+                        )
+                    }
+                };
+            });
+        } else if (Array.isArray(cat.presets)) {
+            options = cat.presets.map(preset => buildPresetMenuOption(node, preset, none));
+        }
+        return {
+            content: displayCategoryName(cat),
+            has_submenu: true,
+            submenu: { options }
+        };
+    });
+
+    return {
+        content: t("nodeMenuTitle"),
+        has_submenu: true,
+        submenu: { options: categoryOptions }
+    };
+}
+
+// 文本输入框、textarea、下拉框或可编辑元素
+function isEditableTarget(target) {
+    if (!target) return false;
+    return !!target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+}
+
 // ========================================
 // 注册扩展
 // ========================================
@@ -2649,17 +9523,83 @@ app.registerExtension({
         console.log("%c[PromptPresets] Extension Loading...", "color: #5ab0ff; font-weight: bold;");
 
         try {
+            registerSettings();
+            installQueueHook();
+
             await presetsManager.loadPresets();
+            await customPresetsManager.load();
+            await bundlesManager.load();
+            await usageManager.load();
+            await packManager.load();
 
             const ui = new PromptPresetsUI();
+            presetsUI = ui;
+
+            // 服务端检测到预设文件或预览文件变化时重新加载
+            api.addEventListener("prompt_presets.changed", (e) => ui.handlePresetsChanged(e.detail));
             const floatBtn = ui.createFloatingButton();
             document.body.appendChild(floatBtn);
 
+            // 预设数据有问题时提示，可打开诊断对话框查看
+            await presetsManager.loadDiagnostics();
+            if (presetsManager.issues.length > 0) ui.showDiagnosticsToast();
+
+            // 快捷键：Alt+P 打开搜索面板；Alt+Z 撤销、Alt+Shift+Z / Alt+Y 重做预设操作
+            // 焦点在输入框中时不拦截（Alt 组合键在部分键盘布局下用于输入字符）
+            document.addEventListener("keydown", (e) => {
+                if (!e.altKey || e.ctrlKey || e.metaKey) return;
+                if (isEditableTarget(e.target)) return;
+                if (e.code === "KeyP") {
+                    e.preventDefault();
+                    ui.hideAllMenus();
+                    ui.showSearchPalette();
+                } else if (e.code === "KeyZ" && !e.shiftKey) {
+                    e.preventDefault();
+                    ui.undo();
+                } else if ((e.code === "KeyZ" && e.shiftKey) || e.code === "KeyY") {
+                    e.preventDefault();
+                    ui.redo();
+                }
+            });
+
             console.log("[PromptPresets] Floating button with manage feature injected.");
 
         } catch (e) {
             console.error("[PromptPresets] Fatal error in setup:", e);
         }
+    },
+
+    // 在节点右键菜单中加入预设入口（仅限有提示词输入框的节点）；Composer 节点替换分类输入为选择按钮
+    async beforeRegisterNodeDef(nodeType, nodeData) {
+        if (nodeData?.name === COMPOSER_NODE_TYPE) {
+            const originalOnNodeCreated = nodeType.prototype.onNodeCreated;
+            nodeType.prototype.onNodeCreated = function () {
+                const result = originalOnNodeCreated?.apply(this, arguments);
+                setupComposerNode(this);
+                return result;
+            };
+
+            // 加载工作流后按输入名恢复选择，并刷新按钮文字
+            const originalOnConfigure = nodeType.prototype.onConfigure;
+            nodeType.prototype.onConfigure = function () {
+                const result = originalOnConfigure?.apply(this, arguments);
+                restoreComposerSelections(this);
+                refreshComposerLabels(this);
+                return result;
+            };
+        }
+
+        const originalGetExtraMenuOptions = nodeType.prototype.getExtraMenuOptions;
+        nodeType.prototype.getExtraMenuOptions = function (canvas, options) {
+            const result = originalGetExtraMenuOptions?.apply(this, arguments);
+            try {
+                const option = buildNodeMenuOption(this);
+                if (option) options.push(null, option);
+            } catch (e) {
+                console.error("[PromptPresets] Failed to build node menu:", e);
+            }
+            return result;
+        };
     }
 });
 